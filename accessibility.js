@@ -0,0 +1,99 @@
+/**
+ * Healthcare AR Training - Accessibility
+ * Resolves the accessibility settings in effect (CONFIG.accessibility, the
+ * start screen's accessibility mode and the OS preferences), the canvas
+ * overlay styles that go with them, feedback reading time and keyboard shortcuts
+ */
+
+// Keyboard shortcuts by KeyboardEvent.key (lowercase); ignored while typing in a field
+const KEYBOARD_SHORTCUTS = {
+    s: 'start',
+    r: 'reset',
+    h: 'toggleUI',
+    escape: 'exit'
+};
+
+// Canvas overlay colours; high contrast uses solid black, white and yellow
+const OVERLAY_THEMES = {
+    default: {
+        box: 'rgba(0, 0, 0, 0.4)',
+        labelBox: 'rgba(0, 0, 0, 0.6)',
+        text: 'rgba(255, 255, 255, 0.95)',
+        mutedText: 'rgba(255, 255, 255, 0.6)',
+        hint: 'rgba(255, 255, 255, 0.85)',
+        track: 'rgba(255, 255, 255, 0.25)',
+        progress: '#4CAF50',
+        connection: '#00ff88',
+        landmark: '#4CAF50',
+        lineWidth: 2
+    },
+    highContrast: {
+        box: '#000000',
+        labelBox: '#000000',
+        text: '#ffffff',
+        mutedText: '#ffffff',
+        hint: '#ffff00',
+        track: '#ffffff',
+        progress: '#ffff00',
+        connection: '#00ffff',
+        landmark: '#ffff00',
+        lineWidth: 4
+    }
+};
+
+const Accessibility = {
+    /**
+     * Settings in effect. Accessibility mode turns on high contrast, large text
+     * and reduced motion together; the OS reduced-motion and more-contrast
+     * preferences turn on their setting too.
+     */
+    resolve(config, { modeEnabled = false, prefersReducedMotion = false, prefersMoreContrast = false } = {}) {
+        const largeText = modeEnabled || config.largeText;
+        return {
+            modeEnabled,
+            highContrast: modeEnabled || config.highContrast || prefersMoreContrast,
+            largeText,
+            reduceMotion: modeEnabled || config.reduceMotion || prefersReducedMotion,
+            screenReaderAnnouncements: config.screenReaderAnnouncements,
+            textScale: largeText ? config.largeTextScale : 1
+        };
+    },
+
+    /**
+     * Overlay colours plus a `font(size, weight)` helper scaled for large text
+     */
+    overlayStyle(settings) {
+        const theme = OVERLAY_THEMES[settings.highContrast ? 'highContrast' : 'default'];
+        return {
+            ...theme,
+            scale: settings.textScale,
+            font: (size, weight = '') => `${weight ? `${weight} ` : ''}${Math.round(size * settings.textScale)}px -apple-system, sans-serif`
+        };
+    },
+
+    /**
+     * How long a feedback message stays on screen: long enough to read, never
+     * shorter than `feedbackMinMs`
+     */
+    feedbackDuration(message, config) {
+        const words = String(message).trim().split(/\s+/).filter(Boolean).length;
+        return Math.max(config.feedbackMinMs, words * config.feedbackMsPerWord);
+    },
+
+    /**
+     * Action for a keydown event ('start', 'reset', 'toggleUI', 'exit'), or
+     * null for other keys, modified keys and typing in form fields
+     */
+    shortcut(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return null;
+        const target = event.target || {};
+        const tag = (target.tagName || '').toLowerCase();
+        if (['input', 'select', 'textarea'].includes(tag) || target.isContentEditable) return null;
+        return KEYBOARD_SHORTCUTS[(event.key || '').toLowerCase()] || null;
+    }
+};
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Accessibility;
+}
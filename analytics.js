@@ -0,0 +1,160 @@
+/**
+ * Healthcare AR Training - Instructor Analytics
+ * Aggregates saved session payloads (local history and the backend's
+ * /analytics) by trainee, cohort, module and step for the dashboard
+ */
+
+const SessionAnalytics = {
+    /**
+     * Combine session lists, keeping one copy per session_id (earlier lists win)
+     */
+    merge(...lists) {
+        const sessions = new Map();
+        for (const session of lists.flat()) {
+            if (!sessions.has(session.session_id)) sessions.set(session.session_id, session);
+        }
+        return [...sessions.values()].sort((a, b) => (a.end_time || '').localeCompare(b.end_time || ''));
+    },
+
+    /**
+     * Keep sessions matching every given filter ({ cohort, task, trainee })
+     */
+    filter(sessions, { cohort = '', task = '', trainee = '' } = {}) {
+        return sessions.filter(s =>
+            (!cohort || s.cohort === cohort) &&
+            (!task || s.task === task) &&
+            (!trainee || s.user_id === trainee)
+        );
+    },
+
+    /**
+     * Dashboard figures for a session list. Rates are fractions (0-1); step
+     * time is the wall-clock time since the previous step completed.
+     * `struggles` are the steps where hints fired most often.
+     */
+    aggregate(sessions, { maxStruggles = 5 } = {}) {
+        const trainees = groupBy(sessions, s => s.user_id).map(([id, group]) => ({
+            id,
+            name: group[group.length - 1].trainee_name || id,
+            cohort: group[group.length - 1].cohort || '',
+            ...rates(group),
+            best: Math.max(...group.map(s => s.score)),
+            latest: group[group.length - 1].score
+        }));
+
+        const cohorts = groupBy(sessions, s => s.cohort || '').map(([cohort, group]) => ({
+            cohort,
+            trainees: new Set(group.map(s => s.user_id)).size,
+            ...rates(group)
+        }));
+
+        const modules = groupBy(sessions, s => s.task).map(([task, group]) => ({ task, ...rates(group) }));
+
+        const steps = [];
+        for (const [task, group] of groupBy(sessions, s => s.task)) {
+            const byStep = new Map();
+            for (const session of group) {
+                let previousAt = 0;
+                for (const record of session.steps || []) {
+                    const entry = byStep.get(record.id) || { task, id: record.id, step: record.step, attempts: 0, totalSeconds: 0, hints: 0 };
+                    entry.attempts++;
+                    entry.totalSeconds += Math.max(0, record.completedAt - previousAt) / 1000;
+                    if (record.hintProvided) entry.hints++;
+                    previousAt = record.completedAt;
+                    byStep.set(record.id, entry);
+                }
+            }
+            for (const { totalSeconds, ...entry } of byStep.values()) {
+                steps.push({
+                    ...entry,
+                    averageSeconds: roundTo(totalSeconds / entry.attempts, 1),
+                    hintRate: roundTo(entry.hints / entry.attempts, 2)
+                });
+            }
+        }
+
+        const struggles = steps
+            .filter(s => s.hints > 0)
+            .sort((a, b) => b.hintRate - a.hintRate || b.hints - a.hints)
+            .slice(0, maxStruggles);
+
+        const trend = groupBy(sessions, s => (s.end_time || '').slice(0, 10))
+            .filter(([day]) => day)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([day, group]) => ({ day, ...rates(group) }));
+
+        return {
+            totals: { ...rates(sessions), trainees: trainees.length },
+            trainees,
+            cohorts,
+            modules,
+            steps,
+            struggles,
+            trend
+        };
+    },
+
+    /**
+     * One trainee's earlier attempts at a module, for coaching prompts and the
+     * debrief: session count, last and best score, and per step how many of those
+     * sessions needed a hint and the condition it was most often failing on
+     */
+    traineeHistory(sessions, { trainee, task }) {
+        const own = SessionAnalytics.merge(sessions).filter(s => s.user_id === trainee && s.task === task);
+        const steps = {};
+        for (const session of own) {
+            for (const record of session.steps || []) {
+                const entry = steps[record.id] || (steps[record.id] = { sessions: 0, hints: 0, conditions: {} });
+                entry.sessions++;
+                if (record.hintProvided) entry.hints++;
+                if (record.mainCondition) {
+                    entry.conditions[record.mainCondition] = (entry.conditions[record.mainCondition] || 0) + 1;
+                }
+            }
+        }
+        for (const entry of Object.values(steps)) {
+            const conditions = Object.entries(entry.conditions).sort((a, b) => b[1] - a[1]);
+            entry.mainCondition = conditions.length > 0 ? conditions[0][0] : null;
+            delete entry.conditions;
+        }
+
+        return {
+            sessions: own.length,
+            lastScore: own.length > 0 ? own[own.length - 1].score : null,
+            bestScore: own.length > 0 ? Math.max(...own.map(s => s.score)) : null,
+            steps
+        };
+    }
+};
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return [...groups.entries()];
+}
+
+function rates(sessions) {
+    if (sessions.length === 0) {
+        return { sessions: 0, passRate: null, averageScore: null };
+    }
+    const passed = sessions.filter(s => s.metrics && s.metrics.passed).length;
+    return {
+        sessions: sessions.length,
+        passRate: roundTo(passed / sessions.length, 2),
+        averageScore: roundTo(sessions.reduce((sum, s) => sum + s.score, 0) / sessions.length, 1)
+    };
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionAnalytics;
+}
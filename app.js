@@ -1,87 +1,259 @@
 // Healthcare AR Training Application
 // Core functionality: Camera, Pose Detection, AR Overlays, Skill Validation, AI Coaching
 
-// API Configuration
-const API_CONFIG = {
-    baseURL: window.location.hostname === 'localhost' 
-        ? 'http://localhost:8080'  // Local development
-        : 'https://healthcare-ar-api-78427087119.europe-west1.run.app',  // Production
-    
-    endpoints: {
-        detect: '/detect',
-        aiCoach: '/ai-coach',
-        sessions: '/sessions',
-        analytics: '/analytics'
-    },
-    
-    // Feature flags
-    objectDetectionEnabled: true,  
-    aiCoachingEnabled: true,       
-    sessionStorageEnabled: true    
-};
+// Settings, including the backend API, come from CONFIG (config.js plus overrides, see config-loader.js)
 
 class ARTrainingApp {
-    constructor() {
+    /**
+     * `configErrors` are the startup validation messages from ConfigLoader;
+     * training can't start until they're fixed
+     */
+    constructor({ configErrors = [] } = {}) {
+        this.configErrors = configErrors;
+        
         this.video = null;
         this.canvas = null;
         this.overlayCanvas = null;
         this.ctx = null;
         this.overlayCtx = null;
         
-        // MediaPipe Hands
+        // MediaPipe Hands and Pose
         this.hands = null;
+        this.pose = null;
         this.camera = null;
         
         // Performance metrics
         this.fps = 0;
         this.lastFrameTime = 0;
         this.frameCount = 0;
+        this.cameraFrames = 0;
         
-        // Training state
-        this.isTraining = false;
-        this.currentTask = 'handwashing';
-        this.sessionStartTime = null;
-        this.sessionData = {
-            session_id: null,
-            user_id: null,
-            start_time: null,
-            end_time: null,
-            steps: [],
-            score: 0,
-            duration: 0,
-            feedback: []
-        };
+        // Current frame's timestamp (ms), live from the camera or from a replayed recording
+        this.frameTimestamp = null;
         
-        // Object detection state
-        this.detectedObjects = [];
-        this.lastObjectDetection = 0;
-        
-        // Hand washing checklist
-        this.handWashingSteps = [
-            { id: 'hands_visible', label: 'Hands visible to camera', completed: false, duration: 0, required: 3 },
-            { id: 'wetting_motion', label: 'Wetting hands motion', completed: false, duration: 0, required: 3 },
-            { id: 'soap_application', label: 'Soap application (rubbing palms)', completed: false, duration: 0, required: 5 },
-            { id: 'interlace_fingers', label: 'Interlace fingers', completed: false, duration: 0, required: 3 },
-            { id: 'back_of_hands', label: 'Wash back of hands', completed: false, duration: 0, required: 3 },
-            { id: 'thumbs', label: 'Clean thumbs', completed: false, duration: 0, required: 2 },
-            { id: 'rinse_motion', label: 'Rinsing motion', completed: false, duration: 0, required: 5 }
-        ];
+        // Training state: step engine and detectors (training-core.js)
+        this.engine = new TrainingEngine(CONFIG);
+        this.engine.on('progress', () => {
+            this.updateChecklistUI();
+            this.announceActiveStep();
+        });
+        this.engine.on('stepCompleted', ({ step, record }) => this.onStepCompleted(step, record));
+        this.engine.on('struggle', (step) => this.provideStruggleHint(step));
+        this.engine.on('objectRequirement', (event) => this.promptForObjects(event));
+        this.engine.on('complete', () => this.finishTraining());
         
-        // Hand tracking state
-        this.lastHandPositions = [];
-        this.handMotionHistory = [];
-        this.handsDetectedTime = 0;
+        // Object detection: frames go out through a worker, one at a time (detection.js)
         this.lastHandsDetected = 0;
+        this.detectionStatus = null;
+        this.detection = CONFIG.objectDetection.enabled ? this.createDetectionPipeline() : null;
+        
+        // UI, prompt and speech language (locales.js)
+        this.i18n = new Localizer({ locales: LOCALES, config: CONFIG });
+        let savedLocale = null;
+        try {
+            savedLocale = localStorage.getItem(CONFIG.localization.storageKey);
+        } catch (error) {
+            console.warn('Could not read saved language:', error);
+        }
+        this.i18n.setLocale(this.i18n.pickInitial({
+            saved: savedLocale,
+            browserLanguages: CONFIG.localization.detectBrowserLanguage ? (navigator.languages || [navigator.language]) : [],
+            defaultLocale: CONFIG.localization.defaultLocale
+        }));
+        this.missingVoiceNotified = false;
+        
+        // Accessibility mode (start screen toggle, remembered in this browser)
+        this.accessibilityMode = false;
+        try {
+            this.accessibilityMode = localStorage.getItem(CONFIG.accessibility.storageKey) === 'on';
+        } catch (error) {
+            console.warn('Could not read accessibility mode:', error);
+        }
+        this.resolveAccessibility();
+        this.announcedStepId = null;
+        this.feedbackTimer = null;
         
-        // Voice feedback
+        // Voice feedback: one prompt at a time by priority, captioned on screen
         this.speechSynthesis = window.speechSynthesis;
-        this.lastFeedbackTime = 0;
-        this.feedbackCooldown = 5000; // 5 seconds between voice feedback
+        this.speech = new SpeechQueue({
+            speak: (item, done) => this.speakUtterance(item, done),
+            cancel: () => this.speechSynthesis && this.speechSynthesis.cancel(),
+            onStart: (item) => this.showCaption(item),
+            onEnd: () => this.hideCaption(),
+            dedupeMs: CONFIG.voice.cooldownMs,
+            maxLength: CONFIG.voice.maxQueueLength,
+            maxWaitMs: CONFIG.voice.maxWaitMs
+        });
+        this.captionTimer = null;
+        this.captionShownAt = 0;
+        
+        // Instructor's key for the backend's /analytics, entered on the dashboard
+        this.analyticsKey = '';
+        
+        // Signed-in trainee and instructor roster (localStorage)
+        this.roster = new TraineeRoster({ storageKey: CONFIG.analytics.traineeStorageKey });
+        
+        // Local session history (IndexedDB)
+        this.sessionStore = SessionStore.available ? new SessionStore(CONFIG.analytics.sessionStorageKey) : null;
+        
+        // Upload queue: sessions wait here (persisted) until the backend accepts them
+        this.outbox = new SessionOutbox({
+            send: (session) => this.uploadSession(session),
+            store: this.sessionStore,
+            onStatus: (status) => this.updateSyncStatus(status),
+            onSent: () => this.showFeedback(this.i18n.t('feedback.sessionSaved'), 'success')
+        });
+        
+        // Session recording and offline replay
+        this.recorder = new SessionRecorder({ maxFrames: CONFIG.recording.maxFrames });
+        this.isReplaying = false;
+        
+        // Coaching messages from the configured provider (coaching.js)
+        this.coaching = new CoachingClient({
+            config: CONFIG,
+            translate: (key, params) => this.i18n.t(key, params)
+        });
+        this.traineeHistory = null;
+        this.debrief = null;
+    }
+
+    /**
+     * Switch the active training module and rebuild its checklist
+     */
+    loadModule(moduleId) {
+        if (!this.engine.loadModule(moduleId)) {
+            console.warn(`Unknown training module: ${moduleId}`);
+            return false;
+        }
+        
+        this.engine.steps = this.engine.buildSteps(this.i18n.localizeSteps(moduleId));
+        const module = this.i18n.moduleText(moduleId);
+        document.getElementById('checklistTitle').textContent = this.i18n.t('checklist.title', { module: module.title });
+        document.getElementById('moduleDescription').textContent = module.description;
+        this.updateChecklistUI();
+        
+        console.log(`Training module loaded: ${module.title}`);
+        return true;
+    }
+
+    /**
+     * Switch the UI, step wording, voice and AI prompts to another locale pack
+     */
+    setLocale(locale) {
+        if (!this.i18n.setLocale(locale)) return false;
+        try {
+            localStorage.setItem(CONFIG.localization.storageKey, locale);
+        } catch (error) {
+            console.warn('Could not save language:', error);
+        }
+        this.missingVoiceNotified = false;
+        this.applyLocale();
+        console.log(`✓ Language: ${this.i18n.pack.name}`);
+        return true;
+    }
+
+    applyLocale() {
+        document.documentElement.lang = this.i18n.languageTag;
+        this.i18n.applyTo(document);
+        
+        for (const option of document.getElementById('moduleSelect').options) {
+            option.textContent = this.i18n.moduleText(option.value).title;
+        }
+        this.loadModule(this.engine.currentTask);
+        this.updateTraineeUI();
+        this.updateDetectionStatus(this.detectionStatus);
+    }
+
+    /**
+     * Accessibility settings in effect (see accessibility.js) and the overlay
+     * styles that go with them
+     */
+    resolveAccessibility() {
+        const prefers = query => Boolean(window.matchMedia && window.matchMedia(query).matches);
+        this.accessibility = Accessibility.resolve(CONFIG.accessibility, {
+            modeEnabled: this.accessibilityMode,
+            prefersReducedMotion: prefers('(prefers-reduced-motion: reduce)'),
+            prefersMoreContrast: prefers('(prefers-contrast: more)')
+        });
+        this.overlayStyle = Accessibility.overlayStyle(this.accessibility);
+    }
+
+    applyAccessibility() {
+        this.resolveAccessibility();
+        const body = document.body;
+        body.classList.toggle('a11y-high-contrast', this.accessibility.highContrast);
+        body.classList.toggle('a11y-large-text', this.accessibility.largeText);
+        body.classList.toggle('a11y-reduce-motion', this.accessibility.reduceMotion);
+        body.style.setProperty('--a11y-text-scale', this.accessibility.textScale);
+        document.getElementById('accessibilityBtn').setAttribute('aria-pressed', String(this.accessibilityMode));
+    }
+
+    setAccessibilityMode(enabled) {
+        this.accessibilityMode = enabled;
+        try {
+            localStorage.setItem(CONFIG.accessibility.storageKey, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Could not save accessibility mode:', error);
+        }
+        this.applyAccessibility();
+        console.log(`✓ Accessibility mode ${enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Read a message out to screen readers through an ARIA live region.
+     * Messages are appended so quick successive ones are all announced.
+     */
+    announce(message, { assertive = false } = {}) {
+        if (!this.accessibility.screenReaderAnnouncements || this.isReplaying) return;
+        
+        const region = document.getElementById(assertive ? 'a11yAlert' : 'a11yStatus');
+        const entry = document.createElement('div');
+        entry.textContent = message;
+        region.appendChild(entry);
+        setTimeout(() => entry.remove(), 10000);
+    }
+
+    /**
+     * Announce the step to work on whenever it changes
+     */
+    announceActiveStep() {
+        const step = this.engine.isTraining ? this.engine.getActiveStep() : null;
+        const stepId = step ? step.id : null;
+        if (stepId === this.announcedStepId) return;
+        
+        this.announcedStepId = stepId;
+        if (step) {
+            this.announce(this.i18n.t('a11y.step', {
+                number: this.engine.steps.indexOf(step) + 1,
+                total: this.engine.steps.length,
+                label: step.label,
+                description: step.description || ''
+            }));
+        }
+    }
+
+    /**
+     * Run a keyboard shortcut action; returns whether it did anything
+     */
+    handleShortcut(action) {
+        const shown = id => getComputedStyle(document.getElementById(id)).display !== 'none';
+        const press = id => {
+            const button = document.getElementById(id);
+            if (button.disabled) return false;
+            button.click();
+            return true;
+        };
+        
+        // Escape closes an open screen before it exits training; other keys wait until it's closed
+        const screens = [['reportScreen', 'closeReportBtn'], ['historyScreen', 'closeHistoryBtn'], ['dashboardScreen', 'closeDashboardBtn']];
+        const open = screens.find(([screen]) => shown(screen));
+        if (open) return action === 'exit' && press(open[1]);
+        
+        if (shown('startScreen')) return action === 'start' && press('startBtn');
+        if (!shown('container')) return false;
         
-        // AI Coaching (OpenRouter)
-        this.aiCoachingEnabled = false;
-        this.aiCoachingCount = 0;
-        this.aiCache = {};
+        const buttons = { reset: 'resetBtn', toggleUI: 'minimizeBtn', exit: 'exitBtn' };
+        return Boolean(buttons[action]) && press(buttons[action]);
     }
 
     async init() {
@@ -97,12 +269,22 @@ class ARTrainingApp {
         // Setup camera
         await this.setupCamera();
         
-        // Initialize MediaPipe Hands
-        await this.initMediaPipe();
+        // Initialize MediaPipe Hands (replay still works if this fails)
+        try {
+            await this.initMediaPipe();
+        } catch (error) {
+            console.error('MediaPipe initialization failed:', error);
+            this.setStatusText('poseStatus', 'status.failed');
+        }
         
         // Setup UI handlers
         this.setupUI();
         
+        // Send sessions left in the outbox by earlier visits
+        if (CONFIG.api.uploadSessions) {
+            this.outbox.flush().catch(error => console.error('Session sync error:', error));
+        }
+        
         // Start rendering loop
         this.renderLoop();
         
@@ -135,15 +317,15 @@ class ARTrainingApp {
                     this.overlayCanvas.width = this.video.videoWidth;
                     this.overlayCanvas.height = this.video.videoHeight;
                     
-                    document.getElementById('cameraStatus').textContent = 'Active ✓';
+                    this.setStatusText('cameraStatus', 'status.active');
                     console.log(`Camera active: ${this.video.videoWidth}x${this.video.videoHeight}`);
                     resolve();
                 };
             });
         } catch (error) {
             console.error('Camera setup failed:', error);
-            document.getElementById('cameraStatus').textContent = 'Failed ✗';
-            alert('Camera access denied. Please allow camera access and reload.');
+            this.setStatusText('cameraStatus', 'status.failed');
+            alert(this.i18n.t('alert.camera'));
         }
     }
 
@@ -156,21 +338,39 @@ class ARTrainingApp {
             }
         });
         
-        this.hands.setOptions({
-            maxNumHands: 2,
-            modelComplexity: 1,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-        });
+        const { maxNumHands, modelComplexity, minDetectionConfidence, minTrackingConfidence } = CONFIG.handTracking;
+        this.hands.setOptions({ maxNumHands, modelComplexity, minDetectionConfidence, minTrackingConfidence });
         
         this.hands.onResults((results) => this.onHandsDetected(results));
         
-        // Initialize camera with MediaPipe
+        // Body pose for modules that track posture (patient transfer)
+        if (typeof Pose !== 'undefined') {
+            this.pose = new Pose({
+                locateFile: (file) => {
+                    return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
+                }
+            });
+            
+            this.pose.setOptions(CONFIG.poseTracking);
+            this.pose.onResults((results) => this.onPoseDetected(results));
+        } else {
+            console.warn('MediaPipe Pose not loaded - posture modules unavailable');
+        }
+        
+        // Initialize camera with MediaPipe, feeding only the trackers the current module uses
         this.camera = new Camera(this.video, {
             onFrame: async () => {
-                if (this.hands) {
+                if (this.isReplaying) return;
+                // Track every skipFrames-th camera frame
+                this.cameraFrames++;
+                if (this.cameraFrames % CONFIG.performance.skipFrames !== 0) return;
+                this.frameTimestamp = performance.now();
+                if (this.hands && this.engine.usesTracker('hands')) {
                     await this.hands.send({ image: this.video });
                 }
+                if (this.pose && this.engine.usesTracker('pose')) {
+                    await this.pose.send({ image: this.video });
+                }
             },
             width: 1280,
             height: 720
@@ -178,35 +378,66 @@ class ARTrainingApp {
         
         await this.camera.start();
         
-        document.getElementById('poseStatus').textContent = 'Active ✓';
+        this.setStatusText('poseStatus', 'status.active');
         console.log('MediaPipe Hands initialized');
     }
 
+    /**
+     * Training timeline (ms): the current frame's timestamp, live or replayed
+     */
+    now() {
+        return this.frameTimestamp !== null ? this.frameTimestamp : performance.now();
+    }
+
     onHandsDetected(results) {
-        this.frameCount++;
+        const isPrimary = this.engine.isPrimaryTracker('hands');
+        if (isPrimary) this.frameCount++;
+        
+        if (this.engine.isTraining && !this.isReplaying) {
+            this.recorder.addHandsFrame(this.now() - this.engine.sessionStartTime, results);
+        }
         
         // Clear previous drawings
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (isPrimary) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+        // Identify left/right hands and validate training steps
+        const hands = this.engine.processHands(results, this.now());
+        if (hands.length > 0) {
             this.lastHandsDetected = Date.now();
-            
-            // Draw hand landmarks
-            for (const landmarks of results.multiHandLandmarks) {
-                this.drawHandLandmarks(landmarks);
-            }
-            
-            // Process hand movements for skill validation
-            if (this.isTraining) {
-                this.processHandMovements(results.multiHandLandmarks);
+        }
+        
+        // Draw hand landmarks
+        if (CONFIG.ui.showHandLandmarks) {
+            for (const { landmarks, side } of hands) {
+                this.drawHandLandmarks(landmarks, side);
             }
         }
         
         // Update FPS
-        this.updateFPS();
+        if (isPrimary) this.updateFPS();
     }
 
-    drawHandLandmarks(landmarks) {
+    onPoseDetected(results) {
+        const isPrimary = this.engine.isPrimaryTracker('pose');
+        if (isPrimary) {
+            this.frameCount++;
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        
+        if (this.engine.isTraining && !this.isReplaying) {
+            this.recorder.addPoseFrame(this.now() - this.engine.sessionStartTime, results);
+        }
+        
+        this.engine.processPose(results, this.now());
+        
+        if (this.engine.lastPose && CONFIG.ui.showHandLandmarks) {
+            this.drawPoseLandmarks(this.engine.lastPose);
+        }
+        
+        if (isPrimary) this.updateFPS();
+    }
+
+    drawHandLandmarks(landmarks, side = null) {
         // Draw connections
         const connections = [
             [0, 1], [1, 2], [2, 3], [3, 4],  // Thumb
@@ -217,8 +448,9 @@ class ARTrainingApp {
             [5, 9], [9, 13], [13, 17]  // Palm
         ];
         
-        this.ctx.strokeStyle = '#00ff88';
-        this.ctx.lineWidth = 2;
+        const style = this.overlayStyle;
+        this.ctx.strokeStyle = style.connection;
+        this.ctx.lineWidth = style.lineWidth;
         
         for (const [start, end] of connections) {
             const startPoint = landmarks[start];
@@ -237,279 +469,113 @@ class ARTrainingApp {
             
             this.ctx.beginPath();
             this.ctx.arc(x, y, 4, 0, 2 * Math.PI);
-            this.ctx.fillStyle = '#4CAF50';
+            this.ctx.fillStyle = style.landmark;
             this.ctx.fill();
-            this.ctx.strokeStyle = '#00ff88';
-            this.ctx.lineWidth = 2;
+            this.ctx.strokeStyle = style.connection;
+            this.ctx.lineWidth = style.lineWidth;
             this.ctx.stroke();
         }
-    }
-
-    processHandMovements(multiHandLandmarks) {
-        const now = Date.now();
-        
-        // Store hand positions
-        this.lastHandPositions = multiHandLandmarks;
-        
-        // Add to motion history
-        this.handMotionHistory.push({
-            timestamp: now,
-            hands: multiHandLandmarks.map(hand => ({
-                palm: hand[0],
-                fingertips: [hand[4], hand[8], hand[12], hand[16], hand[20]]
-            }))
-        });
-        
-        // Keep only last 2 seconds of history
-        this.handMotionHistory = this.handMotionHistory.filter(
-            entry => now - entry.timestamp < 2000
-        );
-        
-        // Validate hand washing steps
-        this.validateHandWashingSteps();
-    }
-
-    validateHandWashingSteps() {
-        const now = Date.now();
         
-        // Step 1: Hands visible
-        if (this.lastHandPositions.length > 0) {
-            const step = this.handWashingSteps[0];
-            if (!step.completed) {
-                step.duration += 0.033; // ~30fps = 33ms per frame
-                if (step.duration >= step.required) {
-                    this.completeStep(0, 'Great! I can see your hands clearly.');
-                }
-            }
-        }
-        
-        // Step 2: Wetting motion (hands moving together near center)
-        if (this.handWashingSteps[0].completed && this.lastHandPositions.length === 2) {
-            const step = this.handWashingSteps[1];
-            if (!step.completed) {
-                const distance = this.calculateHandDistance(this.lastHandPositions[0], this.lastHandPositions[1]);
-                if (distance < 0.15) { // Hands close together
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(1, 'Good wetting motion!');
-                    }
-                }
-            }
-        }
-        
-        // Step 3: Soap application (rubbing palms - circular motion)
-        if (this.handWashingSteps[1].completed && this.lastHandPositions.length === 2) {
-            const step = this.handWashingSteps[2];
-            if (!step.completed) {
-                const motion = this.detectCircularMotion();
-                if (motion) {
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(2, 'Perfect soap application technique!');
-                    }
-                }
-            }
-        }
-        
-        // Step 4: Interlace fingers (hands overlapping with movement)
-        if (this.handWashingSteps[2].completed && this.lastHandPositions.length === 2) {
-            const step = this.handWashingSteps[3];
-            if (!step.completed) {
-                const overlapping = this.detectHandOverlap();
-                if (overlapping) {
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(3, 'Excellent finger interlacing!');
-                    }
-                }
-            }
-        }
-        
-        // Step 5: Back of hands (one hand covering back of other)
-        if (this.handWashingSteps[3].completed && this.lastHandPositions.length === 2) {
-            const step = this.handWashingSteps[4];
-            if (!step.completed) {
-                // Simplified: detect if hands are moving together
-                const distance = this.calculateHandDistance(this.lastHandPositions[0], this.lastHandPositions[1]);
-                if (distance < 0.12) {
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(4, 'Good work on the back of hands!');
-                    }
-                }
-            }
-        }
-        
-        // Step 6: Thumbs (detect thumb cleaning motion)
-        if (this.handWashingSteps[4].completed) {
-            const step = this.handWashingSteps[5];
-            if (!step.completed) {
-                // Simplified: any hand movement
-                if (this.handMotionHistory.length > 30) {
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(5, 'Nice thumb cleaning!');
-                    }
-                }
-            }
-        }
-        
-        // Step 7: Rinsing motion (hands moving vertically)
-        if (this.handWashingSteps[5].completed && this.lastHandPositions.length > 0) {
-            const step = this.handWashingSteps[6];
-            if (!step.completed) {
-                const verticalMotion = this.detectVerticalMotion();
-                if (verticalMotion) {
-                    step.duration += 0.033;
-                    if (step.duration >= step.required) {
-                        this.completeStep(6, 'Perfect rinsing technique!');
-                        this.finishTraining();
-                    }
-                }
-            }
-        }
-        
-        // Update checklist UI
-        this.updateChecklistUI();
-        
-        // Check if student is struggling (taking 2x the required time)
-        if (CONFIG.aiCoaching.enabled && CONFIG.aiCoaching.apiKey) {
-            const currentStep = this.handWashingSteps.find(s => !s.completed);
-            if (currentStep && currentStep.duration > currentStep.required * 2) {
-                // Only provide hint once per step
-                if (!currentStep.hintProvided) {
-                    currentStep.hintProvided = true;
-                    this.provideStruggleHint(currentStep);
-                }
-            }
+        // Label which hand this is
+        if (side) {
+            this.ctx.font = style.font(16, 'bold');
+            this.ctx.fillStyle = style.text;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(side === 'left' ? 'L' : 'R', landmarks[0].x * this.canvas.width, landmarks[0].y * this.canvas.height + 20);
         }
     }
 
-    calculateHandDistance(hand1, hand2) {
-        const palm1 = hand1[0];
-        const palm2 = hand2[0];
-        const dx = palm1.x - palm2.x;
-        const dy = palm1.y - palm2.y;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    detectCircularMotion() {
-        if (this.handMotionHistory.length < 20) return false;
+    drawPoseLandmarks(landmarks) {
+        const L = POSE_LANDMARKS;
+        const connections = [
+            [L.LEFT_SHOULDER, L.RIGHT_SHOULDER],  // Shoulders
+            [L.LEFT_SHOULDER, L.LEFT_ELBOW], [L.LEFT_ELBOW, L.LEFT_WRIST],  // Left arm
+            [L.RIGHT_SHOULDER, L.RIGHT_ELBOW], [L.RIGHT_ELBOW, L.RIGHT_WRIST],  // Right arm
+            [L.LEFT_SHOULDER, L.LEFT_HIP], [L.RIGHT_SHOULDER, L.RIGHT_HIP], [L.LEFT_HIP, L.RIGHT_HIP],  // Torso
+            [L.LEFT_HIP, L.LEFT_KNEE], [L.LEFT_KNEE, L.LEFT_ANKLE],  // Left leg
+            [L.RIGHT_HIP, L.RIGHT_KNEE], [L.RIGHT_KNEE, L.RIGHT_ANKLE],  // Right leg
+            [L.LEFT_ANKLE, L.LEFT_HEEL], [L.LEFT_HEEL, L.LEFT_FOOT],  // Left foot
+            [L.RIGHT_ANKLE, L.RIGHT_HEEL], [L.RIGHT_HEEL, L.RIGHT_FOOT]  // Right foot
+        ];
+        const minVisibility = 0.5;
+        const isVisible = (landmark) => landmark && (landmark.visibility === undefined || landmark.visibility > minVisibility);
         
-        // Check if hand positions form a circular pattern
-        const recent = this.handMotionHistory.slice(-20);
-        let totalAngleChange = 0;
+        const style = this.overlayStyle;
+        this.ctx.strokeStyle = style.connection;
+        this.ctx.lineWidth = style.lineWidth + 1;
         
-        for (let i = 1; i < recent.length; i++) {
-            const prev = recent[i - 1].hands[0].palm;
-            const curr = recent[i].hands[0].palm;
-            const angle = Math.atan2(curr.y - prev.y, curr.x - prev.x);
-            totalAngleChange += Math.abs(angle);
+        for (const [start, end] of connections) {
+            const startPoint = landmarks[start];
+            const endPoint = landmarks[end];
+            if (!isVisible(startPoint) || !isVisible(endPoint)) continue;
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(startPoint.x * this.canvas.width, startPoint.y * this.canvas.height);
+            this.ctx.lineTo(endPoint.x * this.canvas.width, endPoint.y * this.canvas.height);
+            this.ctx.stroke();
         }
         
-        return totalAngleChange > 2; // Threshold for circular motion
-    }
-
-    detectHandOverlap() {
-        if (this.lastHandPositions.length !== 2) return false;
-        
-        const hand1 = this.lastHandPositions[0];
-        const hand2 = this.lastHandPositions[1];
-        
-        // Check if fingertips are close to opposite palm
-        const palm1 = hand1[0];
-        const palm2 = hand2[0];
-        const fingertips1 = [hand1[4], hand1[8], hand1[12], hand1[16], hand1[20]];
-        const fingertips2 = [hand2[4], hand2[8], hand2[12], hand2[16], hand2[20]];
-        
-        let overlapCount = 0;
-        
-        for (const tip of fingertips1) {
-            const distance = Math.sqrt(
-                Math.pow(tip.x - palm2.x, 2) + Math.pow(tip.y - palm2.y, 2)
-            );
-            if (distance < 0.1) overlapCount++;
+        // Draw joints
+        const joints = new Set(connections.flat());
+        for (const index of joints) {
+            const landmark = landmarks[index];
+            if (!isVisible(landmark)) continue;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(landmark.x * this.canvas.width, landmark.y * this.canvas.height, 5, 0, 2 * Math.PI);
+            this.ctx.fillStyle = style.landmark;
+            this.ctx.fill();
+            this.ctx.strokeStyle = style.connection;
+            this.ctx.lineWidth = style.lineWidth;
+            this.ctx.stroke();
         }
-        
-        return overlapCount >= 2;
     }
 
-    detectVerticalMotion() {
-        if (this.handMotionHistory.length < 15) return false;
-        
-        const recent = this.handMotionHistory.slice(-15);
-        let totalVertical = 0;
-        let totalHorizontal = 0;
+    async onStepCompleted(step, stepRecord) {
+        console.log(`✓ Step completed: ${step.label}`);
         
-        for (let i = 1; i < recent.length; i++) {
-            const prev = recent[i - 1].hands[0].palm;
-            const curr = recent[i].hands[0].palm;
-            totalVertical += Math.abs(curr.y - prev.y);
-            totalHorizontal += Math.abs(curr.x - prev.x);
-        }
+        const builtIn = stepRecord.feedback || this.i18n.t('voice.stepComplete', {}, CONFIG.voice.messages.stepComplete);
+        const feedback = await this.getCoaching(step, 'completed', builtIn);
+        if (!feedback) return;
         
-        // Vertical motion should be more than horizontal
-        return totalVertical > totalHorizontal * 1.5 && totalVertical > 0.3;
+        stepRecord.feedback = feedback;
+        this.notify(feedback, { type: 'success', priority: 'completion' });
     }
 
-    async completeStep(stepIndex, feedbackMessage) {
-        const step = this.handWashingSteps[stepIndex];
-        step.completed = true;
-        
-        console.log(`✓ Step completed: ${step.label}`);
-        
-        // Get AI coaching if enabled
-        let finalFeedback = feedbackMessage;
-        if (CONFIG.aiCoaching.enabled && CONFIG.aiCoaching.apiKey) {
-            const aiContext = {
-                step: step.label,
-                issue: 'completed successfully',
-                duration: step.duration,
-                attempts: 1
-            };
-            
-            const aiFeedback = await this.getAICoaching(aiContext);
-            if (aiFeedback) {
-                finalFeedback = aiFeedback;
-            }
-        }
-        
-        // Show visual feedback
-        this.showFeedback(finalFeedback, 'success');
-        
-        // Voice feedback with cooldown
-        const now = Date.now();
-        if (now - this.lastFeedbackTime > this.feedbackCooldown) {
-            this.speak(finalFeedback);
-            this.lastFeedbackTime = now;
-        }
-        
-        // Log to session data
-        this.sessionData.steps.push({
-            step: step.label,
-            completedAt: Date.now() - this.sessionStartTime,
-            duration: step.duration,
-            feedback: finalFeedback
-        });
+    /**
+     * Seconds left on a step, per hand or direction for split steps ("L 1.0s · R 3.0s")
+     */
+    formatTimeRemaining(step) {
+        const parts = this.engine.getSplitRemaining(step);
+        if (!parts) return `${Math.max(0, step.required - step.duration).toFixed(1)}s`;
+        return parts.map(part => `${this.i18n.t(`split.${part.value}`)} ${part.remaining.toFixed(1)}s`).join(' · ');
     }
 
     updateChecklistUI() {
         const checklistContainer = document.getElementById('checklist');
         checklistContainer.innerHTML = '';
         
-        for (const step of this.handWashingSteps) {
+        const activeStep = this.engine.getActiveStep();
+        
+        for (const step of this.engine.steps) {
             const item = document.createElement('div');
-            item.className = `checklist-item ${step.completed ? 'completed' : ''}`;
+            const isActive = this.engine.isTraining && step === activeStep;
+            item.className = `checklist-item ${step.completed ? 'completed' : ''} ${isActive ? 'active' : ''}`;
+            item.title = step.description || '';
+            item.setAttribute('role', 'listitem');
+            if (isActive) item.setAttribute('aria-current', 'step');
             
             const progress = step.completed ? 100 : Math.min(100, (step.duration / step.required) * 100);
             
             item.innerHTML = `
-                <div class="check-icon">${step.completed ? '✓' : ''}</div>
+                <div class="check-icon" aria-hidden="true">${step.completed ? '✓' : ''}</div>
                 <div style="flex: 1;">
                     ${step.label}
-                    ${!step.completed ? `<div style="font-size: 10px; color: #aaa; margin-top: 2px;">
-                        ${Math.round(progress)}% - ${Math.max(0, step.required - step.duration).toFixed(1)}s remaining
+                    ${!step.completed ? `<div class="step-remaining">
+                        ${this.i18n.t('checklist.remaining', { percent: Math.round(progress), time: this.formatTimeRemaining(step) })}
                     </div>` : ''}
+                    ${isActive && step.description ? `<div class="step-description">${step.description}</div>` : ''}
+                    ${isActive && step.hint ? `<div class="step-hint">💡 ${step.hint}</div>` : ''}
                 </div>
             `;
             
@@ -517,6 +583,15 @@ class ARTrainingApp {
         }
     }
 
+    /**
+     * Set a status line by text key, keeping it translated on a language switch
+     */
+    setStatusText(elementId, key) {
+        const element = document.getElementById(elementId);
+        element.dataset.i18n = key;
+        element.textContent = this.i18n.t(key);
+    }
+
     showFeedback(message, type = 'success') {
         const feedbackEl = document.getElementById('feedback');
         feedbackEl.textContent = message;
@@ -524,233 +599,821 @@ class ARTrainingApp {
         feedbackEl.style.background = type === 'success' 
             ? 'rgba(76, 175, 80, 0.9)' 
             : 'rgba(255, 152, 0, 0.9)';
+        this.announce(message);
         
-        setTimeout(() => {
+        // Keep longer messages up long enough to read; a newer message restarts the timer
+        clearTimeout(this.feedbackTimer);
+        this.feedbackTimer = setTimeout(() => {
             feedbackEl.style.display = 'none';
-        }, 3000);
+        }, Accessibility.feedbackDuration(message, CONFIG.accessibility));
     }
 
-    speak(text) {
-        if (this.speechSynthesis && this.speechSynthesis.speaking) {
-            this.speechSynthesis.cancel();
+    /**
+     * Queue a spoken prompt by priority (see SPEECH_PRIORITIES in speech.js)
+     */
+    speak(text, priority = 'instruction') {
+        if (this.isReplaying) return;
+        this.speech.say(text, { priority });
+    }
+
+    /**
+     * Speak a prompt and show it: as a caption while it's spoken when captions
+     * are on, otherwise straight away in the feedback box
+     */
+    notify(text, { type = 'success', priority = 'completion' } = {}) {
+        if (!CONFIG.ui.captions.enabled || this.isReplaying) {
+            this.showFeedback(text, type);
         }
-        
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 1.0;
-        utterance.pitch = 1.0;
-        utterance.volume = 1.0;
-        utterance.lang = 'en-US';
-        
-        this.speechSynthesis.speak(utterance);
+        this.speak(text, priority);
     }
 
-    async getAICoaching(context) {
-        // Check if AI coaching is enabled and we haven't exceeded max feedback
-        if (!CONFIG.aiCoaching.enabled || !CONFIG.aiCoaching.apiKey) {
-            return null;
+    /**
+     * SpeechQueue callback: say one queued prompt and call `done` when it ends.
+     * Without voice output the prompt is only captioned, for its reading time.
+     */
+    speakUtterance(item, done) {
+        const captionOnly = () => setTimeout(done, this.captionDuration(item.text));
+        if (!CONFIG.voice.enabled || !this.speechSynthesis) {
+            captionOnly();
+            return;
         }
         
-        if (this.aiCoachingCount >= CONFIG.aiCoaching.maxFeedbackPerSession) {
-            console.log('AI coaching limit reached for this session');
-            return null;
+        // Use an installed voice for the current language. Voices may still be
+        // loading (empty list), in which case the browser picks one by `lang`.
+        const language = this.i18n.languageTag;
+        const voices = this.speechSynthesis.getVoices();
+        const voice = Localizer.pickVoice(voices, language);
+        if (!voice && voices.length > 0) {
+            // No voice for this language: show the prompt instead of reading it in the wrong accent
+            const notice = this.missingVoiceNotified ? '' : this.i18n.t('feedback.noVoice', { language: this.i18n.pack.name });
+            this.missingVoiceNotified = true;
+            if (!CONFIG.ui.captions.enabled) {
+                this.showFeedback(notice ? `${item.text} (${notice})` : item.text, 'info');
+            } else if (notice) {
+                this.showFeedback(notice, 'info');
+            }
+            captionOnly();
+            return;
         }
         
-        // Check cache first
-        const cacheKey = `${context.step}_${context.issue}`;
-        if (this.aiCache[cacheKey]) {
-            console.log('Using cached AI feedback');
-            return this.aiCache[cacheKey];
-        }
+        const utterance = new SpeechSynthesisUtterance(item.text);
+        utterance.rate = CONFIG.voice.rate;
+        utterance.pitch = CONFIG.voice.pitch;
+        utterance.volume = CONFIG.voice.volume;
+        utterance.lang = language;
+        if (voice) utterance.voice = voice;
+        utterance.onend = done;
+        utterance.onerror = done;
         
+        this.speechSynthesis.speak(utterance);
+    }
+
+    captionDuration(text) {
+        return Math.max(CONFIG.ui.captions.duration, Accessibility.feedbackDuration(text, CONFIG.accessibility));
+    }
+
+    /**
+     * Caption the prompt being spoken (CONFIG.ui.captions)
+     */
+    showCaption(item) {
+        const captions = CONFIG.ui.captions;
+        if (!captions.enabled) return;
+        
+        const captionEl = document.getElementById('captions');
+        clearTimeout(this.captionTimer);
+        captionEl.textContent = item.text;
+        captionEl.className = `caption-${item.priority}`;
+        captionEl.style.fontSize = `calc(${captions.fontSize} * var(--a11y-text-scale, 1))`;
+        captionEl.style.display = 'block';
+        this.captionShownAt = Date.now();
+        this.announce(item.text);
+    }
+
+    /**
+     * Hide the caption once it has been up for at least `captions.duration`,
+     * unless the next prompt replaces it first
+     */
+    hideCaption() {
+        if (!CONFIG.ui.captions.enabled) return;
+        const remaining = CONFIG.ui.captions.duration - (Date.now() - this.captionShownAt);
+        clearTimeout(this.captionTimer);
+        this.captionTimer = setTimeout(() => {
+            document.getElementById('captions').style.display = 'none';
+        }, Math.max(0, remaining));
+    }
+
+    /**
+     * Coaching for a step that was 'completed' or is 'struggling', from the
+     * provider in CONFIG.aiCoaching (see coaching.js). Resolves with `builtIn`
+     * when coaching is off or the provider fails or times out, and with null
+     * when the request was cancelled by a reset.
+     */
+    async getCoaching(step, kind, builtIn) {
+        if (!CONFIG.aiCoaching.enabled || this.isReplaying) return builtIn;
+        
+        const t = (key, params) => this.i18n.t(key, params);
+        const moduleTitle = this.i18n.moduleText(this.engine.currentTask).title;
+        const issue = t(kind === 'completed' ? 'ai.issueCompleted' : 'ai.issueStruggling');
+        // A struggling step is coached on what is failing now, a completed one on what held it up most
+        const condition = (kind === 'struggling' && step.condition) || this.engine.getMainCondition(step);
+        const metrics = this.engine.getStepReport(step);
+        const history = this.traineeHistory;
+        const stepHistory = history && history.steps[step.id];
+        
+        const { text, source } = await this.coaching.coach({
+            kind,
+            locale: this.i18n.locale,
+            moduleId: this.engine.currentTask,
+            moduleTitle,
+            traineeId: this.engine.sessionData.user_id,
+            stepId: step.id,
+            stepLabel: step.label,
+            issue,
+            condition,
+            metrics,
+            history: stepHistory ? { sessions: history.sessions, lastScore: history.lastScore, ...stepHistory } : null,
+            duration: step.duration,
+            attempts: step.attempts,
+            fallback: builtIn,
+            systemPrompt: this.i18n.t('ai.systemPrompt', {}, CONFIG.aiCoaching.systemPrompt),
+            userPrompt: t('ai.userPrompt', {
+                module: moduleTitle,
+                step: step.label,
+                issue,
+                condition: condition ? t(`condition.${condition}`) : t('ai.noCondition'),
+                metrics: t('ai.metrics', {
+                    held: metrics.heldPercent === null ? 0 : metrics.heldPercent,
+                    seconds: metrics.activeSeconds,
+                    interruptions: metrics.interruptions
+                }),
+                attempts: step.attempts,
+                history: stepHistory
+                    ? t('ai.history', {
+                        sessions: history.sessions,
+                        lastScore: history.lastScore,
+                        hints: stepHistory.hints,
+                        condition: stepHistory.mainCondition ? t(`condition.${stepHistory.mainCondition}`) : t('ai.noCondition')
+                    })
+                    : t('ai.historyNone'),
+                seconds: step.duration.toFixed(1)
+            })
+        });
+        
+        if (text && source !== 'fallback') console.log(`Coaching (${source}):`, text);
+        return text;
+    }
+
+    /**
+     * The signed-in trainee's earlier sessions on the current module, summarised
+     * for coaching prompts and the debrief (null without local history)
+     */
+    async loadTraineeHistory() {
+        this.traineeHistory = null;
+        if (!this.sessionStore) return;
+        
+        const trainee = this.engine.sessionData.user_id || 'anonymous';
+        const task = this.engine.currentTask;
         try {
-            const response = await fetch(`${CONFIG.aiCoaching.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${CONFIG.aiCoaching.apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': window.location.href,
-                    'X-Title': 'Healthcare AR Training'
-                },
-                body: JSON.stringify({
-                    model: CONFIG.aiCoaching.model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: CONFIG.aiCoaching.systemPrompt
-                        },
-                        {
-                            role: 'user',
-                            content: `Student is practicing hand washing. Current step: "${context.step}". 
-                            Issue: ${context.issue}. 
-                            Time on this step: ${context.duration.toFixed(1)} seconds.
-                            Attempts: ${context.attempts}.
-                            Give brief, encouraging coaching (1-2 sentences max).`
-                        }
-                    ],
-                    max_tokens: 100,
-                    temperature: 0.7
-                })
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('OpenRouter API error:', response.status, errorText);
-                return null;
-            }
-            
-            const data = await response.json();
-            const feedback = data.choices[0].message.content.trim();
-            
-            // Cache the feedback
-            this.aiCache[cacheKey] = feedback;
-            this.aiCoachingCount++;
-            
-            console.log('AI Coaching:', feedback);
-            return feedback;
-            
+            const sessions = await this.sessionStore.list();
+            // Training may have been reset or restarted on another module meanwhile
+            if (task !== this.engine.currentTask) return;
+            this.traineeHistory = SessionAnalytics.traineeHistory(sessions, { trainee, task });
         } catch (error) {
-            console.error('Error getting AI coaching:', error);
-            return null;
+            console.warn('Could not load trainee history for coaching:', error);
         }
     }
 
-    async provideStruggleHint(step) {
-        // If student is taking too long on a step, provide AI hint
-        if (!CONFIG.aiCoaching.enabled || !CONFIG.aiCoaching.apiKey) {
-            return;
-        }
-        
-        const context = {
-            step: step.label,
-            issue: 'taking longer than expected',
-            duration: step.duration,
-            attempts: 1
+    /**
+     * Summary of strengths and what to practice next, shown in the report.
+     * The offline debrief (buildDebrief) is shown straight away and replaced
+     * by the coaching provider's version when it arrives.
+     */
+    async prepareDebrief() {
+        const settings = CONFIG.aiCoaching.debrief;
+        this.debrief = null;
+        if (!settings.enabled) return;
+        
+        const t = (key, params) => this.i18n.t(key, params);
+        const sessionData = this.engine.sessionData;
+        const summary = {
+            score: sessionData.score,
+            passed: sessionData.passed,
+            history: this.traineeHistory,
+            steps: this.engine.steps.map(step => ({
+                id: step.id,
+                label: step.label,
+                completed: step.completed,
+                quality: Math.round(this.engine.getStepQuality(step) * 100) / 100,
+                hinted: !!step.hintProvided,
+                attempts: step.attempts,
+                condition: this.engine.getMainCondition(step)
+            }))
         };
+        const offline = buildDebrief(summary, settings, t);
+        this.debrief = { text: offline.text, source: 'offline' };
+        this.updateDebriefUI();
+        if (!CONFIG.aiCoaching.enabled || this.isReplaying) return;
+        
+        const moduleTitle = this.i18n.moduleText(this.engine.currentTask).title;
+        const { text, source } = await this.coaching.coach({
+            kind: 'debrief',
+            locale: this.i18n.locale,
+            moduleId: this.engine.currentTask,
+            moduleTitle,
+            traineeId: sessionData.user_id,
+            duration: sessionData.duration / 1000,
+            summary,
+            fallback: offline.text,
+            systemPrompt: this.i18n.t('ai.systemPrompt', {}, CONFIG.aiCoaching.systemPrompt),
+            userPrompt: t('ai.debriefPrompt', {
+                module: moduleTitle,
+                score: sessionData.score,
+                status: t(sessionData.passed ? 'report.passed' : 'report.notPassed'),
+                notes: offline.text
+            })
+        });
+        if (!text) return;
+        
+        this.debrief = { text, source };
+        this.updateDebriefUI();
+    }
+
+    updateDebriefUI() {
+        const container = document.getElementById('reportDebrief');
+        container.hidden = !this.debrief;
+        document.getElementById('reportDebriefText').textContent = this.debrief ? this.debrief.text : '';
+    }
+
+    async provideStruggleHint(step) {
+        // If student is taking too long on a step, provide a coaching hint,
+        // falling back to the step's own hint (hints count against the score)
+        const hint = await this.getCoaching(step, 'struggling', step.hint);
         
-        const hint = await this.getAICoaching(context);
         if (hint) {
-            this.showFeedback(hint, 'info');
-            this.speak(hint);
+            this.notify(hint, { type: 'info', priority: 'instruction' });
         }
     }
 
     finishTraining() {
-        this.isTraining = false;
-        this.sessionData.duration = Date.now() - this.sessionStartTime;
-        this.sessionData.score = this.calculateScore();
-        this.sessionData.end_time = new Date().toISOString();
+        const sessionData = this.engine.sessionData;
+        console.log('Training session completed:', sessionData);
         
-        console.log('Training session completed:', this.sessionData);
-        
-        // Save session to backend (if enabled)
-        if (API_CONFIG.sessionStorageEnabled) {
-            this.saveSession();
+        // Close the recording with the outcome a replay must reproduce
+        if (!this.isReplaying) {
+            this.recorder.finish(this.engine.getSessionResult());
         }
         
-        // Show completion message
+        // Save session locally and to backend (if enabled, never for replays)
+        this.lastSession = this.buildSessionPayload();
+        if (!this.isReplaying) {
+            this.storeSessionLocally(this.lastSession);
+        }
+        if (CONFIG.api.uploadSessions && !this.isReplaying) {
+            this.saveSession(this.lastSession);
+        }
+        this.prepareDebrief();
+        
+        // Show completion message with the score breakdown
+        const breakdown = sessionData.scoreBreakdown;
+        const t = (key, params) => this.i18n.t(key, params);
+        const adjustments = [
+            [t('complete.time', { seconds: breakdown.seconds, target: breakdown.perfectTime }), -breakdown.timePenalty],
+            [t('complete.technique', { percent: Math.round(breakdown.technique * 100) }), -breakdown.techniquePenalty],
+            [t('complete.hints', { count: breakdown.hints }), -breakdown.hintPenalty],
+            [t('complete.interruptions', { count: breakdown.interruptions }), -breakdown.interruptionPenalty],
+            [t('complete.bonus'), breakdown.bonus]
+        ];
         const stepIndicator = document.getElementById('stepIndicator');
         stepIndicator.innerHTML = `
-            <div style="font-size: 48px; margin-bottom: 16px;">🎉</div>
-            <div>Training Complete!</div>
+            <div style="font-size: 48px; margin-bottom: 16px;">${breakdown.passed ? '🎉' : '🔁'}</div>
+            <div>${t('complete.title')}</div>
             <div style="font-size: 16px; margin-top: 8px; opacity: 0.8;">
-                Score: ${this.sessionData.score}/100
-            </div>
-            <div style="font-size: 14px; margin-top: 4px; opacity: 0.6;">
-                Duration: ${(this.sessionData.duration / 1000).toFixed(1)}s
+                ${t('complete.score', {
+                    score: sessionData.score,
+                    status: breakdown.passed ? t('complete.passed') : t('complete.notPassed', { passingScore: breakdown.passingScore })
+                })}
             </div>
+            <table style="font-size: 12px; font-weight: normal; margin: 12px auto 0; opacity: 0.8; text-align: left;">
+                <tr><td style="padding-right: 16px;">${t('complete.steps')}</td><td style="text-align: right;">${breakdown.base}</td></tr>
+                ${adjustments.map(([label, points]) => `
+                    <tr><td style="padding-right: 16px;">${label}</td><td style="text-align: right;">${points > 0 ? '+' : ''}${points}</td></tr>
+                `).join('')}
+            </table>
         `;
         stepIndicator.style.display = 'block';
+        this.announce(t('a11y.complete', {
+            score: sessionData.score,
+            status: t(breakdown.passed ? 'report.passed' : 'report.notPassed')
+        }));
         
-        this.speak('Excellent work! You have completed the hand washing training. Your technique was perfect!');
+        this.speak(breakdown.passed
+            ? this.i18n.moduleText(this.engine.currentTask).complete
+            : t('complete.retrySpeech', { score: sessionData.score, passingScore: breakdown.passingScore }), 'completion');
         
-        // Auto-hide after 5 seconds
+        // Auto-hide after 10 seconds, then show the detailed report
+        document.getElementById('reportBtn').disabled = false;
         setTimeout(() => {
             stepIndicator.style.display = 'none';
-        }, 5000);
+            if (!this.engine.isTraining) this.showReport();
+        }, 10000);
     }
 
-    async saveSession() {
-        if (!API_CONFIG.sessionStorageEnabled) return;
+    /**
+     * Past attempts from local storage with per-module score trends
+     */
+    async showHistory() {
+        const trendsEl = document.getElementById('historyTrends');
+        const listEl = document.getElementById('historyList');
+        document.getElementById('historyScreen').style.display = 'block';
+        document.getElementById('closeHistoryBtn').focus();
+        
+        if (!this.sessionStore) {
+            trendsEl.textContent = this.i18n.t('history.unavailable');
+            listEl.innerHTML = '';
+            return;
+        }
         
+        // Only the signed-in trainee's attempts
+        const trainee = this.roster.current;
+        let sessions;
         try {
-            const sessionPayload = {
-                session_id: this.sessionData.session_id || `sess_${Date.now()}`,
-                user_id: this.sessionData.user_id || 'student_' + Math.random().toString(36).substr(2, 9),
-                task: 'handwashing',
-                start_time: this.sessionData.start_time || new Date(Date.now() - this.sessionData.duration).toISOString(),
-                end_time: this.sessionData.end_time,
-                duration: this.sessionData.duration,
-                steps: this.sessionData.steps,
-                score: this.sessionData.score,
-                metrics: {
-                    averageStepTime: this.sessionData.steps.length > 0 
-                        ? this.sessionData.steps.reduce((sum, s) => sum + s.duration, 0) / this.sessionData.steps.length 
-                        : 0,
-                    totalAttempts: this.sessionData.steps.length,
-                    handsDetectionRate: 0.98  // From pose detection metrics
-                },
-                feedback: this.sessionData.feedback || []
-            };
-            
-            const response = await fetch(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.sessions}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(sessionPayload)
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('✓ Session saved:', data.session_id);
-                
-                // Show success message
-                this.showFeedback('Session saved to cloud!', 'success');
-            } else {
-                console.warn('Failed to save session:', response.status);
+            sessions = (await this.sessionStore.list()).filter(s => !trainee || s.user_id === trainee.id);
+            this.historySessions = sessions;
+        } catch (error) {
+            console.error('Could not load session history:', error);
+            trendsEl.textContent = this.i18n.t('history.loadFailed');
+            listEl.innerHTML = '';
+            return;
+        }
+        
+        if (sessions.length === 0) {
+            trendsEl.textContent = this.i18n.t('history.empty');
+            listEl.innerHTML = '';
+            return;
+        }
+        
+        const t = (key, params) => this.i18n.t(key, params);
+        const moduleTitle = task => this.i18n.moduleText(task).title || task;
+        trendsEl.innerHTML = SessionStore.summarize(sessions).map(summary => `
+            <div class="history-trend">
+                <div><strong>${moduleTitle(summary.task)}</strong> · ${t('history.attempts', summary)}</div>
+                <div>${t('history.scores', summary)}
+                    ${summary.trend === null ? '' : `· ${t('history.trend', { trend: `${summary.trend >= 0 ? '▲ +' : '▼ '}${summary.trend}` })}`}</div>
+                ${this.renderSparkline(summary.scores)}
+            </div>
+        `).join('');
+        
+        listEl.innerHTML = sessions.slice().reverse().map(session => `
+            <details class="history-item">
+                <summary>
+                    ${new Date(session.end_time).toLocaleString(this.i18n.languageTag)} · ${moduleTitle(session.task)} ·
+                    <strong>${session.score}/100</strong> ${session.metrics && session.metrics.passed ? '✓' : '✗'} ·
+                    ${(session.duration / 1000).toFixed(1)}s
+                </summary>
+                <table>
+                    ${session.steps.map(step => `
+                        <tr>
+                            <td>${this.i18n.stepLabel(session.task, step.id, step.step)}</td>
+                            <td>${t('history.stepAt', { seconds: (step.completedAt / 1000).toFixed(1) })}</td>
+                            <td>${step.metrics ? t('history.stepActive', { seconds: step.metrics.activeSeconds }) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <div class="export-actions">
+                    <button data-session-id="${session.session_id}" data-export="json">JSON</button>
+                    <button data-session-id="${session.session_id}" data-export="csv">CSV</button>
+                    <button data-session-id="${session.session_id}" data-export="certificate">${t('history.certificate')}</button>
+                </div>
+            </details>
+        `).join('');
+    }
+
+    /**
+     * Instructor view: sessions from this browser and the backend, aggregated
+     * by module, cohort, trainee and step
+     */
+    async showDashboard() {
+        document.getElementById('dashboardScreen').style.display = 'block';
+        document.getElementById('closeDashboardBtn').focus();
+        const sourceEl = document.getElementById('dashboardSource');
+        sourceEl.textContent = this.i18n.t('dashboard.loading');
+        
+        let local = [];
+        let remote = [];
+        const notes = [];
+        if (this.sessionStore) {
+            try {
+                local = await this.sessionStore.list();
+            } catch (error) {
+                console.error('Could not load session history:', error);
             }
+        }
+        if (!this.analyticsKey) {
+            notes.push(this.i18n.t('dashboard.keyNeeded'));
+        } else {
+            try {
+                remote = await this.fetchAnalyticsSessions();
+            } catch (error) {
+                console.warn('Analytics backend unavailable:', error);
+                notes.push(this.i18n.t(error.keyRejected ? 'dashboard.keyRejected' : 'dashboard.backendUnavailable'));
+            }
+        }
+        
+        this.dashboardSessions = SessionAnalytics.merge(local, remote);
+        sourceEl.textContent = this.i18n.t('dashboard.source', {
+            total: this.dashboardSessions.length,
+            local: local.length,
+            remote: remote.length
+        }) + (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+        
+        const fillFilter = (id, allLabel, values, labelOf = value => value) => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` + values
+                .map(value => `<option value="${escapeHTML(value)}">${escapeHTML(labelOf(value))}</option>`)
+                .join('');
+            select.value = values.includes(selected) ? selected : '';
+        };
+        const distinct = key => [...new Set(this.dashboardSessions.map(s => s[key]).filter(Boolean))].sort();
+        fillFilter('dashboardCohort', this.i18n.t('dashboard.allCohorts'), distinct('cohort'));
+        fillFilter('dashboardModule', this.i18n.t('dashboard.allModules'), distinct('task'),
+            task => this.i18n.moduleText(task).title || task);
+        
+        this.renderDashboard();
+    }
+
+    /**
+     * Sessions stored by the backend, via its /analytics endpoint. Needs the
+     * instructor's analytics key, entered on the dashboard (kept in memory only).
+     */
+    async fetchAnalyticsSessions() {
+        const response = await fetch(`${CONFIG.api.baseURL}${CONFIG.api.endpoints.analytics}`, {
+            headers: { Authorization: `Bearer ${this.analyticsKey}` }
+        });
+        if (response.status === 401 || response.status === 403) {
+            throw Object.assign(new Error(`Analytics key rejected: ${response.status}`), { keyRejected: true });
+        }
+        if (!response.ok) {
+            throw new Error(`Analytics request failed: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.sessions || [];
+    }
+
+    renderDashboard() {
+        const sessions = SessionAnalytics.filter(this.dashboardSessions || [], {
+            cohort: document.getElementById('dashboardCohort').value,
+            task: document.getElementById('dashboardModule').value
+        });
+        const contentEl = document.getElementById('dashboardContent');
+        if (sessions.length === 0) {
+            contentEl.textContent = this.i18n.t('dashboard.empty');
+            return;
+        }
+        
+        const stats = SessionAnalytics.aggregate(sessions);
+        const t = (key, params) => this.i18n.t(key, params);
+        const moduleTitle = task => this.i18n.moduleText(task).title || task;
+        const stepLabel = s => this.i18n.stepLabel(s.task, s.id, s.step);
+        const percent = rate => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+        const table = (headers, rows) => `
+            <table class="dashboard-table">
+                <tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>
+                ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+            </table>
+        `;
+        const section = (title, body) => `<div class="history-trend"><strong>${title}</strong>${body}</div>`;
+        
+        const column = name => t(`column.${name}`);
+        
+        contentEl.innerHTML = [
+            section(t('dashboard.overview'), `
+                <div>${t('dashboard.overviewLine', { ...stats.totals, passRate: percent(stats.totals.passRate) })}</div>
+                ${this.renderSparkline(stats.trend.map(day => day.averageScore))}
+            `),
+            section(t('dashboard.struggles'), stats.struggles.length === 0
+                ? `<div>${t('dashboard.noHints')}</div>`
+                : table([column('step'), t('common.module'), column('hints'), column('hintRate')], stats.struggles.map(s =>
+                    [stepLabel(s), moduleTitle(s.task), s.hints, percent(s.hintRate)]))),
+            section(t('dashboard.byModule'), table([t('common.module'), column('sessions'), column('passRate'), column('avgScore')],
+                stats.modules.map(m => [moduleTitle(m.task), m.sessions, percent(m.passRate), m.averageScore]))),
+            section(t('dashboard.byCohort'), table([t('trainee.cohort'), column('trainees'), column('sessions'), column('passRate'), column('avgScore')],
+                stats.cohorts.map(c => [c.cohort || t('dashboard.noCohort'), c.trainees, c.sessions, percent(c.passRate), c.averageScore]))),
+            section(t('dashboard.byTrainee'), table([column('trainee'), t('trainee.cohort'), column('sessions'), column('passRate'), column('best'), column('latest')],
+                stats.trainees.map(trainee => [trainee.name, trainee.cohort, trainee.sessions, percent(trainee.passRate), trainee.best, trainee.latest]))),
+            section(t('dashboard.byStep'), table([column('step'), t('common.module'), column('attempts'), column('avgTime'), column('hintRate')],
+                stats.steps.map(s => [stepLabel(s), moduleTitle(s.task), s.attempts, `${s.averageSeconds}s`, percent(s.hintRate)]))),
+            section(t('dashboard.dailyTrend'), table([column('day'), column('sessions'), column('passRate'), column('avgScore')],
+                stats.trend.map(d => [d.day, d.sessions, percent(d.passRate), d.averageScore])))
+        ].join('');
+    }
+
+    signInTrainee(details) {
+        try {
+            const trainee = this.roster.signIn(details);
+            console.log(`✓ Signed in: ${trainee.name} (${trainee.id})`);
         } catch (error) {
-            console.error('Session save error:', error);
+            // The roster only rejects sign-ins without a name or ID
+            document.getElementById('traineeError').textContent = this.i18n.t('trainee.missing');
+            return;
         }
+        this.updateTraineeUI();
     }
 
-    calculateScore() {
-        const completedSteps = this.handWashingSteps.filter(s => s.completed).length;
-        const totalSteps = this.handWashingSteps.length;
-        return Math.round((completedSteps / totalSteps) * 100);
+    /**
+     * Show the sign-in form or the signed-in trainee; training needs a trainee
+     */
+    updateTraineeUI() {
+        const trainee = this.roster.current;
+        document.getElementById('traineeForm').style.display = trainee ? 'none' : 'flex';
+        document.getElementById('traineeSignedIn').style.display = trainee ? 'block' : 'none';
+        document.getElementById('traineeError').textContent = '';
+        document.getElementById('startBtn').disabled = !trainee || this.configErrors.length > 0;
+        
+        if (trainee) {
+            document.getElementById('traineeLabel').textContent = trainee.cohort
+                ? `${trainee.name} · ${trainee.cohort}`
+                : trainee.name;
+            return;
+        }
+        
+        const traineeSelect = document.getElementById('traineeSelect');
+        traineeSelect.style.display = this.roster.trainees.length > 0 ? 'block' : 'none';
+        traineeSelect.innerHTML = `<option value="">${this.i18n.t('trainee.select')}</option>`;
+        for (const listed of this.roster.trainees) {
+            const option = document.createElement('option');
+            option.value = listed.id;
+            option.textContent = listed.cohort ? `${listed.name} (${listed.cohort})` : listed.name;
+            traineeSelect.appendChild(option);
+        }
+        
+        const cohortList = document.getElementById('cohortList');
+        cohortList.innerHTML = '';
+        for (const cohort of this.roster.cohorts()) {
+            const option = document.createElement('option');
+            option.value = cohort;
+            cohortList.appendChild(option);
+        }
     }
 
-    startTraining() {
-        this.isTraining = true;
-        this.sessionStartTime = Date.now();
-        this.sessionData = { steps: [], score: 0, duration: 0 };
+    /**
+     * Download a session payload as 'json' or 'csv', or print its 'certificate'
+     */
+    exportSession(session, format) {
+        if (!session) return;
+        const moduleTitle = this.i18n.moduleText(session.task).title || session.task;
+        const baseName = `training_${session.task}_${session.session_id}`;
+        
+        if (format === 'json') {
+            SessionExport.download(`${baseName}.json`, SessionExport.toJSON(session), 'application/json');
+        } else if (format === 'csv') {
+            SessionExport.download(`${baseName}.csv`, SessionExport.toCSV(session), 'text/csv');
+        } else if (format === 'certificate') {
+            const traineeName = session.trainee_name || prompt(this.i18n.t('prompt.certificateName'));
+            if (!traineeName) return;
+            const html = SessionExport.certificateHTML(session, { traineeName, moduleTitle, i18n: this.i18n });
+            if (!SessionExport.printCertificate(html)) {
+                this.showFeedback(this.i18n.t('feedback.allowPopups'), 'info');
+            }
+        }
+    }
+
+    /**
+     * Inline SVG line of scores (0-100) in attempt order
+     */
+    renderSparkline(scores, width = 160, height = 32) {
+        if (scores.length < 2) return '';
+        const points = scores.map((score, i) =>
+            `${(i / (scores.length - 1) * width).toFixed(1)},${(height - score / 100 * height).toFixed(1)}`
+        ).join(' ');
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline points="${points}" fill="none" stroke="#00ff88" stroke-width="2"/>
+        </svg>`;
+    }
+
+    /**
+     * End-of-session report: score breakdown and per-step technique metrics
+     */
+    showReport() {
+        const sessionData = this.engine.sessionData;
+        const breakdown = sessionData.scoreBreakdown;
+        if (!breakdown) return;
+        
+        document.getElementById('reportSummary').textContent = this.i18n.t('report.summary', {
+            module: this.i18n.moduleText(this.engine.currentTask).title,
+            score: sessionData.score,
+            status: this.i18n.t(breakdown.passed ? 'report.passed' : 'report.notPassed'),
+            seconds: breakdown.seconds,
+            technique: Math.round(breakdown.technique * 100),
+            hints: breakdown.hints,
+            interruptions: breakdown.interruptions
+        });
         
-        // Reset all steps
-        for (const step of this.handWashingSteps) {
-            step.completed = false;
-            step.duration = 0;
-            step.hintProvided = false;
+        const format = (value, suffix = '') => (value === null || value === undefined ? '–' : `${value}${suffix}`);
+        const tbody = document.querySelector('#reportTable tbody');
+        tbody.innerHTML = '';
+        for (const step of this.engine.steps) {
+            const metrics = this.engine.getStepReport(step);
+            const objects = this.engine.hasObjectRules(step) ? this.engine.getObjectReport(step) : null;
+            const row = document.createElement('tr');
+            if (!step.completed) row.className = 'incomplete';
+            row.innerHTML = `
+                <td>${step.completed ? '✓' : '✗'} ${step.label}</td>
+                <td>${format(metrics.heldPercent, '%')}</td>
+                <td>${format(metrics.smoothness === null ? null : Math.round(metrics.smoothness * 100), '%')}</td>
+                <td>${format(metrics.rubbingFrequency, ' Hz')}</td>
+                <td>${format(metrics.symmetry === null ? null : Math.round(metrics.symmetry * 100), '%')}</td>
+                <td>${metrics.interruptions}</td>
+                <td class="${objects && objects.met === false ? 'flagged' : ''}">${this.formatObjectReport(objects)}</td>
+            `;
+            tbody.appendChild(row);
         }
         
-        // Reset AI coaching count
-        this.aiCoachingCount = 0;
+        document.getElementById('reportScreen').style.display = 'block';
+        document.getElementById('closeReportBtn').focus();
+    }
+
+    /**
+     * The finished session in the shape the backend's /sessions route expects
+     */
+    buildSessionPayload() {
+        const sessionData = this.engine.sessionData;
+        return {
+            session_id: sessionData.session_id || `sess_${Date.now()}`,
+            user_id: sessionData.user_id || 'anonymous',
+            trainee_name: sessionData.trainee_name || null,
+            cohort: sessionData.cohort || null,
+            locale: this.i18n.locale,
+            task: this.engine.currentTask,
+            start_time: sessionData.start_time || new Date(Date.now() - sessionData.duration).toISOString(),
+            end_time: sessionData.end_time,
+            duration: Math.round(sessionData.duration),
+            steps: sessionData.steps,
+            score: sessionData.score,
+            metrics: {
+                averageStepTime: sessionData.steps.length > 0 
+                    ? sessionData.steps.reduce((sum, s) => sum + s.duration, 0) / sessionData.steps.length 
+                    : 0,
+                totalAttempts: sessionData.steps.length,
+                handsDetectionRate: 0.98,  // From pose detection metrics
+                passed: sessionData.passed,
+                scoreBreakdown: sessionData.scoreBreakdown
+            },
+            feedback: sessionData.feedback || []
+        };
+    }
+
+    /**
+     * Keep the finished session in the browser's history (IndexedDB)
+     */
+    async storeSessionLocally(sessionPayload) {
+        if (!this.sessionStore || !CONFIG.analytics.saveSessionData) return;
         
-        this.speak('Welcome to hand washing training. Please show me your hands and follow the on-screen instructions.');
-        this.showFeedback('Training started! Show your hands to the camera.', 'success');
+        try {
+            await this.sessionStore.save(sessionPayload);
+            console.log('✓ Session stored locally');
+        } catch (error) {
+            console.error('Local session storage error:', error);
+        }
     }
 
-    resetTraining() {
-        this.isTraining = false;
-        this.handMotionHistory = [];
-        this.sessionData = { steps: [], score: 0, duration: 0 };
+    /**
+     * Queue the finished session for upload; the outbox retries until it gets through
+     */
+    async saveSession(sessionPayload) {
+        if (!CONFIG.api.uploadSessions) return;
         
-        for (const step of this.handWashingSteps) {
-            step.completed = false;
-            step.duration = 0;
+        try {
+            await this.outbox.enqueue(sessionPayload);
+        } catch (error) {
+            console.error('Session save error:', error);
+        }
+    }
+
+    /**
+     * Bearer token for session uploads (CONFIG.api.uploadToken)
+     */
+    uploadAuthHeaders() {
+        return CONFIG.api.uploadToken ? { Authorization: `Bearer ${CONFIG.api.uploadToken}` } : {};
+    }
+
+    async uploadSession(sessionPayload) {
+        const response = await fetch(`${CONFIG.api.baseURL}${CONFIG.api.endpoints.sessions}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.uploadAuthHeaders()
+            },
+            body: JSON.stringify(sessionPayload)
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Session upload failed: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        console.log('✓ Session saved:', data.session_id);
+    }
+
+    updateSyncStatus({ state, pending, nextRetryAt }) {
+        const labels = {
+            idle: '–',
+            synced: this.i18n.t('sync.synced'),
+            syncing: this.i18n.t('sync.syncing', { pending }),
+            offline: this.i18n.t('sync.offline', { pending }),
+            retrying: this.i18n.t('sync.retrying', { pending, time: new Date(nextRetryAt).toLocaleTimeString(this.i18n.languageTag) })
+        };
+        document.getElementById('syncStatus').textContent = labels[state];
+    }
+
+    startTraining() {
+        this.engine.start(this.now());
+        this.engine.sessionData.session_id = `sess_${Date.now()}`;
+        this.engine.sessionData.start_time = new Date().toISOString();
+        
+        const trainee = this.roster.current;
+        if (trainee) {
+            this.engine.sessionData.user_id = trainee.id;
+            this.engine.sessionData.trainee_name = trainee.name;
+            this.engine.sessionData.cohort = trainee.cohort;
         }
         
+        if (CONFIG.recording.enabled && !this.isReplaying) {
+            this.recorder.start({ module: this.engine.currentTask, steps: CONFIG[this.engine.module.steps] });
+        }
+        
+        // Restart the per-session coaching limit and look up the trainee's earlier attempts
+        this.coaching.reset();
+        this.loadTraineeHistory();
+        
+        this.speak(this.i18n.moduleText(this.engine.currentTask).welcome);
+        this.showFeedback(this.i18n.t('feedback.trainingStarted'), 'success');
+    }
+
+    resetTraining() {
+        this.engine.reset();
+        this.speech.clear();
+        this.coaching.cancel();
         this.updateChecklistUI();
         document.getElementById('stepIndicator').style.display = 'none';
+        document.getElementById('reportScreen').style.display = 'none';
+        document.getElementById('reportBtn').disabled = true;
+        this.announcedStepId = null;
+        this.debrief = null;
+        this.updateDebriefUI();
+    }
+
+    /**
+     * Feed a recording back through the trackers' result handlers and step
+     * validators. `speed` 1 plays in real time; 0 runs as fast as possible.
+     * Resolves with the replayed result and whether it matches the recording.
+     */
+    async replayRecording(recording, { speed = CONFIG.recording.replaySpeed } = {}) {
+        if (!this.loadModule(recording.module)) {
+            throw new Error(`Recording uses unknown module "${recording.module}"`);
+        }
+        this.engine.steps = this.engine.buildSteps(this.i18n.localizeSteps(recording.module, recording.steps));
+        
+        this.isReplaying = true;
+        this.resetTraining();
+        this.frameTimestamp = 0;
+        this.startTraining();
+        
+        try {
+            let previousT = 0;
+            for (const frame of recording.frames) {
+                if (!this.engine.isTraining) break;
+                if (speed > 0) {
+                    await new Promise(resolve => setTimeout(resolve, (frame.t - previousT) / speed));
+                }
+                previousT = frame.t;
+                this.frameTimestamp = frame.t;
+                
+                SessionRecorder.replayFrame(frame, {
+                    hands: (results) => this.onHandsDetected(results),
+                    pose: (results) => this.onPoseDetected(results),
+                    objects: (detections) => this.processDetections(detections),
+                    gap: () => this.engine.pauseClock()
+                });
+            }
+            
+            this.engine.isTraining = false;
+            const result = this.engine.getSessionResult();
+            const matches = !recording.result || (
+                JSON.stringify(result.steps) === JSON.stringify(recording.result.steps) &&
+                result.score === recording.result.score
+            );
+            
+            if (matches) {
+                console.log('✓ Replay matches recorded session:', result);
+            } else {
+                console.warn('Replay differs from recorded session', { recorded: recording.result, replayed: result });
+            }
+            return { result, matches };
+        } finally {
+            this.isReplaying = false;
+            this.frameTimestamp = null;
+        }
     }
 
     updateFPS() {
@@ -764,67 +1427,107 @@ class ARTrainingApp {
         
         this.lastFrameTime = now;
         
-        // Trigger object detection every second (if enabled)
-        if (API_CONFIG.objectDetectionEnabled && now - (this.lastObjectDetection || 0) > 1000) {
-            this.detectObjects();
-            this.lastObjectDetection = now;
+        // Send a frame for object detection when one is due (sendFramesPerSecond, one in flight)
+        if (this.detection && !this.isReplaying) {
+            this.detection.tick();
+            // Keep the retry countdown running between status changes
+            if (this.detectionStatus && this.detectionStatus.state === 'backoff') {
+                this.updateDetectionStatus(this.detectionStatus);
+            }
         }
     }
 
-    async detectObjects() {
-        if (!API_CONFIG.objectDetectionEnabled) return;
+    /**
+     * Object detection from downsized camera frames, encoded and uploaded by
+     * detection-worker.js; bounding boxes come back in video coordinates
+     */
+    createDetectionPipeline() {
+        const settings = CONFIG.objectDetection;
+        const uploader = new FrameUploader({
+            url: `${CONFIG.api.baseURL}${CONFIG.api.endpoints.detect}`,
+            quality: settings.jpegQuality,
+            timeoutMs: settings.requestTimeoutMs
+        });
         
-        try {
-            // Capture frame from video
-            const canvas = document.createElement('canvas');
-            canvas.width = this.video.videoWidth;
-            canvas.height = this.video.videoHeight;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(this.video, 0, 0);
-            
-            // Convert to blob
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
-            
-            // Send to API
-            const formData = new FormData();
-            formData.append('image', blob);
-            
-            const response = await fetch(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.detect}`, {
-                method: 'POST',
-                body: formData
+        return new DetectionPipeline({
+            capture: () => captureFrame(this.video, settings.frameWidth),
+            send: async (frame) => {
+                // The frame is handed over to the worker, so take its size first
+                const scale = this.video.videoWidth / frame.width;
+                return scaleDetections(await uploader.upload(frame), scale);
+            },
+            onResult: (detections) => {
+                if (!this.isReplaying) this.processDetections(detections);
+            },
+            onStatus: (status) => this.updateDetectionStatus(status),
+            framesPerSecond: settings.sendFramesPerSecond,
+            maxFrameAgeMs: settings.maxFrameAgeMs,
+            baseDelayMs: settings.retryDelayMs,
+            maxDelayMs: settings.maxRetryDelayMs
+        });
+    }
+
+    /**
+     * Status card line: round-trip latency and dropped frames, or the time left
+     * before retrying while the endpoint is down
+     */
+    updateDetectionStatus(status) {
+        this.detectionStatus = status;
+        const element = document.getElementById('detectionStatus');
+        const t = (key, params) => this.i18n.t(key, params);
+        let text;
+        if (!this.detection) {
+            text = t('detection.off');
+        } else if (!status || status.state === 'idle' || (status.state === 'sending' && status.latencyMs === null)) {
+            text = t('detection.waiting');
+        } else if (status.state === 'backoff') {
+            text = t('detection.backoff', { seconds: Math.ceil(this.detection.retryIn() / 1000) });
+        } else {
+            text = t('detection.ok', {
+                latency: status.latencyMs,
+                dropped: status.dropped + status.stale
             });
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.processDetections(data.detections);
-            }
-        } catch (error) {
-            console.error('Object detection error:', error);
         }
+        // Refreshed every frame during backoff, so only touch the DOM when the text changes
+        if (element.textContent !== text) element.textContent = text;
+        element.title = status && status.lastError ? status.lastError : '';
     }
 
     processDetections(detections) {
         // Store detected objects
-        this.detectedObjects = detections;
-        
-        // Check for required objects in current step
-        const currentStep = this.handWashingSteps.find(s => !s.completed);
-        if (!currentStep) return;
+        this.engine.setDetections(detections);
         
-        // Example: Check for soap in soap application step
-        if (currentStep.id === 'soap_application') {
-            const hasSoap = detections.some(d => 
-                (d.class_name === 'soap' || d.class_name === 'sanitizer') && 
-                d.confidence > 0.5
-            );
-            
-            if (hasSoap) {
-                console.log('✓ Soap detected!');
-                // Could boost score or provide positive feedback
-            }
+        if (this.engine.isTraining && !this.isReplaying) {
+            this.recorder.addDetections(this.now() - this.engine.sessionStartTime, detections);
         }
     }
 
+    /**
+     * A step set to enforce: 'block' is waiting for a required object or for a
+     * forbidden one to go (the engine asks once per step)
+     */
+    promptForObjects({ condition, objects }) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const names = objects.map(name => this.i18n.t(`object.${name}`, {}, name)).join(', ');
+        this.notify(t(condition === 'objectForbidden' ? 'objects.remove' : 'objects.show', { objects: names }),
+            { type: 'info', priority: 'instruction' });
+    }
+
+    /**
+     * Report cell for a step's required and forbidden objects
+     */
+    formatObjectReport(report) {
+        if (!report) return '–';
+        const t = (key, params) => this.i18n.t(key, params);
+        const names = list => list.map(name => this.i18n.t(`object.${name}`, {}, name)).join(', ');
+        if (report.met === null) return t('report.objectsUnchecked');
+        if (report.met) return '✓';
+        return [
+            report.missing.length > 0 ? t('report.objectsMissing', { objects: names(report.missing) }) : null,
+            report.forbidden.length > 0 ? t('report.objectsForbidden', { objects: names(report.forbidden) }) : null
+        ].filter(Boolean).map(text => `⚠ ${text}`).join(' · ');
+    }
+
     renderLoop() {
         // Draw AR overlays
         this.drawOverlays();
@@ -839,9 +1542,11 @@ class ARTrainingApp {
         this.drawDetectedObjects();
         
         // Draw training hints if training is active
-        if (this.isTraining && this.lastHandPositions.length > 0) {
+        const engine = this.engine;
+        const tracking = engine.lastHandPositions.length > 0 || (engine.usesTracker('pose') && engine.lastPose);
+        if (engine.isTraining && tracking) {
             // Find current active step
-            const currentStep = this.handWashingSteps.find(s => !s.completed);
+            const currentStep = engine.getActiveStep();
             
             if (currentStep) {
                 // Draw hint arrow or guide
@@ -854,20 +1559,22 @@ class ARTrainingApp {
      * Draw bounding boxes and labels for detected objects on the AR overlay
      */
     drawDetectedObjects() {
-        if (!this.detectedObjects || this.detectedObjects.length === 0) return;
+        const detectedObjects = this.engine.detectedObjects;
+        if (!detectedObjects || detectedObjects.length === 0) return;
         const ctx = this.overlayCtx;
-        ctx.lineWidth = 3;
-        ctx.font = '14px -apple-system, sans-serif';
+        const style = this.overlayStyle;
+        ctx.lineWidth = style.lineWidth + 1;
+        ctx.font = style.font(14);
         ctx.textBaseline = 'top';
         
-        for (const det of this.detectedObjects) {
+        for (const det of detectedObjects) {
             const [x1, y1, x2, y2] = det.bbox;
             const width = x2 - x1;
             const height = y2 - y1;
             
             // Choose color based on class for better visibility
-            ctx.strokeStyle = '#00ff88';
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = style.connection;
+            ctx.fillStyle = style.labelBox;
             
             // Draw bounding box
             ctx.strokeRect(x1, y1, width, height);
@@ -875,57 +1582,172 @@ class ARTrainingApp {
             // Draw label background
             const label = `${det.class_name} ${(det.confidence * 100).toFixed(0)}%`;
             const textWidth = ctx.measureText(label).width + 6;
-            const textHeight = 18;
+            const textHeight = Math.round(18 * style.scale);
             ctx.fillRect(x1, y1 - textHeight, textWidth, textHeight);
             
             // Draw label text
-            ctx.fillStyle = '#ffffff';
+            ctx.fillStyle = style.text;
             ctx.fillText(label, x1 + 3, y1 - textHeight + 2);
         }
     }
 
     drawStepGuide(step) {
         const ctx = this.overlayCtx;
+        const style = this.overlayStyle;
+        const scale = style.scale;
         const centerX = this.overlayCanvas.width / 2;
         
-        // Compact design at top - less intrusive
-        const barWidth = Math.min(280, this.overlayCanvas.width - 40);
-        const barHeight = 4;
-        const textY = 25;
-        const barY = textY + 8;
+        // Compact design at top - less intrusive (scaled up for large text)
+        const barWidth = Math.min(280 * scale, this.overlayCanvas.width - 40);
+        const barHeight = 4 * scale;
+        const textY = 10 + 15 * scale;
+        const barY = textY + 8 * scale;
         
         // Semi-transparent background box
         const boxPadding = 10;
-        const boxHeight = 36;
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        const boxHeight = (step.hint ? 54 : 36) * scale;
+        ctx.fillStyle = style.box;
         ctx.fillRect(centerX - barWidth / 2 - boxPadding, 10, barWidth + boxPadding * 2, boxHeight);
         
         // Step text - smaller, cleaner
-        ctx.font = '13px -apple-system, sans-serif';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.font = style.font(13);
+        ctx.fillStyle = style.text;
         ctx.textAlign = 'center';
         ctx.fillText(step.label, centerX, textY);
         
         // Progress bar
-        const progress = Math.min(1, step.duration / step.required);
-        const barX = centerX - barWidth / 2;
-        
-        // Background
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
-        
-        // Progress fill
-        ctx.fillStyle = '#4CAF50';
-        ctx.fillRect(barX, barY, barWidth * progress, barHeight);
+        if (CONFIG.ui.showProgressBar) {
+            const progress = Math.min(1, step.duration / step.required);
+            const barX = centerX - barWidth / 2;
+            
+            // Background
+            ctx.fillStyle = style.track;
+            ctx.fillRect(barX, barY, barWidth, barHeight);
+            
+            // Progress fill
+            ctx.fillStyle = style.progress;
+            ctx.fillRect(barX, barY, barWidth * progress, barHeight);
+        }
         
         // Time remaining - tiny text
-        const timeRemaining = Math.max(0, step.required - step.duration).toFixed(1);
-        ctx.font = '10px -apple-system, sans-serif';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-        ctx.fillText(`${timeRemaining}s`, centerX, barY + 14);
+        ctx.font = style.font(10);
+        ctx.fillStyle = style.mutedText;
+        ctx.fillText(this.formatTimeRemaining(step), centerX, barY + 14 * scale);
+        
+        // Hint for the current step
+        if (step.hint) {
+            ctx.font = style.font(11);
+            ctx.fillStyle = style.hint;
+            ctx.fillText(step.hint, centerX, barY + 28 * scale);
+        }
     }
 
     setupUI() {
+        // Settings that failed validation at startup
+        if (this.configErrors.length > 0) {
+            const errorsEl = document.getElementById('configErrors');
+            errorsEl.innerHTML = `<strong>${this.i18n.t('config.fix')}</strong>` +
+                `<ul>${this.configErrors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>`;
+            errorsEl.style.display = 'block';
+        }
+        
+        // Optional panels (CONFIG.ui)
+        if (!CONFIG.ui.showFPS) document.getElementById('fpsMetric').style.display = 'none';
+        if (!CONFIG.ui.showChecklist) document.getElementById('checklistCard').style.display = 'none';
+        
+        // Language picker
+        const localeSelect = document.getElementById('localeSelect');
+        for (const { id, name } of this.i18n.available()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            localeSelect.appendChild(option);
+        }
+        localeSelect.value = this.i18n.locale;
+        localeSelect.addEventListener('change', () => this.setLocale(localeSelect.value));
+        
+        // Module picker
+        const moduleSelect = document.getElementById('moduleSelect');
+        for (const id of Object.keys(CONFIG.modules)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.i18n.moduleText(id).title;
+            moduleSelect.appendChild(option);
+        }
+        moduleSelect.value = this.engine.currentTask;
+        moduleSelect.addEventListener('change', () => this.loadModule(moduleSelect.value));
+        
+        // Trainee sign-in and roster import
+        const traineeSelect = document.getElementById('traineeSelect');
+        traineeSelect.addEventListener('change', () => {
+            const listed = this.roster.find(traineeSelect.value);
+            if (listed) this.signInTrainee(listed);
+        });
+        document.getElementById('signInBtn').addEventListener('click', () => this.signInTrainee({
+            name: document.getElementById('traineeName').value,
+            id: document.getElementById('traineeId').value,
+            cohort: document.getElementById('traineeCohort').value
+        }));
+        document.getElementById('signOutBtn').addEventListener('click', () => {
+            this.roster.signOut();
+            this.updateTraineeUI();
+        });
+        const rosterFile = document.getElementById('rosterFile');
+        document.getElementById('importRosterBtn').addEventListener('click', () => rosterFile.click());
+        rosterFile.addEventListener('change', async () => {
+            const file = rosterFile.files[0];
+            rosterFile.value = '';
+            if (!file) return;
+            
+            try {
+                const { imported, skipped } = this.roster.importCSV(await file.text());
+                console.log(`✓ Roster imported: ${imported} trainees`);
+                this.updateTraineeUI();
+                if (skipped.length > 0) {
+                    const t = (key, params) => this.i18n.t(key, params);
+                    alert(t('alert.rosterSkipped', {
+                        count: imported,
+                        rows: skipped.map(entry => t(`roster.skip.${entry.reason}`, { row: entry.row })).join(', ')
+                    }));
+                }
+            } catch (error) {
+                console.error('Roster import failed:', error);
+                alert(this.i18n.t('alert.rosterFailed', { error: error.message }));
+            }
+        });
+        
+        // Translate static text and load the module's localized checklist
+        this.applyLocale();
+        
+        // Session history
+        document.getElementById('historyBtn').addEventListener('click', () => this.showHistory());
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const { sessionId, export: format } = e.target.dataset;
+            if (!format) return;
+            this.exportSession((this.historySessions || []).find(s => s.session_id === sessionId), format);
+        });
+        document.getElementById('exportHistoryBtn').addEventListener('click', () => {
+            if (!this.historySessions || this.historySessions.length === 0) return;
+            SessionExport.download('training_history.csv', SessionExport.toCSV(this.historySessions), 'text/csv');
+        });
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+            document.getElementById('historyScreen').style.display = 'none';
+            document.getElementById('historyBtn').focus();
+        });
+        
+        // Instructor dashboard
+        document.getElementById('dashboardBtn').addEventListener('click', () => this.showDashboard());
+        document.getElementById('dashboardCohort').addEventListener('change', () => this.renderDashboard());
+        document.getElementById('dashboardKey').addEventListener('change', (e) => {
+            this.analyticsKey = e.target.value.trim();
+            this.showDashboard();
+        });
+        document.getElementById('dashboardModule').addEventListener('change', () => this.renderDashboard());
+        document.getElementById('closeDashboardBtn').addEventListener('click', () => {
+            document.getElementById('dashboardScreen').style.display = 'none';
+            document.getElementById('dashboardBtn').focus();
+        });
+        
         // Start button
         document.getElementById('startBtn').addEventListener('click', () => {
             document.getElementById('startScreen').style.display = 'none';
@@ -939,31 +1761,109 @@ class ARTrainingApp {
             this.startTraining();
         });
         
+        // Session report
+        document.getElementById('reportBtn').addEventListener('click', () => this.showReport());
+        document.getElementById('reportExport').addEventListener('click', (e) => {
+            if (e.target.dataset.export) this.exportSession(this.lastSession, e.target.dataset.export);
+        });
+        document.getElementById('closeReportBtn').addEventListener('click', () => {
+            document.getElementById('reportScreen').style.display = 'none';
+            document.getElementById('reportBtn').focus();
+        });
+        
+        // Download the last session's tracking recording
+        document.getElementById('downloadRecordingBtn').addEventListener('click', () => {
+            if (!this.recorder.download()) {
+                this.showFeedback(this.i18n.t('feedback.noRecording'), 'info');
+            }
+        });
+        
+        // Replay a recording without the camera
+        const replayFile = document.getElementById('replayFile');
+        document.getElementById('replayBtn').addEventListener('click', () => replayFile.click());
+        replayFile.addEventListener('change', async () => {
+            const file = replayFile.files[0];
+            replayFile.value = '';
+            if (!file) return;
+            
+            try {
+                const recording = SessionRecorder.parse(await file.text());
+                document.getElementById('startScreen').style.display = 'none';
+                document.getElementById('container').style.display = 'block';
+                
+                const { result, matches } = await this.replayRecording(recording);
+                this.showFeedback(
+                    this.i18n.t(matches ? 'feedback.replayMatches' : 'feedback.replayDiffers', {
+                        completed: result.steps.length,
+                        total: this.engine.steps.length,
+                        score: result.score
+                    }),
+                    matches ? 'success' : 'info'
+                );
+            } catch (error) {
+                console.error('Replay failed:', error);
+                alert(this.i18n.t('alert.replayFailed', { error: error.message }));
+            }
+        });
+        
         // Exit button
         document.getElementById('exitBtn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to exit?')) {
+            if (confirm(this.i18n.t('confirm.exit'))) {
                 location.reload();
             }
         });
         
         // Minimize button - toggle UI visibility
-        document.getElementById('minimizeBtn').addEventListener('click', () => {
+        document.getElementById('minimizeBtn').addEventListener('click', (e) => {
             const ui = document.getElementById('ui');
-            ui.classList.toggle('hidden');
+            const hidden = ui.classList.toggle('hidden');
+            e.currentTarget.setAttribute('aria-pressed', String(hidden));
         });
         
-        // Make status cards collapsible
+        // Make status cards collapsible (click, Enter or Space on the header)
+        const setCollapsed = (card, collapsed) => {
+            card.classList.toggle('collapsed', collapsed);
+            card.querySelector('h3').setAttribute('aria-expanded', String(!collapsed));
+        };
         document.querySelectorAll('.status-card h3').forEach(header => {
-            header.addEventListener('click', (e) => {
-                const card = e.target.closest('.status-card');
-                card.classList.toggle('collapsed');
+            const card = header.closest('.status-card');
+            header.addEventListener('click', () => setCollapsed(card, !card.classList.contains('collapsed')));
+            header.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                setCollapsed(card, !card.classList.contains('collapsed'));
             });
         });
         
+        // Accessibility mode and keyboard shortcuts (see accessibility.js)
+        document.getElementById('accessibilityBtn').addEventListener('click', () => {
+            this.setAccessibilityMode(!this.accessibilityMode);
+        });
+        this.applyAccessibility();
+        document.addEventListener('keydown', (e) => {
+            const action = Accessibility.shortcut(e);
+            if (action && this.handleShortcut(action)) e.preventDefault();
+        });
+        
+        // Retry queued session uploads as soon as the connection returns
+        const syncError = error => console.error('Session sync error:', error);
+        window.addEventListener('online', () => this.outbox.retryNow().catch(syncError));
+        window.addEventListener('offline', () => this.outbox.flush().catch(syncError));
+        
+        // Don't credit step time for frames missed while the tab was hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && !this.isReplaying) {
+                this.engine.pauseClock();
+                if (this.engine.isTraining) {
+                    this.recorder.addGap(performance.now() - this.engine.sessionStartTime);
+                }
+            }
+        });
+        
         // Auto-collapse system status after 5 seconds
         setTimeout(() => {
             const systemCard = document.querySelector('.status-card');
-            if (systemCard) systemCard.classList.add('collapsed');
+            if (systemCard) setCollapsed(systemCard, true);
         }, 5000);
     }
 }
@@ -971,6 +1871,10 @@ class ARTrainingApp {
 // Initialize app when page loads
 let app;
 window.addEventListener('load', async () => {
-    app = new ARTrainingApp();
+    // Overrides and validation run before anything reads CONFIG
+    const configErrors = await ConfigLoader.apply(CONFIG, { search: window.location.search, detectors: STEP_DETECTORS });
+    configErrors.forEach(error => console.error(`Config: ${error}`));
+    
+    app = new ARTrainingApp({ configErrors });
     await app.init();
 });
\ No newline at end of file
@@ -3,13 +3,17 @@ Healthcare AR Training - FastAPI Backend
 Provides object detection and AI coaching endpoints
 """
 
-from fastapi import FastAPI, File, UploadFile, HTTPException
+from fastapi import FastAPI, File, UploadFile, HTTPException, Header
 from fastapi.middleware.cors import CORSMiddleware
 from pydantic import BaseModel
 import os
-from typing import List
+from typing import List, Optional
+import asyncio
+import hmac
+import json
 import logging
 import time
+import urllib.request
 
 # Try to import YOLO, but don't fail if it's not available
 try:
@@ -46,6 +50,30 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# Sessions received so far (in memory), keyed by session_id so client retries
+# of the same upload are not double counted
+received_sessions = {}
+
+# Coaching model (any OpenAI-compatible chat completions API). The key stays on
+# the server; without one /ai-coach answers with rule-based messages.
+COACH_API_KEY = os.environ.get("COACH_API_KEY", "")
+COACH_BASE_URL = os.environ.get("COACH_BASE_URL", "https://openrouter.ai/api/v1")
+COACH_MODEL = os.environ.get("COACH_MODEL", "anthropic/claude-3.5-sonnet")
+COACH_TIMEOUT_S = float(os.environ.get("COACH_TIMEOUT_S", "3"))
+COACH_SYSTEM_PROMPT = (
+    "You are a friendly healthcare training coach. Give brief, encouraging feedback "
+    "in 1-2 sentences. Be supportive and specific about technique."
+)
+COACH_LANGUAGES = {"en": "English", "es": "Spanish"}
+
+# Separate bearer tokens (Authorization: Bearer <token>) for the two session
+# paths. UPLOAD_TOKEN only lets browsers add sessions, so it can ship in the
+# app's config; uploads are open while it is unset. ANALYTICS_TOKEN is the
+# instructors' key to /analytics, which returns every trainee's named sessions
+# and stays off until it is set.
+UPLOAD_TOKEN = os.environ.get("UPLOAD_TOKEN", "")
+ANALYTICS_TOKEN = os.environ.get("ANALYTICS_TOKEN", "")
+
 # Load YOLO model with PyTorch 2.6+ fix
 model = None
 if YOLO_AVAILABLE:
@@ -83,11 +111,30 @@ class AICoachRequest(BaseModel):
     duration: float
     motion_type: str
     previous_attempts: int
+    step_label: Optional[str] = None
+    module: Optional[str] = None
+    issue: Optional[str] = None
+    condition: Optional[str] = None
+    metrics: Optional[dict] = None
+    history: Optional[dict] = None
+    locale: Optional[str] = None
+
+
+class AIDebriefRequest(BaseModel):
+    module: Optional[str] = None
+    locale: Optional[str] = None
+    score: int
+    passed: bool
+    previous_score: Optional[int] = None
+    steps: List[dict]
 
 
 class SessionRequest(BaseModel):
     session_id: str
     user_id: str
+    trainee_name: Optional[str] = None
+    cohort: Optional[str] = None
+    locale: Optional[str] = None
     task: str
     start_time: str
     end_time: str
@@ -106,7 +153,7 @@ async def root():
         "service": "Healthcare AR Training API",
         "version": "1.0.0",
         "model_loaded": model is not None,
-        "endpoints": ["/detect", "/ai-coach", "/sessions", "/health"]
+        "endpoints": ["/detect", "/ai-coach", "/ai-debrief", "/sessions", "/health"]
     }
 
 
@@ -154,7 +201,7 @@ async def detect_objects(image: UploadFile = File(...)):
                 
                 # Filter for relevant objects
                 if any(obj in class_name.lower() for obj in 
-                       ['bottle', 'cup', 'person', 'hand', 'book']):
+                       ['bottle', 'cup', 'person', 'hand', 'book', 'mask', 'glove']):
                     detections.append(Detection(
                         class_name=class_name,
                         confidence=confidence,
@@ -179,13 +226,27 @@ async def detect_objects(image: UploadFile = File(...)):
 @app.post("/ai-coach")
 async def ai_coach(request: AICoachRequest):
     """
-    Provide AI coaching feedback
+    Provide AI coaching feedback: from the coaching model when COACH_API_KEY is
+    set, else rule-based. Rule-based messages are English only; for other
+    locales the feedback is null and the client uses its own step messages.
     """
+    if COACH_API_KEY:
+        try:
+            feedback = await asyncio.to_thread(request_model_feedback, request)
+            if feedback:
+                return {"feedback": feedback, "source": "model", "step": request.current_step}
+        except Exception as e:
+            logger.warning(f"Coaching model unavailable, using rules: {e}")
+    
+    if request.locale not in (None, "en"):
+        return {"feedback": None, "source": "none", "step": request.current_step}
+    
     feedback = generate_feedback(
         request.current_step,
         request.duration,
         request.motion_type,
-        request.previous_attempts
+        request.previous_attempts,
+        request.condition
     )
     
     return {
@@ -195,9 +256,116 @@ async def ai_coach(request: AICoachRequest):
     }
 
 
-def generate_feedback(step: str, duration: float, motion_type: str, attempts: int) -> str:
+@app.post("/ai-debrief")
+async def ai_debrief(request: AIDebriefRequest):
+    """
+    End-of-session debrief from the coaching model. Without COACH_API_KEY (or
+    if the model fails) the debrief is null and the client shows its own.
+    """
+    if COACH_API_KEY:
+        try:
+            debrief = await asyncio.to_thread(request_model_debrief, request)
+            if debrief:
+                return {"feedback": debrief, "source": "model"}
+        except Exception as e:
+            logger.warning(f"Coaching model unavailable for debrief: {e}")
+    
+    return {"feedback": None, "source": "none"}
+
+
+def request_model_feedback(request: AICoachRequest) -> Optional[str]:
+    """Ask the coaching model for 1-2 sentences (blocking; run in a thread)"""
+    language = COACH_LANGUAGES.get((request.locale or "en").split("-")[0], "English")
+    metrics = request.metrics or {}
+    history = request.history or {}
+    prompt = (
+        f"Trainee is practicing {request.module or 'hand washing'}. "
+        f"Current step: \"{request.step_label or request.current_step}\". "
+        f"Issue: {request.issue or request.motion_type}. "
+        f"Detected problem: {request.condition or 'none'}. "
+        f"Time on this step: {request.duration:.1f} seconds. "
+        f"Correct technique held: {metrics.get('heldPercent', 'unknown')}% of the time. "
+        f"Attempts at holding the position: {request.previous_attempts}. "
+        f"Earlier sessions: {history.get('sessions', 0)}, "
+        f"needed a hint on this step in {history.get('hints', 0)} of them. "
+        f"Give brief, encouraging coaching (1-2 sentences max) that addresses the detected problem, in {language}."
+    )
+    return request_model(prompt, max_tokens=100)
+
+
+def request_model_debrief(request: AIDebriefRequest) -> Optional[str]:
+    """Ask the coaching model for a short session debrief (blocking; run in a thread)"""
+    language = COACH_LANGUAGES.get((request.locale or "en").split("-")[0], "English")
+    steps = "; ".join(
+        f"{s.get('label', s.get('id'))}: {'completed' if s.get('completed') else 'not completed'}, "
+        f"quality {s.get('quality')}, {'hint needed' if s.get('hinted') else 'no hint'}, "
+        f"main problem {s.get('condition') or 'none'}"
+        for s in request.steps
+    )
+    previous = f" Previous score: {request.previous_score}/100." if request.previous_score is not None else ""
+    prompt = (
+        f"Trainee finished {request.module or 'hand washing'} with {request.score}/100 "
+        f"({'passed' if request.passed else 'not passed'}).{previous} Steps: {steps}. "
+        f"Write a short, encouraging debrief (2-3 sentences max) in {language}: "
+        f"what went well and what to practice next."
+    )
+    return request_model(prompt, max_tokens=200)
+
+
+def request_model(prompt: str, max_tokens: int) -> Optional[str]:
+    """One chat completion from the coaching model"""
+    body = json.dumps({
+        "model": COACH_MODEL,
+        "messages": [
+            {"role": "system", "content": COACH_SYSTEM_PROMPT},
+            {"role": "user", "content": prompt}
+        ],
+        "max_tokens": max_tokens,
+        "temperature": 0.7
+    }).encode("utf-8")
+    http_request = urllib.request.Request(
+        f"{COACH_BASE_URL}/chat/completions",
+        data=body,
+        headers={"Authorization": f"Bearer {COACH_API_KEY}", "Content-Type": "application/json"},
+        method="POST"
+    )
+    with urllib.request.urlopen(http_request, timeout=COACH_TIMEOUT_S) as response:
+        data = json.loads(response.read())
+    return data["choices"][0]["message"]["content"].strip() or None
+
+
+# Rule-based tips for the condition a struggling step is failing on (see STEP_CONDITIONS)
+CONDITION_TIPS = {
+    "noHands": "Hold your hands up where the camera can see them.",
+    "oneHand": "Keep both hands in view of the camera.",
+    "noPose": "Step back so your whole body is in view.",
+    "objectMissing": "Show the item for this step to the camera.",
+    "objectForbidden": "Remove the item that shouldn't be in view.",
+    "handsTooFar": "Bring your hands closer together.",
+    "noCircularMotion": "Rub your palms together in small circles.",
+    "notInterlaced": "Interlace your fingers fully.",
+    "noVerticalMotion": "Move your hands up and down.",
+    "handNotCovered": "Place one palm over the back of the other hand.",
+    "backNotRubbed": "Rub the back of your hand with the other palm.",
+    "noMotion": "Keep your hands moving.",
+    "thumbNotClasped": "Wrap your fingers around your thumb and rotate.",
+    "handsTooClose": "Spread your arms wider apart.",
+    "handsNotAtFace": "Raise both hands to your face.",
+    "wristNotGripped": "Grip your other wrist with your hand.",
+    "feetPlacement": "Place your feet about shoulder-width apart.",
+    "kneesStraight": "Bend your knees.",
+    "backBent": "Keep your back straight.",
+    "loadFar": "Hold the load close to your body."
+}
+
+
+def generate_feedback(step: str, duration: float, motion_type: str, attempts: int,
+                      condition: Optional[str] = None) -> str:
     """Generate coaching feedback"""
     
+    if motion_type == "struggling" and condition in CONDITION_TIPS:
+        return CONDITION_TIPS[condition]
+    
     feedback_map = {
         "hands_visible": "Great! Keep your hands clearly visible.",
         "wetting_motion": "Good wetting motion! Cover all surfaces.",
@@ -211,9 +379,26 @@ def generate_feedback(step: str, duration: float, motion_type: str, attempts: in
     return feedback_map.get(step, "Keep up the good work!")
 
 
+def has_valid_token(authorization: Optional[str], token: str) -> bool:
+    """Whether the Authorization header carries `token`"""
+    return bool(token) and hmac.compare_digest(authorization or "", f"Bearer {token}")
+
+
 @app.post("/sessions")
-async def save_session(session: SessionRequest):
+async def save_session(session: SessionRequest, authorization: Optional[str] = Header(None)):
     """Save training session"""
+    if UPLOAD_TOKEN and not has_valid_token(authorization, UPLOAD_TOKEN):
+        raise HTTPException(status_code=401, detail="Invalid or missing upload token")
+    
+    if session.session_id in received_sessions:
+        logger.info(f"Duplicate session upload: {session.session_id}")
+        return {
+            "status": "duplicate",
+            "session_id": session.session_id,
+            "message": "Session already saved"
+        }
+    
+    received_sessions[session.session_id] = session.model_dump()
     logger.info(f"Session: {session.session_id}, Score: {session.score}")
     
     return {
@@ -224,12 +409,26 @@ async def save_session(session: SessionRequest):
 
 
 @app.get("/analytics")
-async def get_analytics():
-    """Get analytics"""
+async def get_analytics(cohort: Optional[str] = None, task: Optional[str] = None,
+                        authorization: Optional[str] = Header(None)):
+    """Session totals plus the session records, for the instructor dashboard"""
+    if not ANALYTICS_TOKEN:
+        raise HTTPException(status_code=403, detail="Set ANALYTICS_TOKEN on the backend to enable /analytics")
+    if not has_valid_token(authorization, ANALYTICS_TOKEN):
+        raise HTTPException(status_code=401, detail="Invalid or missing analytics token")
+    
+    sessions = [
+        s for s in received_sessions.values()
+        if (cohort is None or s.get("cohort") == cohort) and (task is None or s["task"] == task)
+    ]
+    passed = sum(1 for s in sessions if s["metrics"].get("passed"))
+    
     return {
-        "total_sessions": 0,
-        "average_score": 0,
-        "message": "Analytics endpoint"
+        "total_sessions": len(sessions),
+        "trainees": len({s["user_id"] for s in sessions}),
+        "average_score": round(sum(s["score"] for s in sessions) / len(sessions), 1) if sessions else 0,
+        "pass_rate": round(passed / len(sessions), 2) if sessions else 0,
+        "sessions": sessions
     }
 
 
@@ -0,0 +1,262 @@
+/**
+ * Healthcare AR Training - Coaching Providers
+ * Gets a short coaching message for a completed or struggling step, and the
+ * end-of-session debrief, from the provider named by CONFIG.aiCoaching.provider,
+ * with a timeout, cancellation and a built-in message as the fallback. No API
+ * keys live in the browser: hosted models are reached through the backend.
+ */
+
+/**
+ * Each provider resolves with the coaching text (or null for none).
+ * `request`: { kind: 'completed' | 'struggling' | 'debrief', locale, moduleId,
+ * moduleTitle, traineeId, stepId, stepLabel, issue, condition, metrics, history,
+ * duration, attempts, fallback, systemPrompt, userPrompt }. Debriefs have no
+ * step; they carry the session `summary` given to buildDebrief instead.
+ */
+const COACHING_PROVIDERS = {
+    /**
+     * The app's own backend, which keeps the model key server-side and answers
+     * with its rule-based messages when no model is configured
+     */
+    async backend(request, { config, fetchFn, signal }) {
+        const debrief = request.kind === 'debrief';
+        const endpoint = debrief ? config.api.endpoints.aiDebrief : config.api.endpoints.aiCoach;
+        const body = debrief
+            ? {
+                module: request.moduleTitle,
+                locale: request.locale,
+                score: request.summary.score,
+                passed: request.summary.passed,
+                previous_score: request.summary.history ? request.summary.history.lastScore : null,
+                steps: request.summary.steps
+            }
+            : {
+                current_step: request.stepId,
+                step_label: request.stepLabel,
+                module: request.moduleTitle,
+                issue: request.issue,
+                condition: request.condition,
+                metrics: request.metrics,
+                history: request.history,
+                duration: request.duration,
+                motion_type: request.kind,
+                previous_attempts: request.attempts,
+                locale: request.locale
+            };
+        const response = await fetchFn(`${config.api.baseURL}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return data.feedback || null;
+    },
+
+    /**
+     * Any OpenAI-compatible chat completions server that needs no key from the
+     * browser (a local model server, or a proxy that adds its own credentials)
+     */
+    async openai(request, { config, fetchFn, signal }) {
+        const settings = config.aiCoaching.openai;
+        const response = await fetchFn(`${settings.baseURL}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: settings.model,
+                messages: [
+                    { role: 'system', content: request.systemPrompt },
+                    { role: 'user', content: request.userPrompt }
+                ],
+                max_tokens: settings.maxTokens,
+                temperature: settings.temperature
+            }),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return data.choices && data.choices[0] ? data.choices[0].message.content : null;
+    },
+
+    /**
+     * Rule-based, without any network: the step's own feedback or hint
+     */
+    async rules(request) {
+        return request.fallback;
+    },
+
+    /**
+     * Offline stand-in for a model, for demos and development: a templated
+     * message after `local.delayMs`
+     */
+    async local(request, { config, translate }) {
+        await new Promise(resolve => setTimeout(resolve, config.aiCoaching.local.delayMs));
+        return translate(`coach.standIn.${request.kind}`, {
+            step: request.stepLabel,
+            seconds: request.duration.toFixed(1),
+            fallback: request.fallback || ''
+        });
+    }
+};
+
+/**
+ * The offline debrief, the same for the same session: `summary` is { score,
+ * passed, history, steps: [{ id, label, completed, quality, hinted, attempts,
+ * condition }] } with `history` from SessionAnalytics.traineeHistory (or null).
+ * Strengths are the best clean steps, practice the unfinished, hinted or weakest
+ * ones with the condition they failed on. `settings` is CONFIG.aiCoaching.debrief.
+ */
+function buildDebrief(summary, settings, translate = key => key) {
+    const { steps, score, history } = summary;
+    const strengths = steps
+        .filter(s => s.completed && !s.hinted && s.quality >= settings.strengthQuality)
+        .sort((a, b) => b.quality - a.quality)
+        .slice(0, settings.maxItems);
+    const practice = steps
+        .filter(s => !s.completed || s.hinted || s.quality < settings.practiceQuality)
+        .sort((a, b) => a.completed - b.completed || b.hinted - a.hinted || a.quality - b.quality)
+        .slice(0, settings.maxItems);
+    const recurring = practice.filter(s => history && history.steps[s.id] && history.steps[s.id].hints > 0);
+    const scoreChange = history && history.lastScore !== null ? score - history.lastScore : null;
+
+    const lines = [
+        strengths.length > 0
+            ? translate('debrief.strengths', { steps: strengths.map(s => s.label).join(', ') })
+            : translate('debrief.noStrengths'),
+        practice.length > 0
+            ? translate('debrief.practice', {
+                steps: practice.map(s => (s.condition
+                    ? translate('debrief.practiceItem', { step: s.label, condition: translate(`condition.${s.condition}`) })
+                    : s.label)).join(', ')
+            })
+            : translate('debrief.noPractice')
+    ];
+    if (recurring.length > 0) {
+        lines.push(translate('debrief.recurring', { steps: recurring.map(s => s.label).join(', ') }));
+    }
+    if (scoreChange !== null) {
+        lines.push(translate(scoreChange > 0 ? 'debrief.improved' : scoreChange < 0 ? 'debrief.declined' : 'debrief.same',
+            { points: Math.abs(scoreChange) }));
+    }
+
+    return {
+        strengths: strengths.map(s => s.id),
+        practice: practice.map(s => s.id),
+        scoreChange,
+        text: lines.join(' ')
+    };
+}
+
+class CoachingClient {
+    /**
+     * `translate(key, params)` localizes the local stand-in's messages.
+     * An unknown provider falls back to 'rules' rather than stopping the app.
+     */
+    constructor({ config, fetchFn = (...args) => fetch(...args), translate = key => key }) {
+        this.config = config;
+        this.fetchFn = fetchFn;
+        this.translate = translate;
+        this.providerName = config.aiCoaching.provider;
+        if (!COACHING_PROVIDERS[this.providerName]) {
+            // ConfigLoader reports it; coaching carries on with the steps' own messages
+            console.warn(`Unknown coaching provider "${this.providerName}", using "rules"`);
+            this.providerName = 'rules';
+        }
+        this.provider = COACHING_PROVIDERS[this.providerName];
+
+        this.cache = new Map();
+        this.count = 0;
+        this.controllers = new Set();
+    }
+
+    /**
+     * Resolves with { text, source }: the provider's message (source is the
+     * provider name, or 'cache'), the request's fallback when the provider
+     * fails, times out or the session limit is reached (source 'fallback'),
+     * or text null when cancelled (source 'cancelled').
+     * Step messages are cached per trainee, step and failing condition; with
+     * debriefs on, the last of maxFeedbackPerSession is kept for the debrief.
+     */
+    async coach(request) {
+        const debrief = request.kind === 'debrief';
+        const cacheKey = debrief ? null : [
+            request.locale, request.moduleId, request.traineeId || 'anonymous',
+            request.stepId, request.kind, request.condition || 'none'
+        ].join('_');
+        if (cacheKey && this.cache.has(cacheKey)) {
+            return { text: this.cache.get(cacheKey), source: 'cache' };
+        }
+        const settings = this.config.aiCoaching;
+        const limit = settings.maxFeedbackPerSession - (settings.debrief.enabled && !debrief ? 1 : 0);
+        if (this.count >= limit) {
+            return { text: request.fallback || null, source: 'fallback' };
+        }
+
+        const controller = new AbortController();
+        this.controllers.add(controller);
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.config.aiCoaching.timeoutMs);
+        // Providers that ignore the signal still lose the race against it
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+        });
+
+        try {
+            const text = await Promise.race([
+                this.provider(request, {
+                    config: this.config,
+                    fetchFn: this.fetchFn,
+                    translate: this.translate,
+                    signal: controller.signal
+                }),
+                aborted
+            ]);
+            if (!text || !text.trim()) {
+                throw new Error('empty response');
+            }
+            if (cacheKey) this.cache.set(cacheKey, text.trim());
+            this.count++;
+            return { text: text.trim(), source: this.providerName };
+        } catch (error) {
+            if (controller.signal.aborted && !timedOut) {
+                return { text: null, source: 'cancelled' };
+            }
+            console.warn(`Coaching (${this.providerName}) ${timedOut ? 'timed out' : 'failed'}: ${error.message}`);
+            return { text: request.fallback || null, source: 'fallback' };
+        } finally {
+            clearTimeout(timer);
+            this.controllers.delete(controller);
+        }
+    }
+
+    /**
+     * Abandon every request in flight (reset, exit, training finished)
+     */
+    cancel() {
+        for (const controller of this.controllers) {
+            controller.abort();
+        }
+        this.controllers.clear();
+    }
+
+    /**
+     * New training session: cancel pending requests and restart the per-session limit
+     */
+    reset() {
+        this.cancel();
+        this.count = 0;
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CoachingClient, COACHING_PROVIDERS, buildDebrief };
+}
@@ -0,0 +1,332 @@
+/**
+ * Healthcare AR Training - Config Overrides & Validation
+ * Applies overrides to CONFIG at startup, from a JSON file (?config=overrides.json)
+ * and then from dotted URL parameters (?voice.rate=1.2&handTracking.maxNumHands=1),
+ * and checks the result so bad settings fail with a clear message
+ */
+
+// Type and range rules by dotted path; `*` matches any key at that level.
+// Settings without a rule only have to keep their default's type.
+const CONFIG_RULES = {
+    'currentModule': { type: 'string' },
+    'handTracking.maxNumHands': { type: 'number', integer: true, min: 1, max: 4 },
+    'handTracking.modelComplexity': { type: 'number', values: [0, 1] },
+    'handTracking.minDetectionConfidence': { type: 'number', min: 0, max: 1 },
+    'handTracking.minTrackingConfidence': { type: 'number', min: 0, max: 1 },
+    'handTracking.identityMaxJump': { type: 'number', min: 0, max: 1 },
+    'handTracking.identityTimeoutMs': { type: 'number', min: 0 },
+    'poseTracking.modelComplexity': { type: 'number', values: [0, 1, 2] },
+    'poseTracking.minDetectionConfidence': { type: 'number', min: 0, max: 1 },
+    'poseTracking.minTrackingConfidence': { type: 'number', min: 0, max: 1 },
+    'performance.skipFrames': { type: 'number', integer: true, min: 1 },
+    'performance.maxHistoryLength': { type: 'number', integer: true, min: 1 },
+    'performance.historyWindowMs': { type: 'number', min: 100 },
+    'performance.maxFrameDelta': { type: 'number', min: 0.01, max: 5 },
+    'motionThresholds.*': { type: 'number', min: 0 },
+    'motionThresholds.thumbClaspFingertips': { type: 'number', integer: true, min: 1, max: 4 },
+    'motionThresholds.thumbTwistFrames': { type: 'number', integer: true, min: 2 },
+    'voice.rate': { type: 'number', min: 0.1, max: 10 },
+    'voice.pitch': { type: 'number', min: 0, max: 2 },
+    'voice.volume': { type: 'number', min: 0, max: 1 },
+    'voice.cooldownMs': { type: 'number', min: 0 },
+    'voice.maxQueueLength': { type: 'number', integer: true, min: 1 },
+    'voice.maxWaitMs': { type: 'number', min: 0 },
+    'aiCoaching.maxFeedbackPerSession': { type: 'number', integer: true, min: 0 },
+    'aiCoaching.provider': { type: 'string', values: ['backend', 'openai', 'rules', 'local'] },
+    'aiCoaching.timeoutMs': { type: 'number', min: 100 },
+    'aiCoaching.openai.baseURL': { type: 'string', pattern: /^https?:\/\/[^/]+/, patternText: 'an http(s) URL' },
+    'aiCoaching.openai.maxTokens': { type: 'number', integer: true, min: 1 },
+    'aiCoaching.openai.temperature': { type: 'number', min: 0, max: 2 },
+    'aiCoaching.local.delayMs': { type: 'number', min: 0 },
+    'aiCoaching.debrief.strengthQuality': { type: 'number', min: 0, max: 1 },
+    'aiCoaching.debrief.practiceQuality': { type: 'number', min: 0, max: 1 },
+    'aiCoaching.debrief.maxItems': { type: 'number', integer: true, min: 1 },
+    'objectDetection.sendFramesPerSecond': { type: 'number', min: 0.1, max: 10 },
+    'objectDetection.frameWidth': { type: 'number', integer: true, min: 64 },
+    'objectDetection.jpegQuality': { type: 'number', min: 0.1, max: 1 },
+    'objectDetection.requestTimeoutMs': { type: 'number', min: 100 },
+    'objectDetection.maxFrameAgeMs': { type: 'number', min: 100 },
+    'objectDetection.retryDelayMs': { type: 'number', min: 100 },
+    'objectDetection.maxRetryDelayMs': { type: 'number', min: 100 },
+    'objectDetection.confidenceThreshold': { type: 'number', min: 0, max: 1 },
+    'objectDetection.maxAgeMs': { type: 'number', min: 0 },
+    'objectDetection.enforce': { type: 'string', values: ['block', 'flag'] },
+    'api.baseURL': { type: 'string', pattern: /^https?:\/\/[^/]+/, patternText: 'an http(s) URL' },
+    'scoring.passingScore': { type: 'number', min: 0, max: 100 },
+    'scoring.*': { type: 'number', min: 0 },
+    'recording.maxFrames': { type: 'number', integer: true, min: 1 },
+    'recording.replaySpeed': { type: 'number', min: 0 },
+    'ui.captions.fontSize': { type: 'string', pattern: /^\d+(\.\d+)?(px|rem|em)$/, patternText: 'a CSS size like "16px"' },
+    'ui.captions.duration': { type: 'number', min: 0 },
+    'accessibility.largeTextScale': { type: 'number', min: 1, max: 3 },
+    'accessibility.feedbackMinMs': { type: 'number', min: 0 },
+    'accessibility.feedbackMsPerWord': { type: 'number', min: 0 }
+};
+
+// Keys that would reach Object.prototype instead of a setting
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Settings that decide where sessions, metrics and credentials are sent. A link
+// must not redirect them, so they only come from config.js or a ?config= file
+// on this site.
+const URL_LOCKED = ['api.baseURL', 'api.endpoints', 'api.uploadToken', 'aiCoaching.openai.baseURL'];
+
+const ConfigLoader = {
+    /**
+     * Apply the file and URL overrides named in `search` to `config` (in place)
+     * and validate it. Resolves with a list of error messages, empty when the
+     * config is usable. `detectors` (STEP_DETECTORS) enables step checks.
+     * `?config=` files must be on the same origin as `base` (the page's URL).
+     */
+    async apply(config, {
+        search = '',
+        detectors = null,
+        fetchJSON = loadJSON,
+        base = typeof location !== 'undefined' ? location.href : 'http://localhost/'
+    } = {}) {
+        const errors = [];
+        const params = new URLSearchParams(search);
+
+        const file = params.get('config');
+        if (file && !isSameOrigin(file, base)) {
+            errors.push(`Config file "${file}" must be on this site`);
+        } else if (file) {
+            try {
+                errors.push(...this.merge(config, await fetchJSON(file)));
+                console.log(`✓ Config overrides loaded from ${file}`);
+            } catch (error) {
+                errors.push(`Could not load config file "${file}": ${error.message}`);
+            }
+        }
+
+        errors.push(...this.merge(config, this.fromQuery(params, config, errors)));
+        errors.push(...this.validate(config, { detectors }));
+        return errors;
+    },
+
+    /**
+     * Nested overrides from dotted URL parameters whose first part names a
+     * config section. Values are read as JSON (numbers, booleans, arrays)
+     * unless the setting is a string. The overrides are prototype-less
+     * objects; merge() rejects any __proto__/constructor/prototype in a path.
+     * Endpoint settings (URL_LOCKED) are left out and reported in `errors`.
+     */
+    fromQuery(params, config, errors = []) {
+        const overrides = Object.create(null);
+        for (const [key, raw] of params) {
+            const path = key.split('.');
+            if (path.length < 2 || !hasOwn(config, path[0])) continue;
+            if (URL_LOCKED.some(locked => key === locked || key.startsWith(`${locked}.`))) {
+                errors.push(`${key} can't be set from the page URL (use config.js or a ?config= file)`);
+                continue;
+            }
+
+            const current = getPath(config, path);
+            let value = raw;
+            if (typeof current !== 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (error) {
+                    value = raw;
+                }
+            }
+
+            let target = overrides;
+            for (const part of path.slice(0, -1)) {
+                target = target[part] = target[part] || Object.create(null);
+            }
+            target[path[path.length - 1]] = value;
+        }
+        return overrides;
+    },
+
+    /**
+     * Deep-merge `overrides` into `config`, skipping (and reporting) unknown
+     * settings and values of the wrong type. New modules, object aliases and
+     * top-level step lists may be added; arrays replace the default as a whole.
+     */
+    merge(config, overrides, path = []) {
+        const errors = [];
+        if (!isPlainObject(overrides)) {
+            return [`Config overrides${path.length ? ` for "${path.join('.')}"` : ''} must be an object`];
+        }
+
+        for (const [key, value] of Object.entries(overrides)) {
+            const keyPath = [...path, key];
+            const name = keyPath.join('.');
+            if (UNSAFE_KEYS.includes(key)) {
+                errors.push(`Unknown setting "${name}"`);
+                continue;
+            }
+            if (!hasOwn(config, key)) {
+                const addable = path[0] === 'modules' || path.join('.') === 'objectDetection.aliases' ||
+                    (path.length === 0 && Array.isArray(value));
+                if (!addable) {
+                    errors.push(`Unknown setting "${name}"`);
+                    continue;
+                }
+                config[key] = value;
+            } else if (isPlainObject(config[key])) {
+                errors.push(...this.merge(config[key], value, keyPath));
+            } else if (config[key] !== null && typeOf(value) !== typeOf(config[key])) {
+                errors.push(`${name} must be ${article(typeOf(config[key]))} (got ${JSON.stringify(value)})`);
+            } else {
+                config[key] = value;
+            }
+        }
+        return errors;
+    },
+
+    /**
+     * Range and type errors for every setting with a rule, plus module and
+     * step list consistency
+     */
+    validate(config, { detectors = null } = {}) {
+        const errors = [];
+
+        for (const [rulePath, rule] of Object.entries(CONFIG_RULES)) {
+            for (const [name, value] of expandPath(config, rulePath.split('.'))) {
+                // A specific rule takes precedence over the section's wildcard
+                if (rulePath.endsWith('*') && CONFIG_RULES[name]) continue;
+                const error = checkRule(value, rule);
+                if (error) errors.push(`${name} ${error} (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        if (!config.modules || !config.modules[config.currentModule]) {
+            errors.push(`currentModule "${config.currentModule}" is not one of: ${Object.keys(config.modules || {}).join(', ')}`);
+        }
+
+        for (const [moduleId, module] of Object.entries(config.modules || {})) {
+            const steps = config[module.steps];
+            if (!Array.isArray(steps) || steps.length === 0) {
+                errors.push(`modules.${moduleId}.steps names "${module.steps}", which is not a step list`);
+                continue;
+            }
+            for (const tracker of module.tracking || []) {
+                if (!['hands', 'pose'].includes(tracker)) {
+                    errors.push(`modules.${moduleId}.tracking has unknown tracker "${tracker}" (use "hands" or "pose")`);
+                }
+            }
+            errors.push(...this.validateSteps(steps, module.steps, detectors));
+        }
+        return errors;
+    },
+
+    validateSteps(steps, listName, detectors) {
+        const errors = [];
+        const ids = new Set();
+        steps.forEach((step, index) => {
+            const name = `${listName}[${index}]${step && step.id ? ` (${step.id})` : ''}`;
+            if (!step || typeof step.id !== 'string' || !step.id) {
+                errors.push(`${name} needs a string id`);
+                return;
+            }
+            if (ids.has(step.id)) errors.push(`${name} repeats the id "${step.id}"`);
+            ids.add(step.id);
+
+            if (typeof step.requiredDuration !== 'number' || !(step.requiredDuration > 0)) {
+                errors.push(`${name}.requiredDuration must be a number above 0 (got ${JSON.stringify(step.requiredDuration)})`);
+            }
+            if (detectors && step.detector && !detectors[step.detector]) {
+                errors.push(`${name}.detector "${step.detector}" is not a known detector`);
+            }
+            if (step.objects !== undefined) {
+                errors.push(...validateObjects(step.objects, `${name}.objects`));
+            }
+            for (const prerequisite of step.prerequisites || []) {
+                if (!steps.some(other => other.id === prerequisite)) {
+                    errors.push(`${name}.prerequisites lists unknown step "${prerequisite}"`);
+                }
+            }
+        });
+        return errors;
+    }
+};
+
+async function loadJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * A step's `objects`: { required: [names], forbidden: [names], enforce: 'block' | 'flag' }
+ */
+function validateObjects(objects, name) {
+    if (!isPlainObject(objects)) return [`${name} must be an object`];
+    const errors = [];
+    for (const list of ['required', 'forbidden']) {
+        const value = objects[list];
+        if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string' && item))) {
+            errors.push(`${name}.${list} must be an array of object names (got ${JSON.stringify(value)})`);
+        }
+    }
+    if (objects.enforce !== undefined && !['block', 'flag'].includes(objects.enforce)) {
+        errors.push(`${name}.enforce must be one of block, flag (got ${JSON.stringify(objects.enforce)})`);
+    }
+    return errors;
+}
+
+function checkRule(value, rule) {
+    if (typeOf(value) !== rule.type) return `must be ${article(rule.type)}`;
+    if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+    if (rule.integer && !Number.isInteger(value)) return 'must be a whole number';
+    if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) {
+        return `must be between ${rule.min} and ${rule.max}`;
+    }
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    if (rule.pattern && !rule.pattern.test(value)) return `must be ${rule.patternText}`;
+    return null;
+}
+
+/**
+ * [dottedName, value] for each setting matching a path, where `*` matches every key
+ */
+function expandPath(config, path, prefix = []) {
+    if (path.length === 0) return [[prefix.join('.'), config]];
+    if (!isPlainObject(config)) return [];
+
+    const [part, ...rest] = path;
+    const keys = part === '*' ? Object.keys(config) : (hasOwn(config, part) ? [part] : []);
+    return keys.flatMap(key => expandPath(config[key], rest, [...prefix, key]));
+}
+
+function getPath(config, path) {
+    return path.reduce((value, key) => (isPlainObject(value) && hasOwn(value, key) ? value[key] : undefined), config);
+}
+
+function isSameOrigin(file, base) {
+    try {
+        return new URL(file, base).origin === new URL(base).origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return typeof value;
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigLoader;
+}
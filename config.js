@@ -1,77 +1,344 @@
 /**
  * Healthcare AR Training - Configuration
- * Customize training parameters without editing core code
+ * Customize training parameters without editing core code. Any setting can
+ * also be overridden at load time from a JSON file or the URL (see config-loader.js).
  */
 
 const CONFIG = {
     currentModule: 'handwashing', // 'handwashing', 'ppe', 'patient_transfer'
     
+    // Training modules selectable from the start screen
+    // `steps` names the CONFIG key holding the module's step list
+    modules: {
+        handwashing: {
+            title: 'Hand Washing',
+            description: 'Practice hand washing with real-time guidance',
+            steps: 'handWashingSteps',
+            tracking: ['hands'],     // MediaPipe trackers to run; the first drives validation
+            perfectScoreTime: 50,    // Seconds before time penalties start (see scoring)
+            welcome: 'Welcome to hand washing training. Please show me your hands and follow the on-screen instructions.',
+            complete: 'Excellent work! You have completed the hand washing training. Your technique was perfect!',
+        },
+        ppe: {
+            title: 'PPE Donning & Doffing',
+            description: 'Practice putting on and removing gown, mask and gloves',
+            steps: 'ppeSteps',
+            tracking: ['hands'],
+            perfectScoreTime: 35,
+            welcome: 'Welcome to PPE training. We will put on a gown, mask and gloves, then remove them safely.',
+            complete: 'Well done! You have completed PPE donning and doffing in the correct order.',
+        },
+        patient_transfer: {
+            title: 'Patient Transfer',
+            description: 'Practice safe lifting posture for moving patients',
+            steps: 'patientTransferSteps',
+            tracking: ['pose'],
+            perfectScoreTime: 25,
+            welcome: 'Welcome to patient transfer training. Step back so your whole body is visible to the camera.',
+            complete: 'Great lifting technique! You kept your back straight and used your legs.',
+        },
+    },
+    
     // MediaPipe Hand Detection Settings
     handTracking: {
         maxNumHands: 2,              
         modelComplexity: 1,          
         minDetectionConfidence: 0.5, 
         minTrackingConfidence: 0.5,  
+        swapHandedness: true,        // MediaPipe labels assume a mirrored image; our feed isn't mirrored
+        identityMaxJump: 0.25,       // Normalized wrist travel between frames that still keeps a hand's identity
+        identityTimeoutMs: 500,      // Forget a hand's last position after this long out of view
+    },
+    
+    // MediaPipe Pose Settings (patient transfer)
+    poseTracking: {
+        modelComplexity: 1,
+        smoothLandmarks: true,
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5,
     },
     
     // Performance Optimization
     performance: {
-        targetFPS: 30,
-        skipFrames: 1,              // Process every Nth frame (1 = all frames)
-        objectDetectionInterval: 1000, // ms between object detection calls
+        skipFrames: 1,              // Track every Nth camera frame (1 = all frames)
         maxHistoryLength: 60,       // Frames to keep in motion history
+        historyWindowMs: 2000,      // ...and none older than this
+        maxFrameDelta: 0.25,        // Max seconds of step time credited per frame (clamps stalls)
     },
     
     // Hand Washing Training Steps
+    // Each step names a detector (see STEP_DETECTORS in training-core.js) with its own
+    // params, and lists the step ids that must be completed before it starts.
+    // Steps without `prerequisites` wait for the step above them.
+    // `perHand: true` steps run the detector for each hand and need both;
+    // `perDirection: true` does the same for clockwise and counterclockwise.
+    // `objects` lists items object detection must see (`required`) or must not see
+    // (`forbidden`) during the step, by objectDetection.aliases name; `enforce`
+    // 'block' holds the step until they're right, 'flag' (the default,
+    // objectDetection.enforce) only marks the step in the report.
     handWashingSteps: [
         {
             id: 'hands_visible',
             label: 'Hands visible to camera',
             requiredDuration: 3,     
             description: 'Show both hands clearly to the camera',
-            hint: 'Hold your hands in front of the camera'
+            hint: 'Hold your hands in front of the camera',
+            detector: 'handsVisible',
+            params: { minHands: 1 },
+            objects: { forbidden: ['gloves'] },   // Gloves off before hand hygiene
+            prerequisites: [],
+            feedback: 'Great! I can see your hands clearly.'
         },
         {
             id: 'wetting_motion',
             label: 'Wetting hands motion',
             requiredDuration: 3,
             description: 'Move hands together as if under water',
-            hint: 'Bring your hands close together'
+            hint: 'Bring your hands close together',
+            detector: 'handsClose',       // maxDistance defaults to motionThresholds.handsCloseDistance
+            prerequisites: ['hands_visible'],
+            feedback: 'Good wetting motion!'
         },
         {
             id: 'soap_application',
             label: 'Soap application (rubbing palms)',
             requiredDuration: 5,
-            description: 'Rub palms together in circular motion',
-            hint: 'Rub your palms together in circles'
+            description: 'Rub palms together in circular motion, both directions',
+            hint: 'Rub your palms together in circles, then reverse',
+            detector: 'circularMotion',
+            params: { minHands: 2, windowFrames: 20 },
+            perDirection: true,
+            objects: { required: ['soap'] },      // Dispenser or bottle in view
+            prerequisites: ['wetting_motion'],
+            feedback: 'Perfect soap application technique!'
         },
         {
             id: 'interlace_fingers',
             label: 'Interlace fingers',
             requiredDuration: 3,
             description: 'Weave fingers together and rub',
-            hint: 'Interlock your fingers like a zipper'
+            hint: 'Interlock your fingers like a zipper',
+            detector: 'overlap',
+            params: { minFingertips: 2 },
+            prerequisites: ['soap_application'],
+            feedback: 'Excellent finger interlacing!'
         },
         {
             id: 'back_of_hands',
             label: 'Wash back of hands',
             requiredDuration: 3,
             description: 'Rub back of each hand with opposite palm',
-            hint: 'Cover the back of one hand with the other'
+            hint: 'Cover the back of one hand with the other',
+            detector: 'backOfHand',       // Thresholds default to motionThresholds
+            params: { minFingertips: 2 },
+            perHand: true,
+            prerequisites: ['interlace_fingers'],
+            feedback: 'Good work on the back of hands!'
         },
         {
             id: 'thumbs',
             label: 'Clean thumbs',
             requiredDuration: 2,
             description: 'Clasp and rotate each thumb',
-            hint: 'Give each thumb special attention'
+            hint: 'Wrap your fingers around one thumb and twist, then swap',
+            detector: 'thumbClasped',
+            perHand: true,
+            prerequisites: ['back_of_hands'],
+            feedback: 'Nice thumb cleaning!'
         },
         {
             id: 'rinse_motion',
             label: 'Rinsing motion',
             requiredDuration: 5,
             description: 'Move hands vertically as if under running water',
-            hint: 'Move your hands up and down'
+            hint: 'Move your hands up and down',
+            detector: 'verticalMotion',
+            params: { minHands: 1, minTravel: 0.3 },
+            prerequisites: ['thumbs'],
+            feedback: 'Perfect rinsing technique!'
+        },
+        {
+            id: 'dry_hands',
+            label: 'Dry hands with a towel',
+            requiredDuration: 3,
+            description: 'Pat both hands dry with a single-use towel',
+            hint: 'Hold the towel between your hands and pat them dry',
+            detector: 'handsClose',
+            params: { maxDistance: 0.25 },
+            objects: { required: ['towel'] },
+            prerequisites: ['rinse_motion'],
+            feedback: 'Hands dry. Well done!'
+        }
+    ],
+    
+    // PPE Donning & Doffing Steps
+    ppeSteps: [
+        {
+            id: 'ppe_ready',
+            label: 'Hands visible to camera',
+            requiredDuration: 2,
+            description: 'Show both hands clearly to the camera',
+            hint: 'Hold both hands in front of the camera',
+            detector: 'handsVisible',
+            params: { minHands: 2 },
+            prerequisites: [],
+            feedback: 'Ready to begin. Start with your gown.'
+        },
+        {
+            id: 'gown_on',
+            label: 'Put on gown',
+            requiredDuration: 3,
+            description: 'Slide both arms into the gown sleeves',
+            hint: 'Stretch your arms out wide into the sleeves',
+            detector: 'handsApart',
+            params: { minDistance: 0.5 },
+            prerequisites: ['ppe_ready'],
+            feedback: 'Gown on. Now fit your mask.'
+        },
+        {
+            id: 'mask_fit',
+            label: 'Fit mask to face',
+            requiredDuration: 3,
+            description: 'Mould the metal strip over the bridge of your nose',
+            hint: 'Pinch the nose clip with both hands',
+            detector: 'handsAtFace',
+            params: { maxY: 0.4, maxDistance: 0.15 },
+            objects: { required: ['mask'] },
+            prerequisites: ['gown_on'],
+            feedback: 'Mask fitted. Now put on your gloves.'
+        },
+        {
+            id: 'gloves_on',
+            label: 'Put on gloves',
+            requiredDuration: 3,
+            description: 'Pull each glove cuff over the gown sleeve',
+            hint: 'Grip your wrist and pull the cuff up',
+            detector: 'wristToWrist',
+            params: { maxDistance: 0.1 },
+            objects: { required: ['gloves'] },
+            prerequisites: ['mask_fit'],
+            feedback: 'Fully donned! Now remove your PPE, starting with the gloves.'
+        },
+        {
+            id: 'gloves_off',
+            label: 'Remove gloves',
+            requiredDuration: 3,
+            description: 'Peel each glove off from the wrist, turning it inside out',
+            hint: 'Pinch the outside of one glove at the wrist',
+            detector: 'wristToWrist',
+            params: { maxDistance: 0.1 },
+            prerequisites: ['gloves_on'],
+            feedback: 'Gloves removed. Now take off the gown.'
+        },
+        {
+            id: 'gown_off',
+            label: 'Remove gown',
+            requiredDuration: 3,
+            description: 'Pull the gown away from your body, rolling it inside out',
+            hint: 'Pull the sleeves off with your arms out wide',
+            detector: 'handsApart',
+            params: { minDistance: 0.5 },
+            prerequisites: ['gloves_off'],
+            feedback: 'Gown removed. Now remove your mask by the ties.'
+        },
+        {
+            id: 'mask_off',
+            label: 'Remove mask',
+            requiredDuration: 2,
+            description: 'Remove the mask by the ties or ear loops without touching the front',
+            hint: 'Hold the ear loops at both sides of your head',
+            detector: 'handsAtFace',
+            params: { maxY: 0.4, minDistance: 0.3 },
+            prerequisites: ['gown_off'],
+            feedback: 'Mask removed. Finish with hand hygiene.'
+        },
+        {
+            id: 'ppe_hand_hygiene',
+            label: 'Hand hygiene',
+            requiredDuration: 5,
+            description: 'Rub hands together with sanitizer',
+            hint: 'Rub your palms together in circles',
+            detector: 'circularMotion',
+            params: { minHands: 2, windowFrames: 20, minAngle: 2.0 },
+            prerequisites: ['mask_off'],
+            feedback: 'Hands clean!'
+        }
+    ],
+    
+    // Patient Transfer (body mechanics) Steps
+    // Posture rules use MediaPipe Pose world landmarks (metres, degrees)
+    patientTransferSteps: [
+        {
+            id: 'body_visible',
+            label: 'Full body visible',
+            requiredDuration: 2,
+            description: 'Stand back so the camera sees you from head to feet',
+            hint: 'Step back until your feet are in view',
+            detector: 'poseVisible',
+            params: { minVisibility: 0.5 },
+            prerequisites: [],
+            feedback: 'I can see you clearly.'
+        },
+        {
+            id: 'feet_apart',
+            label: 'Feet shoulder-width apart',
+            requiredDuration: 3,
+            description: 'Set a stable base of support before lifting',
+            hint: 'Place your feet about shoulder-width apart',
+            detector: 'feetApart',
+            params: { minRatio: 0.9, maxRatio: 1.8 },
+            prerequisites: ['body_visible'],
+            feedback: 'Good stable stance.'
+        },
+        {
+            id: 'bend_knees',
+            label: 'Bend knees, back straight',
+            requiredDuration: 3,
+            description: 'Lower yourself by bending your knees, not your back',
+            hint: 'Squat down and keep your chest up',
+            detector: 'allOf',
+            params: {
+                checks: [
+                    { detector: 'kneesBent', params: { maxKneeAngle: 150 } },
+                    { detector: 'backStraight', params: { maxTrunkLean: 35 } },
+                    { detector: 'feetApart', params: { minRatio: 0.9, maxRatio: 1.8 } }
+                ]
+            },
+            prerequisites: ['feet_apart'],
+            feedback: 'Nice, you are lifting with your legs.'
+        },
+        {
+            id: 'load_close',
+            label: 'Keep load close to body',
+            requiredDuration: 3,
+            description: 'Hold the load against your trunk while still squatting',
+            hint: 'Pull your hands in close to your waist',
+            detector: 'allOf',
+            params: {
+                checks: [
+                    { detector: 'loadClose', params: { maxDistance: 0.35 } },
+                    { detector: 'kneesBent', params: { maxKneeAngle: 150 } },
+                    { detector: 'backStraight', params: { maxTrunkLean: 35 } }
+                ]
+            },
+            prerequisites: ['bend_knees'],
+            feedback: 'Load is close to your centre of gravity.'
+        },
+        {
+            id: 'stand_with_load',
+            label: 'Stand up with load close',
+            requiredDuration: 3,
+            description: 'Straighten your legs to stand, keeping the load close and back straight',
+            hint: 'Push up through your legs',
+            detector: 'allOf',
+            params: {
+                checks: [
+                    { detector: 'loadClose', params: { maxDistance: 0.35 } },
+                    { detector: 'backStraight', params: { maxTrunkLean: 20 } }
+                ]
+            },
+            prerequisites: ['load_close'],
+            feedback: 'Safe lift completed!'
         }
     ],
     
@@ -79,11 +346,29 @@ const CONFIG = {
     motionThresholds: {
         handsCloseDistance: 0.15,     // Normalized distance for "hands together"
         handOverlapDistance: 0.1,      // Distance for fingertip-palm overlap
-        circularMotionAngle: 2.0,      // Radians for circular motion
+        circularMotionAngle: 2.0,      // Net radians turned per window for circular motion
+        circularMinRadius: 0.01,       // Smaller circles are tracking jitter
+        circularMaxRadius: 0.15,       // Larger circles are arm waving, not rubbing
+        circularMinRoundness: 0.3,     // Closest approach to the centre / mean radius (shaking ~0)
         verticalMotionRatio: 1.5,      // Vertical/horizontal ratio for rinsing
         minimumMotionFrames: 15,       // Minimum frames to detect motion pattern
+        palmAlignment: 0.5,            // Min cosine between palm normals for palm-on-back-of-hand
+        dorsalCoverDistance: 0.12,     // Fingertips to covered hand centre for back-of-hand rubbing
+        dorsalRubTravel: 0.06,         // Min travel of the rubbing palm over minimumMotionFrames
+        thumbClaspDistance: 0.06,      // Clasping fingertips to the thumb's bones
+        thumbClaspFingertips: 3,       // Clasping fingertips that must lie along the thumb
+        thumbTwistFrames: 20,          // Frames the twist is measured over
+        thumbTwistAngle: 0.4,          // Min peak-to-peak twist (radians) of the clasping hand
+        metricsMinSpeed: 0.1,          // Palm speed (per second) below which step metrics treat a hand as still
     },
     
+    // Language of UI text, step wording, voice and AI prompts (packs in locales.js)
+    localization: {
+        defaultLocale: 'en',
+        detectBrowserLanguage: true,   // Start in the browser's language when a pack exists for it
+        storageKey: 'ar_training_locale',
+    },
+
     // Voice Feedback Settings
     voice: {
         enabled: true,
@@ -91,102 +376,143 @@ const CONFIG = {
         pitch: 1.0,                   
         volume: 1.0,                  
         language: 'en-US',            
-        cooldownMs: 5000,             
+        cooldownMs: 5000,             // The same prompt isn't repeated within this time
+        maxQueueLength: 4,            // Prompts waiting to be spoken; the lowest priority are dropped first
+        maxWaitMs: 10000,             // Completion and encouragement prompts older than this are skipped
         
-        // Custom feedback messages
+        // Fallback step completion prompt when the locale pack has none
         messages: {
-            welcome: 'Welcome to hand washing training. Please show me your hands and follow the on-screen instructions.',
             stepComplete: 'Great job on that step!',
-            trainingComplete: 'Excellent work! You have completed the hand washing training. Your technique was perfect!',
-            handsNotVisible: 'Please show your hands to the camera',
-            movementTooFast: 'Try moving a bit slower for better tracking',
         }
     },
     
     // AI Coaching 
+    // Model API keys belong on the backend (COACH_API_KEY), never in this file
     aiCoaching: {
         enabled: true,               
-        apiKey: '',                   
-        model: 'anthropic/claude-3.5-sonnet',
-        baseURL: 'https://openrouter.ai/api/v1',
-        maxFeedbackPerSession: 5,
-        feedbackCount: 0,
+        provider: 'backend',          // 'backend' (api.endpoints.aiCoach), 'openai', 'rules' or 'local' (see coaching.js)
+        timeoutMs: 4000,              // Give up and use the step's built-in message after this long
+        maxFeedbackPerSession: 5,     // Step messages and the debrief together; the rest use built-in messages
+        
+        // Summary of strengths and what to practice after each session (one of maxFeedbackPerSession is kept for it)
+        debrief: {
+            enabled: true,
+            strengthQuality: 0.8,     // Clean steps at or above this technique quality count as strengths
+            practiceQuality: 0.6,     // Steps below it are listed to practice, after unfinished and hinted ones
+            maxItems: 2,              // Strengths and practice items each
+        },
+        
+        // OpenAI-compatible chat completions server reachable without a key, e.g. a local model server
+        openai: {
+            baseURL: 'http://localhost:11434/v1',
+            model: 'llama3.2',
+            maxTokens: 100,
+            temperature: 0.7,
+        },
+        
+        // Offline stand-in for demos and development
+        local: {
+            delayMs: 300,
+        },
         
         systemPrompt: 'You are a friendly healthcare training coach. Give brief, encouraging feedback in 1-2 sentences. Be supportive and specific about hand washing technique.',
     },
     
     // Object Detection 
     objectDetection: {
-        enabled: true,               
-        apiEndpoint: 'http://localhost:8080',               
-        // apiEndpoint: 'https://healthcare-ar-api-78427087119.europe-west1.run.app',               
-        targetObjects: ['soap', 'towel', 'mask', 'gloves'],
-        confidenceThreshold: 0.5,
-        sendFramesPerSecond: 1,
+        enabled: true,               // Send camera frames to the backend's detect endpoint (see detection.js)
+        sendFramesPerSecond: 1,      // At most; frames due while one is in flight are dropped, not queued
+        frameWidth: 640,             // Frames are downsized to this width before encoding (height keeps the aspect ratio)
+        jpegQuality: 0.7,
+        requestTimeoutMs: 5000,
+        maxFrameAgeMs: 2000,         // Results arriving later than this after their frame was grabbed are discarded
+        retryDelayMs: 2000,          // Backoff while the endpoint is down, doubling up to maxRetryDelayMs
+        maxRetryDelayMs: 60000,
+        confidenceThreshold: 0.5,    // Detections below this don't count for any step
+        maxAgeMs: 3000,              // Detection results older than this (by frame time) are ignored
+        enforce: 'flag',             // Default for steps' `objects`: 'block' waits for them, 'flag' reports them
+        
+        // Detector class names (lowercase) that count as each object named in step `objects`.
+        // The stock YOLOv8n (COCO) model has 'bottle' but no soap, towel, mask or glove
+        // classes; add the names a custom model uses here.
+        aliases: {
+            soap: ['soap', 'soap dispenser', 'soap_dispenser', 'hand sanitizer', 'sanitizer', 'bottle'],
+            towel: ['towel', 'paper towel', 'paper_towel'],
+            gloves: ['gloves', 'glove', 'medical glove'],
+            mask: ['mask', 'face mask', 'face_mask', 'surgical mask'],
+        },
+    },
+    
+    // Backend API (object detection, session upload, instructor analytics)
+    api: {
+        baseURL: typeof window !== 'undefined' && window.location.hostname === 'localhost'
+            ? 'http://localhost:8080'  // Local development
+            : 'https://healthcare-ar-api-78427087119.europe-west1.run.app',  // Production
+        endpoints: {
+            detect: '/detect',
+            aiCoach: '/ai-coach',
+            aiDebrief: '/ai-debrief',
+            sessions: '/sessions',
+            analytics: '/analytics',
+        },
+        uploadSessions: true,        // Queue finished sessions for the backend (see outbox.js)
+        uploadToken: '',             // The backend's UPLOAD_TOKEN, if set; it only allows uploads (the dashboard asks for its own key)
     },
     
     // Scoring System
     scoring: {
-        perfectScoreTime: 25,         
+        perfectScoreTime: 25,         // Seconds; a module's own perfectScoreTime takes precedence
         passingScore: 70,             
         penaltyPerExtraSecond: 2,     
+        maxTimePenalty: 30,           
+        maxTechniquePenalty: 20,      // Applied in full at zero technique quality (time held / time active)
+        graceSeconds: 1,              // Active time per step (per hand/direction) not counted against technique
+        penaltyPerHint: 5,            // Per struggle hint given
+        penaltyPerInterruption: 3,    // Per time the trainee left the camera's view
+        interruptionMinMs: 1000,      // Shorter tracking dropouts are ignored
         bonusForPerfectTechnique: 10, 
+        perfectTechniqueQuality: 0.9, // Average quality for the bonus (also needs no hints or interruptions)
     },
     
     // UI 
     ui: {
-        theme: {
-            primaryColor: '#4CAF50',
-            secondaryColor: '#00ff88',
-            warningColor: '#FF9800',
-            errorColor: '#F44336',
-            backgroundColor: 'rgba(0, 0, 0, 0.7)',
-        },
-        
-        showFPS: true,
-        showDebugInfo: false,         
-        showHandLandmarks: true,      
-        showProgressBar: true,
+        showFPS: true,                // FPS line in the System Status card
+        showHandLandmarks: true,      // Hand and pose skeletons on the camera view
+        showProgressBar: true,        // Progress bar in the step guide
         showChecklist: true,
         
+        // On-screen captions for every spoken prompt
         captions: {
             enabled: true,            
-            fontSize: '16px',
-            duration: 3000,           
+            fontSize: '16px',         // Scaled up further in large-text mode
+            duration: 3000,           // Minimum ms a caption stays up; unspoken prompts stay for their reading time
         }
     },
     
     // Analytics and Logging
     analytics: {
-        enabled: true,
-        logToConsole: true,
-        saveSessionData: true,
+        saveSessionData: true,        // Keep sessions in this browser for My Progress and the dashboard
         sessionStorageKey: 'ar_training_sessions',
-        
-        // What to track
-        track: {
-            frameRate: true,
-            handDetectionRate: true,
-            stepCompletionTimes: true,
-            failedAttempts: true,
-            totalDuration: true,
-        }
+        traineeStorageKey: 'ar_training_trainees',
+    },
+    
+    // Session Recording (landmark stream for disputes and regression fixtures)
+    recording: {
+        enabled: true,                // Record every training session in memory
+        maxFrames: 20000,             // ~11 minutes at 30 FPS
+        replaySpeed: 1,               // 1 = real time, 0 = as fast as possible
     },
     
     // Accessibility
     accessibility: {
-        highContrast: false,          
+        highContrast: false,          // Also on when the OS asks for more contrast
         largeText: false,            
-        reduceMotion: false,          
-        screenReaderAnnouncements: true,
-    },
-    
-    // Experimental Features
-    experimental: {
-        offlineMode: true,           // Cache for offline use (PWA)
-        multiplayerMode: true,       // Two students training together
-        recordVideo: true,           // Record session as video
-        vrMode: true,                // WebXR for VR headsets
+        reduceMotion: false,          // Also on when the OS asks for reduced motion
+        screenReaderAnnouncements: true, // Announce step changes and feedback through ARIA live regions
+        largeTextScale: 1.4,          // Text size multiplier for the checklist, feedback and overlays
+        feedbackMinMs: 3000,          // Shortest time a feedback message stays on screen
+        feedbackMsPerWord: 400,       // Reading time added per word of longer messages
+        storageKey: 'ar_training_accessibility', // Remembers the start screen's accessibility mode
     }
 };
 
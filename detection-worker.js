@@ -0,0 +1,21 @@
+/**
+ * Healthcare AR Training - Object Detection Worker
+ * Encodes frames from the detection pipeline (detection.js) as JPEG on an
+ * OffscreenCanvas and posts them to the detect endpoint, off the main thread.
+ * Messages in: { id, frame (ImageBitmap), url, quality, timeoutMs };
+ * out: { id, detections } or { id, error }.
+ */
+
+importScripts('detection.js');
+
+const canvas = new OffscreenCanvas(1, 1);
+
+self.onmessage = async ({ data }) => {
+    const { id, frame, ...options } = data;
+    try {
+        const detections = await uploadFrame(frame, canvas, options);
+        self.postMessage({ id, detections });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,244 @@
+/**
+ * Healthcare AR Training - Object Detection Pipeline
+ * Sends camera frames to the backend's detect endpoint at no more than
+ * CONFIG.objectDetection.sendFramesPerSecond. Frames are downsized when they
+ * are grabbed and JPEG-encoded in a worker (detection-worker.js) on an
+ * OffscreenCanvas, so hand tracking on the main thread isn't stalled.
+ * At most one frame is in flight: frames due meanwhile are dropped rather
+ * than queued, results that arrive too late are discarded, and an endpoint
+ * that is down is retried with exponential backoff.
+ */
+
+class DetectionPipeline {
+    /**
+     * `capture()` grabs the current frame (or null when the camera has none yet).
+     * `send(frame)` uploads it and resolves with the detections, throwing on failure.
+     * `onResult(detections)` gets every result in time; `onStatus(status)` is
+     * called whenever the state or counters change.
+     * `maxFrameAgeMs`: results for frames older than this when they arrive are discarded.
+     */
+    constructor({
+        capture,
+        send,
+        onResult = () => {},
+        onStatus = () => {},
+        framesPerSecond = 1,
+        maxFrameAgeMs = 2000,
+        baseDelayMs = 2000,
+        maxDelayMs = 60000,
+        now = () => performance.now()
+    }) {
+        this.capture = capture;
+        this.send = send;
+        this.onResult = onResult;
+        this.onStatus = onStatus;
+        this.intervalMs = 1000 / framesPerSecond;
+        this.maxFrameAgeMs = maxFrameAgeMs;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.now = now;
+
+        this.inFlight = false;
+        this.nextFrameAt = 0;
+        this.retryAt = 0;
+        this.status = {
+            state: 'idle',
+            sent: 0,
+            received: 0,
+            dropped: 0,
+            stale: 0,
+            failures: 0,
+            latencyMs: null,
+            retryInMs: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Call on every camera frame; sends one when it is due and nothing is in flight
+     */
+    tick() {
+        const now = this.now();
+        if (now < this.nextFrameAt) return;
+        this.nextFrameAt = now + this.intervalMs;
+
+        if (now < this.retryAt) return;
+        if (this.inFlight) {
+            // Backpressure: a frame waiting behind a slow request would only be stale by the time it went
+            this.setStatus({ dropped: this.status.dropped + 1 });
+            return;
+        }
+        this.detect(now);
+    }
+
+    async detect(startedAt) {
+        this.inFlight = true;
+        try {
+            const frame = await this.capture();
+            if (!frame) return;
+
+            this.setStatus({ state: 'sending', sent: this.status.sent + 1 });
+            const detections = await this.send(frame);
+            const latency = this.now() - startedAt;
+            this.retryAt = 0;
+            if (latency > this.maxFrameAgeMs) {
+                this.setStatus({ state: 'ok', stale: this.status.stale + 1, failures: 0, latencyMs: Math.round(latency), retryInMs: null });
+                return;
+            }
+            this.setStatus({
+                state: 'ok',
+                received: this.status.received + 1,
+                failures: 0,
+                latencyMs: Math.round(latency),
+                retryInMs: null,
+                lastError: null
+            });
+            this.onResult(detections);
+        } catch (error) {
+            const failures = this.status.failures + 1;
+            const delay = this.getRetryDelay(failures);
+            this.retryAt = this.now() + delay;
+            this.setStatus({ state: 'backoff', failures, retryInMs: delay, lastError: error.message });
+        } finally {
+            this.inFlight = false;
+        }
+    }
+
+    /**
+     * Milliseconds until frames are sent again after a failure (0 when not backing off)
+     */
+    retryIn() {
+        return Math.max(0, this.retryAt - this.now());
+    }
+
+    getRetryDelay(failures) {
+        return Math.min(this.baseDelayMs * Math.pow(2, Math.max(0, failures - 1)), this.maxDelayMs);
+    }
+
+    setStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        this.onStatus(this.status);
+    }
+}
+
+/**
+ * Grab the video's current frame, downsized to at most `maxWidth` pixels wide.
+ * Resolves with an ImageBitmap, or null before the video has a frame.
+ */
+function captureFrame(video, maxWidth) {
+    if (!video || video.readyState < 2 || !video.videoWidth) return Promise.resolve(null);
+    const width = Math.min(maxWidth, video.videoWidth);
+    const height = Math.round(video.videoHeight * width / video.videoWidth);
+    return createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+}
+
+/**
+ * Draw a frame onto `canvas` (reused between frames), encode it as JPEG and
+ * post it to the detect endpoint. Runs in the worker, or on the main thread
+ * where workers can't use OffscreenCanvas.
+ */
+async function uploadFrame(frame, canvas, { url, quality, timeoutMs }) {
+    if (canvas.width !== frame.width || canvas.height !== frame.height) {
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+    }
+    canvas.getContext('2d').drawImage(frame, 0, 0);
+    if (frame.close) frame.close();
+
+    const blob = canvas.convertToBlob
+        ? await canvas.convertToBlob({ type: 'image/jpeg', quality })
+        : await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    const formData = new FormData();
+    formData.append('image', blob, 'frame.jpg');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { method: 'POST', body: formData, signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return data.detections || [];
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Bounding boxes from a downsized frame, scaled back to the video's resolution
+ */
+function scaleDetections(detections, scale) {
+    if (scale === 1) return detections;
+    return detections.map(d => ({ ...d, bbox: d.bbox.map(value => value * scale) }));
+}
+
+/**
+ * Uploads frames through detection-worker.js, falling back to the main thread
+ * (one reused canvas) where workers or OffscreenCanvas aren't available
+ */
+class FrameUploader {
+    constructor({ url, quality, timeoutMs, workerURL = 'detection-worker.js' }) {
+        this.options = { url, quality, timeoutMs };
+        this.pending = new Map();
+        this.nextId = 1;
+        this.canvas = null;
+        this.worker = null;
+
+        if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            try {
+                this.worker = new Worker(workerURL);
+                this.worker.onmessage = event => this.handleMessage(event.data);
+                this.worker.onerror = event => this.handleWorkerError(event);
+            } catch (error) {
+                // e.g. pages opened from file://
+                this.worker = null;
+            }
+        }
+        if (!this.worker) {
+            console.warn('Object detection: no worker support, encoding frames on the main thread');
+        }
+    }
+
+    upload(frame) {
+        if (!this.worker) {
+            this.canvas = this.canvas || document.createElement('canvas');
+            return uploadFrame(frame, this.canvas, this.options);
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, frame, ...this.options }, [frame]);
+        });
+    }
+
+    handleMessage({ id, detections, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(detections);
+        }
+    }
+
+    /**
+     * The worker failed to load or crashed: fail what it had and carry on without it
+     */
+    handleWorkerError(event) {
+        console.warn('Object detection worker failed, encoding frames on the main thread:', event.message);
+        if (event.preventDefault) event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+        for (const request of this.pending.values()) {
+            request.reject(new Error('detection worker failed'));
+        }
+        this.pending.clear();
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DetectionPipeline, FrameUploader, captureFrame, uploadFrame, scaleDetections };
+}
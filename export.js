@@ -0,0 +1,136 @@
+/**
+ * Healthcare AR Training - Session Export
+ * Session payloads (as saved by the app) to JSON, CSV and a printable
+ * completion certificate for audit files
+ */
+
+const CSV_COLUMNS = [
+    'session_id', 'trainee', 'module', 'date', 'score', 'passed', 'session_seconds',
+    'step_id', 'step', 'completed_at_seconds', 'active_seconds', 'held_percent',
+    'smoothness', 'rubbing_frequency_hz', 'symmetry', 'interruptions'
+];
+
+const SessionExport = {
+    toJSON(sessions) {
+        return JSON.stringify(sessions, null, 2);
+    },
+
+    /**
+     * One row per completed step, with the session's columns repeated on each row
+     */
+    toCSV(sessions) {
+        const list = Array.isArray(sessions) ? sessions : [sessions];
+        const rows = [CSV_COLUMNS];
+        for (const session of list) {
+            const sessionColumns = [
+                session.session_id,
+                session.trainee_name || session.user_id,
+                session.task,
+                session.end_time,
+                session.score,
+                session.metrics ? session.metrics.passed : '',
+                (session.duration / 1000).toFixed(1)
+            ];
+            for (const step of session.steps) {
+                const metrics = step.metrics || {};
+                rows.push([
+                    ...sessionColumns,
+                    step.id,
+                    step.step,
+                    (step.completedAt / 1000).toFixed(1),
+                    metrics.activeSeconds,
+                    metrics.heldPercent,
+                    metrics.smoothness,
+                    metrics.rubbingFrequency,
+                    metrics.symmetry,
+                    metrics.interruptions
+                ]);
+            }
+        }
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Standalone printable HTML page for one session, in `i18n`'s current locale
+     */
+    certificateHTML(session, { traineeName, moduleTitle, i18n }) {
+        const t = (key, params) => i18n.t(key, params);
+        const passed = session.metrics && session.metrics.passed;
+        const date = new Date(session.end_time).toLocaleDateString(i18n.languageTag, { year: 'numeric', month: 'long', day: 'numeric' });
+        return `<!DOCTYPE html>
+<html lang="${escapeHTML(i18n.locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(t('certificate.pageTitle', { name: traineeName }))}</title>
+    <style>
+        body { font-family: Georgia, serif; text-align: center; padding: 48px; color: #222; }
+        .certificate { border: 6px double #4CAF50; padding: 48px; max-width: 720px; margin: 0 auto; }
+        h1 { font-size: 32px; margin-bottom: 8px; }
+        .name { font-size: 28px; font-weight: bold; margin: 24px 0; }
+        .status { font-size: 20px; font-weight: bold; color: ${passed ? '#2e7d32' : '#c62828'}; }
+        .meta { font-size: 12px; color: #666; margin-top: 32px; }
+        @media print { body { padding: 0; } }
+    </style>
+</head>
+<body>
+    <div class="certificate">
+        <h1>${escapeHTML(t('certificate.heading'))}</h1>
+        <div>${escapeHTML(t('certificate.certifies'))}</div>
+        <div class="name">${escapeHTML(traineeName)}</div>
+        <div>${t('certificate.completed', { module: `<strong>${escapeHTML(moduleTitle)}</strong>`, date: escapeHTML(date) })}</div>
+        <p>${t('certificate.score', { score: `<strong>${session.score}/100</strong>` })}</p>
+        <div class="status">${escapeHTML(t(passed ? 'certificate.passed' : 'certificate.notPassed'))}</div>
+        <div class="meta">${escapeHTML(t('certificate.session', { session: session.session_id }))}</div>
+    </div>
+</body>
+</html>`;
+    },
+
+    download(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Open the certificate in a new window and bring up the print dialog
+     */
+    printCertificate(html) {
+        const certificateWindow = window.open('', '_blank');
+        if (!certificateWindow) return false;
+        certificateWindow.document.write(html);
+        certificateWindow.document.close();
+        certificateWindow.focus();
+        certificateWindow.print();
+        return true;
+    }
+};
+
+/**
+ * Text that a spreadsheet would run as a formula (=, +, -, @, tab or CR first)
+ * gets a leading ' so trainee names and labels stay plain text. Numbers are safe.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionExport;
+}
@@ -0,0 +1,135 @@
+/**
+ * Healthcare AR Training - Localization
+ * Looks up UI text, step and module wording, spoken prompts and AI coaching
+ * prompts in the locale packs (locales.js), falling back to English
+ */
+
+class Localizer {
+    /**
+     * English module and step wording lives in `config`; packs only override it
+     */
+    constructor({ locales, config, locale = 'en', fallback = 'en' }) {
+        this.locales = locales;
+        this.config = config;
+        this.fallback = fallback;
+        this.locale = fallback;
+        this.setLocale(locale);
+    }
+
+    get pack() {
+        return this.locales[this.locale];
+    }
+
+    /**
+     * BCP 47 tag for speech synthesis and number/date formatting
+     */
+    get languageTag() {
+        return this.pack.speechLang || this.config.voice.language;
+    }
+
+    available() {
+        return Object.entries(this.locales).map(([id, pack]) => ({ id, name: pack.name }));
+    }
+
+    setLocale(locale) {
+        if (!this.locales[locale]) return false;
+        this.locale = locale;
+        return true;
+    }
+
+    /**
+     * Locale to start with: a saved choice, else the browser language when a
+     * pack exists for it, else `defaultLocale`
+     */
+    pickInitial({ saved = null, browserLanguages = [], defaultLocale = this.fallback } = {}) {
+        if (saved && this.locales[saved]) return saved;
+        for (const language of browserLanguages) {
+            const id = language.toLowerCase().split('-')[0];
+            if (this.locales[id]) return id;
+        }
+        return this.locales[defaultLocale] ? defaultLocale : this.fallback;
+    }
+
+    has(key) {
+        return key in (this.pack.text || {}) || key in (this.locales[this.fallback].text || {});
+    }
+
+    /**
+     * Text for `key` with {placeholders} filled from `params`. English text that
+     * is configurable in config.js is passed as `defaultText` rather than
+     * repeated in the English pack.
+     */
+    t(key, params = {}, defaultText = key) {
+        const packText = this.pack.text || {};
+        const fallbackText = this.locales[this.fallback].text || {};
+        const template = key in packText ? packText[key] : key in fallbackText ? fallbackText[key] : defaultText;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Module wording (title, description, welcome, complete) in the current locale
+     */
+    moduleText(moduleId) {
+        const module = this.config.modules[moduleId] || {};
+        const translated = (this.pack.modules || {})[moduleId] || {};
+        return { ...module, ...translated };
+    }
+
+    /**
+     * Step definitions with label, description, hint and feedback translated
+     * (matched by step id); defaults to the module's step list in config
+     */
+    localizeSteps(moduleId, definitions = this.config[this.config.modules[moduleId].steps]) {
+        const translated = (this.pack.steps || {})[moduleId] || {};
+        return definitions.map(def => ({ ...def, ...translated[def.id] }));
+    }
+
+    /**
+     * Translated label for a recorded step, e.g. in stored sessions
+     */
+    stepLabel(moduleId, stepId, recordedLabel) {
+        const translated = ((this.pack.steps || {})[moduleId] || {})[stepId];
+        if (translated && translated.label) return translated.label;
+
+        const module = this.config.modules[moduleId];
+        const definition = module && (this.config[module.steps] || []).find(step => step.id === stepId);
+        return definition ? definition.label : recordedLabel;
+    }
+
+    /**
+     * Fill `data-i18n` (text), `data-i18n-placeholder`, `data-i18n-aria-label`
+     * and `data-i18n-title` attributes under `root`
+     */
+    applyTo(root) {
+        const attributes = { i18n: null, i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label', i18nTitle: 'title' };
+        for (const [dataKey, attribute] of Object.entries(attributes)) {
+            const selector = `[data-${dataKey.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+            for (const element of root.querySelectorAll(selector)) {
+                const text = this.t(element.dataset[dataKey]);
+                if (attribute) {
+                    element.setAttribute(attribute, text);
+                } else {
+                    element.textContent = text;
+                }
+            }
+        }
+    }
+
+    /**
+     * Installed speech synthesis voice for a language tag: an exact match
+     * (preferring the system default), else one for the same language
+     */
+    static pickVoice(voices, languageTag) {
+        const normalize = lang => (lang || '').toLowerCase().replace('_', '-');
+        const tag = normalize(languageTag);
+        const language = tag.split('-')[0];
+        const exact = voices.filter(voice => normalize(voice.lang) === tag);
+        const sameLanguage = voices.filter(voice => normalize(voice.lang).split('-')[0] === language);
+        return exact.find(voice => voice.default) || exact[0] || sameLanguage[0] || null;
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Localizer;
+}
@@ -0,0 +1,625 @@
+/**
+ * Healthcare AR Training - Locale Packs
+ * One pack per language: `text` holds UI strings and spoken/AI prompts by key,
+ * `modules` and `steps` (by module and step id) translate the wording in
+ * config.js. English module and step wording stays in config.js; keys missing
+ * from a pack fall back to English.
+ */
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        // speechLang defaults to CONFIG.voice.language
+        text: {
+            'app.title': '🏥 Healthcare AR Training',
+            'start.language': 'Language',
+            'start.module': 'Training module',
+            'start.button': 'Start Training',
+            'start.replay': 'Replay Recording',
+            'start.history': 'My Progress',
+            'start.importRoster': 'Import Roster (CSV)',
+            'start.dashboard': 'Instructor Dashboard',
+            'start.accessibility': 'Accessibility Mode',
+            'config.fix': 'Fix these settings to start training:',
+
+            'trainee.label': 'Trainee',
+            'trainee.select': 'Select your name…',
+            'trainee.or': 'or enter your details',
+            'trainee.name': 'Your name',
+            'trainee.id': 'Trainee ID (optional)',
+            'trainee.idLabel': 'Trainee ID',
+            'trainee.cohort': 'Cohort',
+            'trainee.signIn': 'Sign In',
+            'trainee.trainingAs': 'Training as',
+            'trainee.switch': 'Switch',
+            'trainee.missing': 'Enter your name or trainee ID',
+
+            'common.back': 'Back',
+            'common.close': 'Close',
+            'common.module': 'Module',
+
+            'history.title': 'My Progress',
+            'history.exportAll': 'Export All (CSV)',
+            'history.unavailable': 'Session history is not available in this browser.',
+            'history.loadFailed': 'Could not load session history.',
+            'history.empty': 'No sessions yet - complete a training to see your progress here.',
+            'history.attempts': '{attempts} attempt(s), {passed} passed',
+            'history.scores': 'Best {best} · average {average} · latest {latest}',
+            'history.trend': 'trend {trend}',
+            'history.stepAt': 'at {seconds}s',
+            'history.stepActive': '{seconds}s active',
+            'history.certificate': 'Certificate',
+
+            'dashboard.title': 'Instructor Dashboard',
+            'dashboard.loading': 'Loading sessions...',
+            'dashboard.source': '{total} session(s): {local} in this browser, {remote} from the backend',
+            'dashboard.backendUnavailable': 'backend unavailable',
+            'dashboard.key': 'Analytics key',
+            'dashboard.keyNeeded': 'enter the analytics key for backend sessions',
+            'dashboard.keyRejected': 'analytics key rejected',
+            'dashboard.allCohorts': 'All cohorts',
+            'dashboard.allModules': 'All modules',
+            'dashboard.empty': 'No sessions to show yet.',
+            'dashboard.overview': 'Overview',
+            'dashboard.overviewLine': '{sessions} session(s) · {trainees} trainee(s) · pass rate {passRate} · average score {averageScore}',
+            'dashboard.struggles': 'Most common struggle steps',
+            'dashboard.noHints': 'No hints were needed.',
+            'dashboard.byModule': 'By module',
+            'dashboard.byCohort': 'By cohort',
+            'dashboard.byTrainee': 'By trainee',
+            'dashboard.byStep': 'By step',
+            'dashboard.dailyTrend': 'Daily trend',
+            'dashboard.noCohort': '(none)',
+            'column.step': 'Step',
+            'column.hints': 'Hints',
+            'column.hintRate': 'Hint rate',
+            'column.sessions': 'Sessions',
+            'column.passRate': 'Pass rate',
+            'column.avgScore': 'Avg score',
+            'column.trainees': 'Trainees',
+            'column.trainee': 'Trainee',
+            'column.best': 'Best',
+            'column.latest': 'Latest',
+            'column.attempts': 'Attempts',
+            'column.avgTime': 'Avg time',
+            'column.day': 'Day',
+
+            'status.title': 'System Status',
+            'status.camera': 'Camera:',
+            'status.fps': 'FPS:',
+            'status.pose': 'Pose Detection:',
+            'status.sync': 'Session Sync:',
+            'status.detection': 'Object Detection:',
+            'detection.off': 'Off',
+            'detection.waiting': 'Waiting...',
+            'detection.ok': '{latency} ms · {dropped} dropped',
+            'detection.backoff': 'Unreachable, retry in {seconds}s',
+            'status.initializing': 'Initializing...',
+            'status.loading': 'Loading...',
+            'status.active': 'Active ✓',
+            'status.failed': 'Failed ✗',
+            'sync.synced': 'Synced ✓',
+            'sync.syncing': 'Syncing {pending}...',
+            'sync.offline': 'Offline, {pending} pending',
+            'sync.retrying': '{pending} pending, retry at {time}',
+
+            'checklist.title': '{module} Steps',
+            'checklist.remaining': '{percent}% - {time} remaining',
+            'split.left': 'L',
+            'split.right': 'R',
+            'split.clockwise': '↻',
+            'split.counterclockwise': '↺',
+            'controls.toggleUI': 'Hide/Show UI',
+            'controls.reset': 'Reset',
+            'controls.report': 'Report',
+            'controls.saveRecording': 'Save Recording',
+            'controls.saveRecordingTip': 'Download tracking data for this session',
+            'controls.exit': 'Exit',
+            'controls.shortcuts': 'Keyboard: S start, R reset, H hide/show panels, Esc exit or close',
+            'a11y.step': 'Step {number} of {total}: {label}. {description}',
+            'a11y.complete': 'Training complete. Score {score} out of 100, {status}.',
+
+            'report.title': 'Session Report',
+            'report.summary': '{module}: {score}/100 ({status}) · {seconds}s · technique {technique}% · {hints} hint(s) · {interruptions} interruption(s)',
+            'report.passed': 'passed',
+            'report.notPassed': 'not passed',
+            'report.held': 'Held',
+            'report.heldTip': 'Share of the step\'s active time the correct technique was held',
+            'report.smoothness': 'Smoothness',
+            'report.smoothnessTip': 'How consistently the hands kept moving in the same direction',
+            'report.frequency': 'Frequency',
+            'report.frequencyTip': 'Rubbing strokes per second',
+            'report.symmetry': 'Symmetry',
+            'report.symmetryTip': 'Slower hand\'s speed relative to the faster hand',
+            'report.interruptions': 'Interruptions',
+            'report.interruptionsTip': 'Times the camera lost you during the step',
+            'report.objects': 'Objects',
+            'report.objectsTip': 'Items object detection had to see, or not see, during the step',
+            'report.objectsMissing': '{objects} not seen',
+            'report.objectsForbidden': '{objects} seen',
+            'report.objectsUnchecked': 'not checked',
+            'report.downloadJSON': 'Download JSON',
+            'report.downloadCSV': 'Download CSV',
+            'report.printCertificate': 'Print Certificate',
+
+            'complete.title': 'Training Complete!',
+            'complete.score': 'Score: {score}/100 - {status}',
+            'complete.passed': 'Passed',
+            'complete.notPassed': 'Not passed ({passingScore} needed)',
+            'complete.steps': 'Steps completed',
+            'complete.time': 'Time ({seconds}s, target {target}s)',
+            'complete.technique': 'Technique ({percent}%)',
+            'complete.hints': 'Hints ({count})',
+            'complete.interruptions': 'Interruptions ({count})',
+            'complete.bonus': 'Perfect technique bonus',
+            'complete.retrySpeech': 'Training complete. Your score was {score}, and {passingScore} is needed to pass. Let\'s try again.',
+
+            'feedback.trainingStarted': 'Training started! Show your hands to the camera.',
+            'feedback.sessionSaved': 'Session saved to cloud!',
+            'feedback.allowPopups': 'Allow pop-ups to print the certificate.',
+            'feedback.noRecording': 'No recording yet - start a training session first.',
+            'feedback.replayMatches': 'Replay matches the recorded session: {completed}/{total} steps, score {score}',
+            'feedback.replayDiffers': 'Replay differs from the recorded session: {completed}/{total} steps, score {score}',
+            'feedback.noVoice': 'No {language} voice is installed on this device - prompts are shown on screen instead.',
+
+            'alert.camera': 'Camera access denied. Please allow camera access and reload.',
+            'alert.rosterFailed': 'Could not import roster: {error}',
+            'alert.rosterSkipped': 'Imported {count} trainees. Skipped rows: {rows}',
+            'roster.skip.noId': '{row} (no name or ID)',
+            'roster.skip.duplicateId': '{row} (ID already used)',
+            'alert.replayFailed': 'Could not replay recording: {error}',
+            'confirm.exit': 'Are you sure you want to exit?',
+            'prompt.certificateName': 'Name to print on the certificate:',
+            'certificate.pageTitle': 'Training Certificate - {name}',
+            'certificate.heading': 'Certificate of Training',
+            'certificate.certifies': 'This certifies that',
+            'certificate.completed': 'completed the {module} training module on {date}',
+            'certificate.score': 'Score: {score}',
+            'certificate.passed': 'PASSED',
+            'certificate.notPassed': 'NOT PASSED',
+            'certificate.session': 'Session {session} · Healthcare AR Training',
+
+            // AI coaching request; the system prompt is CONFIG.aiCoaching.systemPrompt
+            'ai.userPrompt': 'Trainee is practicing {module}. Current step: "{step}". Issue: {issue}. Detected problem: {condition}. Time on this step: {seconds} seconds. Technique so far: {metrics}. Attempts at holding the position: {attempts}. History: {history}. Give brief, encouraging coaching (1-2 sentences max) that addresses the detected problem.',
+            'ai.issueCompleted': 'completed successfully',
+            'ai.issueStruggling': 'taking longer than expected',
+            'ai.noCondition': 'none',
+            'ai.metrics': 'correct technique held {held}% of {seconds} active seconds, {interruptions} tracking interruption(s)',
+            'ai.historyNone': 'first session on this module',
+            'ai.history': '{sessions} earlier session(s), last score {lastScore}/100; needed a hint on this step in {hints} of them; most common problem here: {condition}',
+            'ai.debriefPrompt': 'Trainee finished {module} with {score}/100 ({status}). Session notes: {notes} Write a short, encouraging debrief (2-3 sentences max): what went well and what to practice next.',
+            'coach.standIn.completed': 'Nice work on "{step}" - {seconds} seconds. Keep the same care on the next step.',
+            'coach.standIn.struggling': 'Take your time with "{step}". {fallback}',
+            'coach.standIn.debrief': 'Coach\'s notes: {fallback}',
+
+            // Why a step's technique isn't being detected (STEP_CONDITIONS in training-core.js)
+            'condition.noHands': 'no hands in view',
+            'condition.oneHand': 'only one hand visible',
+            'condition.noPose': 'body not fully in view',
+            'condition.objectMissing': 'the item for this step is not in view',
+            'condition.objectForbidden': 'an item that should not be there is in view',
+            'condition.handsTooFar': 'hands too far apart',
+            'condition.noCircularMotion': 'no circular rubbing motion',
+            'condition.notInterlaced': 'fingers not interlaced',
+            'condition.noVerticalMotion': 'no up-and-down motion',
+            'condition.handNotCovered': 'one hand not covering the other',
+            'condition.backNotRubbed': 'back of the hand not rubbed',
+            'condition.noMotion': 'hands not moving',
+            'condition.thumbNotClasped': 'thumb not clasped and rotated',
+            'condition.handsTooClose': 'arms not spread wide enough',
+            'condition.handsNotAtFace': 'hands not raised to the face',
+            'condition.wristNotGripped': 'wrist not gripped',
+            'condition.kneesStraight': 'knees not bent',
+            'condition.backBent': 'back not straight',
+            'condition.feetPlacement': 'feet not about shoulder-width apart',
+            'condition.loadFar': 'load held too far from the body',
+
+            // End-of-session debrief (offline version; see buildDebrief in coaching.js)
+            'debrief.title': 'Coach\'s debrief',
+            'debrief.loading': 'Preparing your debrief…',
+            'debrief.strengths': 'Strengths: {steps}.',
+            'debrief.noStrengths': 'No step was clean yet - every attempt builds the technique.',
+            'debrief.practice': 'Practice next: {steps}.',
+            'debrief.practiceItem': '{step} ({condition})',
+            'debrief.noPractice': 'Nothing to fix - keep the same technique.',
+            'debrief.recurring': '{steps} also needed a hint in earlier sessions.',
+            'debrief.improved': 'Up {points} points on your last attempt.',
+            'debrief.declined': 'Down {points} points on your last attempt.',
+            'debrief.same': 'Same score as your last attempt.',
+
+            // Objects named in step `objects` (keys of CONFIG.objectDetection.aliases)
+            'object.soap': 'soap',
+            'object.towel': 'towel',
+            'object.gloves': 'gloves',
+            'object.mask': 'mask',
+            'objects.show': 'Show the {objects} to the camera',
+            'objects.remove': 'Remove the {objects} first'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        speechLang: 'es-ES',
+        text: {
+            'app.title': '🏥 Formación sanitaria con RA',
+            'start.language': 'Idioma',
+            'start.module': 'Módulo de formación',
+            'start.button': 'Empezar formación',
+            'start.replay': 'Reproducir grabación',
+            'start.history': 'Mi progreso',
+            'start.importRoster': 'Importar lista (CSV)',
+            'start.dashboard': 'Panel del instructor',
+            'start.accessibility': 'Modo de accesibilidad',
+            'config.fix': 'Corrija estos ajustes para empezar la formación:',
+
+            'trainee.label': 'Alumno',
+            'trainee.select': 'Seleccione su nombre…',
+            'trainee.or': 'o introduzca sus datos',
+            'trainee.name': 'Su nombre',
+            'trainee.id': 'ID de alumno (opcional)',
+            'trainee.idLabel': 'ID de alumno',
+            'trainee.cohort': 'Grupo',
+            'trainee.signIn': 'Entrar',
+            'trainee.trainingAs': 'Formándose como',
+            'trainee.switch': 'Cambiar',
+            'trainee.missing': 'Introduzca su nombre o ID de alumno',
+
+            'common.back': 'Volver',
+            'common.close': 'Cerrar',
+            'common.module': 'Módulo',
+
+            'history.title': 'Mi progreso',
+            'history.exportAll': 'Exportar todo (CSV)',
+            'history.unavailable': 'El historial de sesiones no está disponible en este navegador.',
+            'history.loadFailed': 'No se pudo cargar el historial de sesiones.',
+            'history.empty': 'Aún no hay sesiones: complete una formación para ver aquí su progreso.',
+            'history.attempts': '{attempts} intento(s), {passed} aprobado(s)',
+            'history.scores': 'Mejor {best} · media {average} · última {latest}',
+            'history.trend': 'tendencia {trend}',
+            'history.stepAt': 'a los {seconds} s',
+            'history.stepActive': '{seconds} s activo',
+            'history.certificate': 'Certificado',
+
+            'dashboard.title': 'Panel del instructor',
+            'dashboard.loading': 'Cargando sesiones...',
+            'dashboard.source': '{total} sesión(es): {local} en este navegador, {remote} del servidor',
+            'dashboard.backendUnavailable': 'servidor no disponible',
+            'dashboard.key': 'Clave de análisis',
+            'dashboard.keyNeeded': 'introduzca la clave de análisis para ver las sesiones del servidor',
+            'dashboard.keyRejected': 'clave de análisis no válida',
+            'dashboard.allCohorts': 'Todos los grupos',
+            'dashboard.allModules': 'Todos los módulos',
+            'dashboard.empty': 'Aún no hay sesiones que mostrar.',
+            'dashboard.overview': 'Resumen',
+            'dashboard.overviewLine': '{sessions} sesión(es) · {trainees} alumno(s) · tasa de aprobados {passRate} · puntuación media {averageScore}',
+            'dashboard.struggles': 'Pasos con más dificultades',
+            'dashboard.noHints': 'No hicieron falta pistas.',
+            'dashboard.byModule': 'Por módulo',
+            'dashboard.byCohort': 'Por grupo',
+            'dashboard.byTrainee': 'Por alumno',
+            'dashboard.byStep': 'Por paso',
+            'dashboard.dailyTrend': 'Tendencia diaria',
+            'dashboard.noCohort': '(ninguno)',
+            'column.step': 'Paso',
+            'column.hints': 'Pistas',
+            'column.hintRate': 'Tasa de pistas',
+            'column.sessions': 'Sesiones',
+            'column.passRate': 'Aprobados',
+            'column.avgScore': 'Media',
+            'column.trainees': 'Alumnos',
+            'column.trainee': 'Alumno',
+            'column.best': 'Mejor',
+            'column.latest': 'Última',
+            'column.attempts': 'Intentos',
+            'column.avgTime': 'Tiempo medio',
+            'column.day': 'Día',
+
+            'status.title': 'Estado del sistema',
+            'status.camera': 'Cámara:',
+            'status.fps': 'FPS:',
+            'status.pose': 'Detección de postura:',
+            'status.sync': 'Sincronización:',
+            'status.detection': 'Detección de objetos:',
+            'detection.off': 'Desactivada',
+            'detection.waiting': 'Esperando...',
+            'detection.ok': '{latency} ms · {dropped} descartados',
+            'detection.backoff': 'Sin conexión, reintento en {seconds} s',
+            'status.initializing': 'Iniciando...',
+            'status.loading': 'Cargando...',
+            'status.active': 'Activa ✓',
+            'status.failed': 'Error ✗',
+            'sync.synced': 'Sincronizado ✓',
+            'sync.syncing': 'Sincronizando {pending}...',
+            'sync.offline': 'Sin conexión, {pending} pendiente(s)',
+            'sync.retrying': '{pending} pendiente(s), reintento a las {time}',
+
+            'checklist.title': 'Pasos: {module}',
+            'checklist.remaining': '{percent}% - quedan {time}',
+            'split.left': 'I',
+            'split.right': 'D',
+            'controls.toggleUI': 'Ocultar/mostrar interfaz',
+            'controls.reset': 'Reiniciar',
+            'controls.report': 'Informe',
+            'controls.saveRecording': 'Guardar grabación',
+            'controls.saveRecordingTip': 'Descargar los datos de seguimiento de esta sesión',
+            'controls.exit': 'Salir',
+            'controls.shortcuts': 'Teclado: S empezar, R reiniciar, H ocultar/mostrar paneles, Esc salir o cerrar',
+            'a11y.step': 'Paso {number} de {total}: {label}. {description}',
+            'a11y.complete': 'Formación completada. Puntuación {score} de 100, {status}.',
+
+            'report.title': 'Informe de la sesión',
+            'report.summary': '{module}: {score}/100 ({status}) · {seconds} s · técnica {technique}% · {hints} pista(s) · {interruptions} interrupción(es)',
+            'report.passed': 'aprobado',
+            'report.notPassed': 'no aprobado',
+            'report.held': 'Mantenido',
+            'report.heldTip': 'Parte del tiempo activo del paso en que se mantuvo la técnica correcta',
+            'report.smoothness': 'Fluidez',
+            'report.smoothnessTip': 'Con qué constancia las manos siguieron moviéndose en la misma dirección',
+            'report.frequency': 'Frecuencia',
+            'report.frequencyTip': 'Frotamientos por segundo',
+            'report.symmetry': 'Simetría',
+            'report.symmetryTip': 'Velocidad de la mano más lenta respecto a la más rápida',
+            'report.interruptions': 'Interrupciones',
+            'report.interruptionsTip': 'Veces que la cámara le perdió durante el paso',
+            'report.objects': 'Objetos',
+            'report.objectsTip': 'Material que la detección de objetos debía ver, o no ver, durante el paso',
+            'report.objectsMissing': 'no se vio: {objects}',
+            'report.objectsForbidden': 'se vio: {objects}',
+            'report.objectsUnchecked': 'sin comprobar',
+            'report.downloadJSON': 'Descargar JSON',
+            'report.downloadCSV': 'Descargar CSV',
+            'report.printCertificate': 'Imprimir certificado',
+
+            'complete.title': '¡Formación completada!',
+            'complete.score': 'Puntuación: {score}/100 - {status}',
+            'complete.passed': 'Aprobado',
+            'complete.notPassed': 'No aprobado (se necesitan {passingScore})',
+            'complete.steps': 'Pasos completados',
+            'complete.time': 'Tiempo ({seconds} s, objetivo {target} s)',
+            'complete.technique': 'Técnica ({percent}%)',
+            'complete.hints': 'Pistas ({count})',
+            'complete.interruptions': 'Interrupciones ({count})',
+            'complete.bonus': 'Bonificación por técnica perfecta',
+            'complete.retrySpeech': 'Formación completada. Su puntuación ha sido {score} y se necesitan {passingScore} para aprobar. Intentémoslo de nuevo.',
+
+            'feedback.trainingStarted': '¡Formación iniciada! Muestre las manos a la cámara.',
+            'feedback.sessionSaved': '¡Sesión guardada en la nube!',
+            'feedback.allowPopups': 'Permita las ventanas emergentes para imprimir el certificado.',
+            'feedback.noRecording': 'Aún no hay grabación: empiece primero una sesión de formación.',
+            'feedback.replayMatches': 'La reproducción coincide con la sesión grabada: {completed}/{total} pasos, puntuación {score}',
+            'feedback.replayDiffers': 'La reproducción difiere de la sesión grabada: {completed}/{total} pasos, puntuación {score}',
+            'feedback.noVoice': 'No hay ninguna voz en {language} instalada en este dispositivo: las indicaciones se muestran en pantalla.',
+
+            'alert.camera': 'Acceso a la cámara denegado. Permita el acceso a la cámara y recargue la página.',
+            'alert.rosterFailed': 'No se pudo importar la lista: {error}',
+            'alert.rosterSkipped': 'Se importaron {count} participantes. Filas omitidas: {rows}',
+            'roster.skip.noId': '{row} (sin nombre ni ID)',
+            'roster.skip.duplicateId': '{row} (ID repetido)',
+            'alert.replayFailed': 'No se pudo reproducir la grabación: {error}',
+            'confirm.exit': '¿Seguro que quiere salir?',
+            'prompt.certificateName': 'Nombre que aparecerá en el certificado:',
+            'certificate.pageTitle': 'Certificado de formación - {name}',
+            'certificate.heading': 'Certificado de formación',
+            'certificate.certifies': 'Se certifica que',
+            'certificate.completed': 'completó el módulo de formación {module} el {date}',
+            'certificate.score': 'Puntuación: {score}',
+            'certificate.passed': 'APROBADO',
+            'certificate.notPassed': 'NO APROBADO',
+            'certificate.session': 'Sesión {session} · Healthcare AR Training',
+
+            'voice.stepComplete': '¡Buen trabajo en ese paso!',
+
+            'ai.systemPrompt': 'Eres un instructor de formación sanitaria amable. Da comentarios breves y alentadores en 1-2 frases. Sé comprensivo y concreto sobre la técnica. Responde siempre en español.',
+            'ai.userPrompt': 'El alumno está practicando {module}. Paso actual: "{step}". Situación: {issue}. Problema detectado: {condition}. Tiempo en este paso: {seconds} segundos. Técnica hasta ahora: {metrics}. Intentos de mantener la posición: {attempts}. Historial: {history}. Da una indicación breve y alentadora (máximo 1-2 frases) que aborde el problema detectado.',
+            'ai.issueCompleted': 'completado con éxito',
+            'ai.issueStruggling': 'está tardando más de lo esperado',
+            'ai.noCondition': 'ninguno',
+            'ai.metrics': 'técnica correcta mantenida el {held}% de {seconds} segundos activos, {interruptions} interrupción(es) del seguimiento',
+            'ai.historyNone': 'primera sesión de este módulo',
+            'ai.history': '{sessions} sesión(es) anteriores, última puntuación {lastScore}/100; necesitó una pista en este paso en {hints} de ellas; problema más frecuente aquí: {condition}',
+            'ai.debriefPrompt': 'El alumno terminó {module} con {score}/100 ({status}). Notas de la sesión: {notes} Escribe un resumen breve y alentador (máximo 2-3 frases): qué salió bien y qué practicar a continuación.',
+            'coach.standIn.completed': 'Buen trabajo en «{step}»: {seconds} segundos. Mantenga el mismo cuidado en el siguiente paso.',
+            'coach.standIn.struggling': 'Tómese su tiempo con «{step}». {fallback}',
+            'coach.standIn.debrief': 'Notas del instructor: {fallback}',
+
+            'condition.noHands': 'no se ven las manos',
+            'condition.oneHand': 'solo se ve una mano',
+            'condition.noPose': 'el cuerpo no se ve entero',
+            'condition.objectMissing': 'no se ve el material de este paso',
+            'condition.objectForbidden': 'se ve un objeto que no debería estar',
+            'condition.handsTooFar': 'manos demasiado separadas',
+            'condition.noCircularMotion': 'sin movimiento circular de frotado',
+            'condition.notInterlaced': 'dedos no entrelazados',
+            'condition.noVerticalMotion': 'sin movimiento de arriba abajo',
+            'condition.handNotCovered': 'una mano no cubre la otra',
+            'condition.backNotRubbed': 'no se frota el dorso de la mano',
+            'condition.noMotion': 'las manos no se mueven',
+            'condition.thumbNotClasped': 'pulgar sin rodear ni girar',
+            'condition.handsTooClose': 'brazos poco abiertos',
+            'condition.handsNotAtFace': 'manos no levantadas hasta la cara',
+            'condition.wristNotGripped': 'muñeca sin sujetar',
+            'condition.kneesStraight': 'rodillas sin flexionar',
+            'condition.backBent': 'espalda no recta',
+            'condition.feetPlacement': 'pies no separados a la anchura de los hombros',
+            'condition.loadFar': 'carga demasiado lejos del cuerpo',
+
+            'debrief.title': 'Resumen del instructor',
+            'debrief.loading': 'Preparando su resumen…',
+            'debrief.strengths': 'Puntos fuertes: {steps}.',
+            'debrief.noStrengths': 'Aún no hubo un paso limpio: cada intento mejora la técnica.',
+            'debrief.practice': 'Practique a continuación: {steps}.',
+            'debrief.practiceItem': '{step} ({condition})',
+            'debrief.noPractice': 'Nada que corregir: mantenga la misma técnica.',
+            'debrief.recurring': '{steps} también necesitó una pista en sesiones anteriores.',
+            'debrief.improved': '{points} puntos más que en su último intento.',
+            'debrief.declined': '{points} puntos menos que en su último intento.',
+            'debrief.same': 'La misma puntuación que en su último intento.',
+
+            'object.soap': 'jabón',
+            'object.towel': 'toalla',
+            'object.gloves': 'guantes',
+            'object.mask': 'mascarilla',
+            'objects.show': 'Muestre a la cámara: {objects}',
+            'objects.remove': 'Quítese primero: {objects}'
+        },
+        modules: {
+            handwashing: {
+                title: 'Lavado de manos',
+                description: 'Practique el lavado de manos con guía en tiempo real',
+                welcome: 'Bienvenido a la formación de lavado de manos. Muéstreme las manos y siga las instrucciones en pantalla.',
+                complete: '¡Excelente trabajo! Ha completado la formación de lavado de manos. ¡Su técnica ha sido perfecta!'
+            },
+            ppe: {
+                title: 'Colocación y retirada de EPI',
+                description: 'Practique cómo ponerse y quitarse la bata, la mascarilla y los guantes',
+                welcome: 'Bienvenido a la formación de EPI. Nos pondremos la bata, la mascarilla y los guantes, y luego los retiraremos de forma segura.',
+                complete: '¡Bien hecho! Ha completado la colocación y retirada del EPI en el orden correcto.'
+            },
+            patient_transfer: {
+                title: 'Traslado de pacientes',
+                description: 'Practique una postura segura para levantar y mover pacientes',
+                welcome: 'Bienvenido a la formación de traslado de pacientes. Retroceda para que la cámara vea todo su cuerpo.',
+                complete: '¡Gran técnica de levantamiento! Ha mantenido la espalda recta y ha usado las piernas.'
+            }
+        },
+        steps: {
+            handwashing: {
+                hands_visible: {
+                    label: 'Manos visibles para la cámara',
+                    description: 'Muestre claramente ambas manos a la cámara',
+                    hint: 'Sostenga las manos delante de la cámara',
+                    feedback: '¡Genial! Veo sus manos con claridad.'
+                },
+                wetting_motion: {
+                    label: 'Movimiento de mojado',
+                    description: 'Junte las manos como si estuvieran bajo el agua',
+                    hint: 'Acerque las manos entre sí',
+                    feedback: '¡Buen movimiento de mojado!'
+                },
+                soap_application: {
+                    label: 'Aplicar jabón (frotar palmas)',
+                    description: 'Frote las palmas en círculos, en ambos sentidos',
+                    hint: 'Frote las palmas en círculos y luego cambie de sentido',
+                    feedback: '¡Técnica de enjabonado perfecta!'
+                },
+                interlace_fingers: {
+                    label: 'Entrelazar los dedos',
+                    description: 'Entrelace los dedos y frótelos',
+                    hint: 'Entrelace los dedos como una cremallera',
+                    feedback: '¡Excelente entrelazado de dedos!'
+                },
+                back_of_hands: {
+                    label: 'Lavar el dorso de las manos',
+                    description: 'Frote el dorso de cada mano con la palma de la otra',
+                    hint: 'Cubra el dorso de una mano con la otra',
+                    feedback: '¡Buen trabajo con el dorso de las manos!'
+                },
+                thumbs: {
+                    label: 'Limpiar los pulgares',
+                    description: 'Rodee y gire cada pulgar',
+                    hint: 'Rodee un pulgar con los dedos y gírelo; luego cambie',
+                    feedback: '¡Buena limpieza de pulgares!'
+                },
+                rinse_motion: {
+                    label: 'Movimiento de aclarado',
+                    description: 'Mueva las manos en vertical como bajo el grifo',
+                    hint: 'Mueva las manos arriba y abajo',
+                    feedback: '¡Técnica de aclarado perfecta!'
+                },
+                dry_hands: {
+                    label: 'Secar las manos con una toalla',
+                    description: 'Séquese ambas manos a toques con una toalla de un solo uso',
+                    hint: 'Sujete la toalla entre las manos y séquelas a toques',
+                    feedback: 'Manos secas. ¡Bien hecho!'
+                }
+            },
+            ppe: {
+                ppe_ready: {
+                    label: 'Manos visibles para la cámara',
+                    description: 'Muestre claramente ambas manos a la cámara',
+                    hint: 'Sostenga ambas manos delante de la cámara',
+                    feedback: 'Listo para empezar. Comience con la bata.'
+                },
+                gown_on: {
+                    label: 'Ponerse la bata',
+                    description: 'Introduzca ambos brazos en las mangas de la bata',
+                    hint: 'Estire bien los brazos dentro de las mangas',
+                    feedback: 'Bata puesta. Ahora ajuste la mascarilla.'
+                },
+                mask_fit: {
+                    label: 'Ajustar la mascarilla',
+                    description: 'Moldee la tira metálica sobre el puente de la nariz',
+                    hint: 'Pellizque la pinza nasal con ambas manos',
+                    feedback: 'Mascarilla ajustada. Ahora póngase los guantes.'
+                },
+                gloves_on: {
+                    label: 'Ponerse los guantes',
+                    description: 'Tire del puño de cada guante por encima de la manga de la bata',
+                    hint: 'Sujete la muñeca y suba el puño',
+                    feedback: '¡EPI completo! Ahora retírelo, empezando por los guantes.'
+                },
+                gloves_off: {
+                    label: 'Quitarse los guantes',
+                    description: 'Retire cada guante desde la muñeca, dándole la vuelta',
+                    hint: 'Pellizque el exterior de un guante a la altura de la muñeca',
+                    feedback: 'Guantes retirados. Ahora quítese la bata.'
+                },
+                gown_off: {
+                    label: 'Quitarse la bata',
+                    description: 'Separe la bata del cuerpo enrollándola del revés',
+                    hint: 'Saque las mangas con los brazos bien abiertos',
+                    feedback: 'Bata retirada. Ahora quítese la mascarilla por las cintas.'
+                },
+                mask_off: {
+                    label: 'Quitarse la mascarilla',
+                    description: 'Retire la mascarilla por las cintas o gomas sin tocar la parte delantera',
+                    hint: 'Sujete las gomas a ambos lados de la cabeza',
+                    feedback: 'Mascarilla retirada. Termine con la higiene de manos.'
+                },
+                ppe_hand_hygiene: {
+                    label: 'Higiene de manos',
+                    description: 'Frote las manos con solución desinfectante',
+                    hint: 'Frote las palmas en círculos',
+                    feedback: '¡Manos limpias!'
+                }
+            },
+            patient_transfer: {
+                body_visible: {
+                    label: 'Cuerpo entero visible',
+                    description: 'Colóquese de modo que la cámara le vea de la cabeza a los pies',
+                    hint: 'Retroceda hasta que se le vean los pies',
+                    feedback: 'Le veo con claridad.'
+                },
+                feet_apart: {
+                    label: 'Pies separados a la anchura de los hombros',
+                    description: 'Establezca una base de apoyo estable antes de levantar',
+                    hint: 'Separe los pies más o menos a la anchura de los hombros',
+                    feedback: 'Buena postura estable.'
+                },
+                bend_knees: {
+                    label: 'Rodillas flexionadas, espalda recta',
+                    description: 'Bájese flexionando las rodillas, no la espalda',
+                    hint: 'Póngase en cuclillas con el pecho erguido',
+                    feedback: 'Bien, está levantando con las piernas.'
+                },
+                load_close: {
+                    label: 'Carga cerca del cuerpo',
+                    description: 'Sujete la carga contra el tronco mientras sigue en cuclillas',
+                    hint: 'Acerque las manos a la cintura',
+                    feedback: 'La carga está cerca de su centro de gravedad.'
+                },
+                stand_with_load: {
+                    label: 'Levantarse con la carga cerca',
+                    description: 'Estire las piernas para ponerse de pie con la carga cerca y la espalda recta',
+                    hint: 'Empuje con las piernas',
+                    feedback: '¡Levantamiento seguro completado!'
+                }
+            }
+        }
+    }
+};
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALES;
+}
@@ -0,0 +1,166 @@
+/**
+ * Healthcare AR Training - Session Upload Outbox
+ * Persists finished sessions until the backend accepts them, retrying with
+ * exponential backoff and again whenever the browser comes back online
+ */
+
+class SessionOutbox {
+    /**
+     * `send(session)` uploads one session and throws on failure.
+     * `store` persists queued entries (SessionStore); without one, or once it
+     * fails, the queue only lives in memory.
+     * `onStatus(status)` is called whenever the queue or sync state changes.
+     */
+    constructor({ send, store = null, onStatus = () => {}, onSent = () => {}, baseDelayMs = 2000, maxDelayMs = 300000 }) {
+        this.send = send;
+        this.store = store;
+        this.onStatus = onStatus;
+        this.onSent = onSent;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+
+        this.memory = new Map();
+        this.flushing = null;
+        this.flushRequested = false;
+        this.retryTimer = null;
+        this.status = { state: 'idle', pending: 0, nextRetryAt: null, lastError: null };
+    }
+
+    /**
+     * Queue a session for upload (replacing any queued copy with the same session_id) and try to send it
+     */
+    async enqueue(session) {
+        const existing = (await this.list()).find(entry => entry.session_id === session.session_id);
+        await this.put({
+            session_id: session.session_id,
+            session,
+            attempts: existing ? existing.attempts : 0,
+            queuedAt: existing ? existing.queuedAt : new Date().toISOString()
+        });
+        return this.flush();
+    }
+
+    /**
+     * Send every queued session, oldest first. Stops at the first failure and
+     * schedules a retry; concurrent calls share the same run.
+     */
+    flush() {
+        if (this.flushing) {
+            // Sessions queued mid-run go out in another pass once this one succeeds
+            this.flushRequested = true;
+            return this.flushing;
+        }
+
+        this.flushing = (async () => {
+            do {
+                this.flushRequested = false;
+                await this.runFlush();
+            } while (this.flushRequested && this.status.state === 'synced');
+        })().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async runFlush() {
+        this.clearRetry();
+        const queue = await this.list();
+        if (queue.length === 0) {
+            this.setStatus({ state: 'synced', pending: 0, nextRetryAt: null, lastError: null });
+            return;
+        }
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.setStatus({ state: 'offline', pending: queue.length, nextRetryAt: null });
+            return;
+        }
+
+        this.setStatus({ state: 'syncing', pending: queue.length });
+        let pending = queue.length;
+        for (const entry of queue) {
+            try {
+                await this.send(entry.session);
+            } catch (error) {
+                entry.attempts++;
+                entry.lastAttemptAt = new Date().toISOString();
+                await this.put(entry);
+
+                const delay = this.getRetryDelay(entry.attempts);
+                this.retryTimer = setTimeout(() => {
+                    this.flush().catch(retryError => console.error('Session sync error:', retryError));
+                }, delay);
+                this.setStatus({ state: 'retrying', pending, nextRetryAt: Date.now() + delay, lastError: error.message });
+                return;
+            }
+
+            await this.remove(entry.session_id);
+            pending--;
+            this.onSent(entry.session);
+            this.setStatus({ pending });
+        }
+
+        this.setStatus({ state: 'synced', pending: 0, nextRetryAt: null, lastError: null });
+    }
+
+    /**
+     * Skip the backoff wait, e.g. when the browser reports it is back online
+     */
+    retryNow() {
+        return this.flush();
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(this.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), this.maxDelayMs);
+    }
+
+    clearRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    setStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        this.onStatus(this.status);
+    }
+
+    async list() {
+        const entries = await this.withStore(store => store.listQueued(), () => [...this.memory.values()]);
+        return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    put(entry) {
+        return this.withStore(store => store.putQueued(entry), () => {
+            this.memory.set(entry.session_id, entry);
+        });
+    }
+
+    remove(sessionId) {
+        return this.withStore(store => store.removeQueued(sessionId), () => {
+            this.memory.delete(sessionId);
+        });
+    }
+
+    /**
+     * Run `operation` on the store, or `inMemory` without one. A store that
+     * fails (IndexedDB blocked or broken) is dropped for the rest of the page
+     * so finished sessions are still queued, if only until the page closes.
+     */
+    async withStore(operation, inMemory) {
+        if (this.store) {
+            try {
+                return await operation(this.store);
+            } catch (error) {
+                console.warn('Session outbox storage failed, queueing in memory:', error);
+                this.store = null;
+            }
+        }
+        return inMemory();
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionOutbox;
+}
@@ -0,0 +1,145 @@
+/**
+ * Healthcare AR Training - Session Recorder
+ * Captures the timestamped tracking stream of a training session so it can be
+ * downloaded as JSON and replayed through the step validators without a camera
+ */
+
+class SessionRecorder {
+    constructor(options = {}) {
+        this.maxFrames = options.maxFrames || 20000;
+        this.recording = null;
+    }
+
+    get isRecording() {
+        return !!this.recording && !this.recording.result;
+    }
+
+    /**
+     * Begin a new recording. `steps` is the step definition list in use, so a
+     * replay validates against the same config the trainee had
+     */
+    start({ module, steps }) {
+        this.recording = {
+            version: 1,
+            module,
+            recordedAt: new Date().toISOString(),
+            steps,
+            frames: [],
+            result: null
+        };
+    }
+
+    addFrame(frame) {
+        if (!this.isRecording) return;
+        if (this.recording.frames.length >= this.maxFrames) {
+            if (!this.recording.truncated) {
+                this.recording.truncated = true;
+                console.warn(`Recording stopped at ${this.maxFrames} frames`);
+            }
+            return;
+        }
+        this.recording.frames.push(frame);
+    }
+
+    /**
+     * Record a MediaPipe Hands result. `t` is ms since the session started
+     */
+    addHandsFrame(t, results) {
+        this.addFrame({
+            t,
+            tracker: 'hands',
+            hands: (results.multiHandLandmarks || []).map(copyLandmarks),
+            handedness: (results.multiHandedness || []).map(h => ({ label: h.label, score: h.score }))
+        });
+    }
+
+    addPoseFrame(t, results) {
+        this.addFrame({
+            t,
+            tracker: 'pose',
+            pose: results.poseLandmarks ? copyLandmarks(results.poseLandmarks) : null,
+            world: results.poseWorldLandmarks ? copyLandmarks(results.poseWorldLandmarks) : null
+        });
+    }
+
+    addDetections(t, detections) {
+        this.addFrame({ t, tracker: 'objects', detections });
+    }
+
+    /**
+     * Record that frames stopped (hidden tab) so a replay doesn't credit the gap either
+     */
+    addGap(t) {
+        this.addFrame({ t, tracker: 'gap' });
+    }
+
+    /**
+     * Close the recording with the live outcome so a replay can be compared against it
+     */
+    finish(result) {
+        if (!this.isRecording) return;
+        this.recording.result = result;
+    }
+
+    download() {
+        if (!this.recording) return false;
+
+        const stamp = this.recording.recordedAt.replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `recording_${this.recording.module}_${stamp}.json`;
+        link.click();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
+    }
+
+    /**
+     * Feed one recorded frame to the matching handler, in the form the live
+     * app received it: { hands(results), pose(results), objects(detections), gap() }
+     */
+    static replayFrame(frame, handlers) {
+        if (frame.tracker === 'gap') {
+            handlers.gap();
+        } else if (frame.tracker === 'objects') {
+            handlers.objects(frame.detections);
+        } else if (frame.tracker === 'pose') {
+            handlers.pose({ poseLandmarks: frame.pose, poseWorldLandmarks: frame.world });
+        } else {
+            handlers.hands({ multiHandLandmarks: frame.hands, multiHandedness: frame.handedness });
+        }
+    }
+
+    /**
+     * Parse and sanity-check a recording file's text
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Recording is not valid JSON: ${error.message}`);
+        }
+
+        if (!recording || recording.version !== 1) {
+            throw new Error('Unsupported recording version');
+        }
+        if (!Array.isArray(recording.frames) || !Array.isArray(recording.steps)) {
+            throw new Error('Recording is missing frames or steps');
+        }
+        return recording;
+    }
+}
+
+function copyLandmarks(landmarks) {
+    return landmarks.map(({ x, y, z, visibility }) => (
+        visibility === undefined ? { x, y, z } : { x, y, z, visibility }
+    ));
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
@@ -0,0 +1,204 @@
+/**
+ * Healthcare AR Training - Trainee Identity
+ * The signed-in trainee and the instructor's imported roster, kept in
+ * localStorage so every saved session can be tied to a person and cohort
+ */
+
+// Accepted header names for each roster column (lowercase)
+const ROSTER_COLUMNS = {
+    id: ['id', 'trainee_id', 'user_id', 'student_id', 'employee_id'],
+    name: ['name', 'trainee_name', 'full_name', 'trainee'],
+    cohort: ['cohort', 'group', 'class']
+};
+
+class TraineeRoster {
+    /**
+     * `storage` is anything with getItem/setItem (localStorage by default);
+     * without one the roster only lives in memory.
+     */
+    constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null, storageKey = 'ar_training_trainees' } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.trainees = [];
+        this.current = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = this.storage && JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved) {
+                this.trainees = saved.trainees || [];
+                this.current = saved.current || null;
+            }
+        } catch (error) {
+            console.warn('Could not load trainee roster:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ trainees: this.trainees, current: this.current }));
+        } catch (error) {
+            console.warn('Could not save trainee roster:', error);
+        }
+    }
+
+    /**
+     * Replace the roster with the trainees in a CSV file. Returns { imported,
+     * skipped } with the rows parseCSV couldn't use.
+     */
+    importCSV(text) {
+        const { trainees, skipped } = TraineeRoster.parseCSV(text);
+        this.trainees = trainees;
+        this.save();
+        return { imported: trainees.length, skipped };
+    }
+
+    cohorts() {
+        return [...new Set(this.trainees.map(t => t.cohort).filter(Boolean))].sort();
+    }
+
+    find(id) {
+        return this.trainees.find(t => t.id === id) || null;
+    }
+
+    /**
+     * Sign in by roster ID or by entering a name (and optional ID and cohort).
+     * Missing fields are filled from the roster entry with the same ID.
+     */
+    signIn({ id = '', name = '', cohort = '' }) {
+        id = id.trim() || TraineeRoster.makeId(name);
+        if (!id) {
+            throw new Error('Enter your name or trainee ID');
+        }
+
+        const listed = this.find(id);
+        this.current = {
+            id,
+            name: name.trim() || (listed ? listed.name : id),
+            cohort: cohort.trim() || (listed ? listed.cohort : '')
+        };
+        this.save();
+        return this.current;
+    }
+
+    signOut() {
+        this.current = null;
+        this.save();
+    }
+
+    /**
+     * Roster rows from CSV text with a header row naming at least an id or
+     * name column, as { trainees, skipped }. Trainees without an ID get one
+     * made from their name, numbered when it is already taken ("ana-lima-2").
+     * `skipped` lists rows left out, numbered as in a spreadsheet (header = 1):
+     * { row, reason: 'noId' } for rows with neither, { row, reason: 'duplicateId' }
+     * for an ID already used by an earlier row.
+     */
+    static parseCSV(text) {
+        const [header, ...rows] = parseCSVRows(text)
+            .map((cells, index) => ({ cells, row: index + 1 }))
+            .filter(({ cells }) => cells.some(value => value.trim() !== ''));
+        if (!header) {
+            throw new Error('Roster file is empty');
+        }
+
+        const headers = header.cells.map(h => h.trim().toLowerCase());
+        const column = field => headers.findIndex(h => ROSTER_COLUMNS[field].includes(h));
+        const idColumn = column('id');
+        const nameColumn = column('name');
+        const cohortColumn = column('cohort');
+        if (idColumn === -1 && nameColumn === -1) {
+            throw new Error('Roster needs an "id" or "name" column');
+        }
+
+        const cell = (cells, index) => (index === -1 ? '' : (cells[index] || '').trim());
+        const trainees = new Map();
+        const skipped = [];
+        for (const { cells, row } of rows) {
+            const name = cell(cells, nameColumn);
+            let id = cell(cells, idColumn);
+            if (id && trainees.has(id)) {
+                skipped.push({ row, reason: 'duplicateId' });
+                continue;
+            }
+            if (!id) {
+                // Namesakes without IDs are different people
+                const base = TraineeRoster.makeId(name);
+                id = base;
+                for (let n = 2; id && trainees.has(id); n++) {
+                    id = `${base}-${n}`;
+                }
+            }
+            if (!id) {
+                skipped.push({ row, reason: 'noId' });
+                continue;
+            }
+            trainees.set(id, { id, name: name || id, cohort: cell(cells, cohortColumn) });
+        }
+        return { trainees: [...trainees.values()], skipped };
+    }
+
+    /**
+     * Lowercase slug of a name that keeps letters and digits in any script ("José Núñez" -> "josé-núñez")
+     */
+    static makeId(name) {
+        return name.normalize('NFC').trim().toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells ("a, b" and "" escapes).
+ * Blank rows are kept so rows can be numbered as a spreadsheet shows them.
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop a UTF-8 byte order mark left by spreadsheet exports
+    if (rows.length > 0 && rows[0].length > 0) {
+        rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+    }
+    return rows;
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraineeRoster;
+}
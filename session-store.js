@@ -0,0 +1,133 @@
+/**
+ * Healthcare AR Training - Local Session History
+ * Keeps finished sessions in IndexedDB so trainees can review their progress
+ * without backend access, plus the outbox of sessions not yet uploaded
+ */
+
+class SessionStore {
+    constructor(dbName = 'ar_training_sessions') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static get available() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        const store = db.createObjectStore('sessions', { keyPath: 'session_id' });
+                        store.createIndex('end_time', 'end_time');
+                    }
+                    // Version 2: sessions waiting for upload (see outbox.js)
+                    if (!db.objectStoreNames.contains('outbox')) {
+                        db.createObjectStore('outbox', { keyPath: 'session_id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Add or replace a session payload (keyed by session_id)
+     */
+    async save(session) {
+        const db = await this.open();
+        const transaction = db.transaction('sessions', 'readwrite');
+        transaction.objectStore('sessions').put(session);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * All stored sessions, oldest first
+     */
+    async list() {
+        const db = await this.open();
+        const request = db.transaction('sessions').objectStore('sessions').getAll();
+        const sessions = await requestDone(request);
+        return sessions.sort((a, b) => (a.end_time || '').localeCompare(b.end_time || ''));
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction('sessions', 'readwrite');
+        transaction.objectStore('sessions').clear();
+        await transactionDone(transaction);
+    }
+
+    async putQueued(entry) {
+        const db = await this.open();
+        const transaction = db.transaction('outbox', 'readwrite');
+        transaction.objectStore('outbox').put(entry);
+        await transactionDone(transaction);
+    }
+
+    async listQueued() {
+        const db = await this.open();
+        return requestDone(db.transaction('outbox').objectStore('outbox').getAll());
+    }
+
+    async removeQueued(sessionId) {
+        const db = await this.open();
+        const transaction = db.transaction('outbox', 'readwrite');
+        transaction.objectStore('outbox').delete(sessionId);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Per-module progress from a session list (oldest first): attempts, best,
+     * average and latest score, pass count, and trend - the average of the
+     * last `window` attempts minus the average of the `window` before them
+     */
+    static summarize(sessions, window = 3) {
+        const byModule = {};
+        for (const session of sessions) {
+            (byModule[session.task] = byModule[session.task] || []).push(session);
+        }
+
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        return Object.entries(byModule).map(([task, attempts]) => {
+            const scores = attempts.map(s => s.score);
+            const recent = scores.slice(-window);
+            const previous = scores.slice(-2 * window, -window);
+            return {
+                task,
+                attempts: attempts.length,
+                passed: attempts.filter(s => s.metrics && s.metrics.passed).length,
+                best: Math.max(...scores),
+                average: Math.round(average(scores)),
+                latest: scores[scores.length - 1],
+                trend: previous.length > 0 ? Math.round(average(recent) - average(previous)) : null,
+                scores
+            };
+        });
+    }
+}
+
+function requestDone(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
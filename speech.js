@@ -0,0 +1,149 @@
+/**
+ * Healthcare AR Training - Speech Queue
+ * Speaks prompts one at a time by priority instead of cutting each other off,
+ * drops repeats and stale low-priority messages, and reports each utterance
+ * as it starts and ends so it can be captioned
+ */
+
+// Higher ranks are spoken first; only safety messages interrupt one in progress
+const SPEECH_PRIORITIES = {
+    safety: 4,
+    instruction: 3,
+    completion: 2,
+    encouragement: 1
+};
+
+class SpeechQueue {
+    /**
+     * `speak(item, done)` starts an utterance and calls `done()` when it ends;
+     * `cancel()` stops the current one. `onStart(item)` and `onEnd(item)` are
+     * called around every utterance (items are { text, priority, rank, key, queuedAt }).
+     * `dedupeMs`: a message isn't repeated within this time.
+     * `maxWaitMs`: completion and encouragement messages older than this are dropped.
+     * `watchdogMs`: an utterance is treated as finished after this long, for
+     * browsers that never report the end.
+     */
+    constructor({
+        speak,
+        cancel = () => {},
+        onStart = () => {},
+        onEnd = () => {},
+        dedupeMs = 5000,
+        maxLength = 4,
+        maxWaitMs = 10000,
+        watchdogMs = 15000,
+        now = () => Date.now()
+    }) {
+        this.speakFn = speak;
+        this.cancelFn = cancel;
+        this.onStart = onStart;
+        this.onEnd = onEnd;
+        this.dedupeMs = dedupeMs;
+        this.maxLength = maxLength;
+        this.maxWaitMs = maxWaitMs;
+        this.watchdogMs = watchdogMs;
+        this.now = now;
+
+        this.queue = [];
+        this.current = null;
+        this.watchdog = null;
+        this.lastSpoken = new Map();
+    }
+
+    /**
+     * Queue a message (`priority` is a SPEECH_PRIORITIES name; `key` identifies
+     * repeats and defaults to the text). Returns false when it was dropped.
+     */
+    say(text, { priority = 'encouragement', key = text } = {}) {
+        if (!text) return false;
+        const rank = SPEECH_PRIORITIES[priority];
+        if (rank === undefined) {
+            throw new Error(`Unknown speech priority "${priority}"`);
+        }
+
+        const now = this.now();
+        if (this.isRepeat(key, now)) return false;
+
+        const item = { text, priority, rank, key, queuedAt: now };
+        if (this.current && rank === SPEECH_PRIORITIES.safety && this.current.rank < rank) {
+            // Safety warnings can't wait; an interrupted instruction or completion is said again afterwards
+            const interrupted = this.current;
+            this.stopCurrent();
+            if (interrupted.rank > SPEECH_PRIORITIES.encouragement) {
+                this.queue.push({ ...interrupted, queuedAt: now });
+            }
+        }
+
+        this.queue.push(item);
+        this.queue.sort((a, b) => b.rank - a.rank || a.queuedAt - b.queuedAt);
+        // Over the limit, the lowest-priority, newest messages go first
+        const dropped = this.queue.splice(this.maxLength);
+        this.next();
+        return !dropped.includes(item);
+    }
+
+    isRepeat(key, now) {
+        if (this.current && this.current.key === key) return true;
+        if (this.queue.some(item => item.key === key)) return true;
+        const last = this.lastSpoken.get(key);
+        return last !== undefined && now - last < this.dedupeMs;
+    }
+
+    /**
+     * Start the next queued message if nothing is being spoken
+     */
+    next() {
+        if (this.current) return;
+
+        const now = this.now();
+        this.queue = this.queue.filter(item =>
+            item.rank >= SPEECH_PRIORITIES.instruction || now - item.queuedAt <= this.maxWaitMs
+        );
+        for (const [key, spokenAt] of this.lastSpoken) {
+            if (now - spokenAt >= this.dedupeMs) this.lastSpoken.delete(key);
+        }
+
+        const item = this.queue.shift();
+        if (!item) return;
+
+        this.current = item;
+        this.lastSpoken.set(item.key, now);
+        this.onStart(item);
+
+        const done = () => {
+            if (this.current !== item) return;
+            clearTimeout(this.watchdog);
+            this.current = null;
+            this.onEnd(item);
+            this.next();
+        };
+        this.watchdog = setTimeout(done, this.watchdogMs);
+        this.speakFn(item, done);
+    }
+
+    stopCurrent() {
+        const item = this.current;
+        if (!item) return;
+        clearTimeout(this.watchdog);
+        this.current = null;
+        this.cancelFn();
+        this.onEnd(item);
+    }
+
+    /**
+     * Stop speaking and forget everything queued (reset, exit)
+     */
+    clear() {
+        this.queue = [];
+        this.stopCurrent();
+    }
+
+    get pending() {
+        return this.queue.length;
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechQueue, SPEECH_PRIORITIES };
+}
@@ -0,0 +1,65 @@
+/**
+ * Accessibility tests - settings resolution, overlay styles, feedback timing and shortcuts
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const Accessibility = require('../accessibility.js');
+
+const config = overrides => ({ ...CONFIG.accessibility, ...overrides });
+
+test('accessibility mode turns on contrast, large text and reduced motion', () => {
+    const off = Accessibility.resolve(config());
+    assert.strictEqual(off.highContrast, false);
+    assert.strictEqual(off.largeText, false);
+    assert.strictEqual(off.textScale, 1);
+
+    const on = Accessibility.resolve(config(), { modeEnabled: true });
+    assert.strictEqual(on.highContrast, true);
+    assert.strictEqual(on.reduceMotion, true);
+    assert.strictEqual(on.textScale, CONFIG.accessibility.largeTextScale);
+    assert.strictEqual(on.screenReaderAnnouncements, CONFIG.accessibility.screenReaderAnnouncements);
+});
+
+test('OS preferences and individual config flags apply on their own', () => {
+    const os = Accessibility.resolve(config(), { prefersReducedMotion: true, prefersMoreContrast: true });
+    assert.strictEqual(os.reduceMotion, true);
+    assert.strictEqual(os.highContrast, true);
+    assert.strictEqual(os.largeText, false);
+
+    const largeText = Accessibility.resolve(config({ largeText: true, largeTextScale: 2 }));
+    assert.strictEqual(largeText.highContrast, false);
+    assert.strictEqual(largeText.textScale, 2);
+});
+
+test('overlay style switches colours for high contrast and scales fonts', () => {
+    const normal = Accessibility.overlayStyle(Accessibility.resolve(config()));
+    const accessible = Accessibility.overlayStyle(Accessibility.resolve(config({ largeTextScale: 1.5 }), { modeEnabled: true }));
+
+    assert.strictEqual(normal.font(13), '13px -apple-system, sans-serif');
+    assert.strictEqual(accessible.font(16, 'bold'), 'bold 24px -apple-system, sans-serif');
+    assert.strictEqual(accessible.box, '#000000');
+    assert.ok(accessible.lineWidth > normal.lineWidth);
+});
+
+test('feedback stays up long enough to read', () => {
+    const settings = config({ feedbackMinMs: 3000, feedbackMsPerWord: 400 });
+    assert.strictEqual(Accessibility.feedbackDuration('Good wetting motion!', settings), 3000);
+    assert.strictEqual(Accessibility.feedbackDuration('word '.repeat(20), settings), 8000);
+});
+
+test('shortcuts map keys to actions but ignore typing and modified keys', () => {
+    const key = (value, extra = {}) => Accessibility.shortcut({ key: value, target: { tagName: 'BODY' }, ...extra });
+
+    assert.strictEqual(key('S'), 'start');
+    assert.strictEqual(key('r'), 'reset');
+    assert.strictEqual(key('h'), 'toggleUI');
+    assert.strictEqual(key('Escape'), 'exit');
+    assert.strictEqual(key('x'), null);
+    assert.strictEqual(key('r', { ctrlKey: true }), null);
+    assert.strictEqual(key('s', { target: { tagName: 'INPUT' } }), null);
+    assert.strictEqual(key('s', { target: { tagName: 'DIV', isContentEditable: true } }), null);
+});
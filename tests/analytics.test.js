@@ -0,0 +1,90 @@
+/**
+ * Instructor analytics tests - aggregation by trainee, cohort, module and step
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SessionAnalytics = require('../analytics.js');
+
+function session(id, { user = 'n-101', cohort = 'Ward A', task = 'handwashing', score = 80, day = '2026-03-02', hinted = [] } = {}) {
+    return {
+        session_id: id,
+        user_id: user,
+        trainee_name: user.toUpperCase(),
+        cohort,
+        task,
+        end_time: `${day}T09:00:00.000Z`,
+        score,
+        metrics: { passed: score >= 70 },
+        steps: [
+            { id: 'wet_hands', step: 'Wet hands', completedAt: 4000, hintProvided: hinted.includes('wet_hands') },
+            { id: 'soap', step: 'Apply soap', completedAt: 10000, hintProvided: hinted.includes('soap') }
+        ]
+    };
+}
+
+const sessions = [
+    session('s1', { score: 60, hinted: ['soap'] }),
+    session('s2', { score: 90, day: '2026-03-03' }),
+    session('s3', { user: 'n-102', cohort: 'Ward B', score: 75, hinted: ['soap', 'wet_hands'] }),
+    session('s4', { user: 'n-102', cohort: 'Ward B', task: 'ppe', score: 50, day: '2026-03-03' })
+];
+
+test('aggregate reports totals, modules, cohorts and trainees', () => {
+    const stats = SessionAnalytics.aggregate(sessions);
+    assert.deepStrictEqual(stats.totals, { sessions: 4, passRate: 0.5, averageScore: 68.8, trainees: 2 });
+
+    const handwashing = stats.modules.find(m => m.task === 'handwashing');
+    assert.deepStrictEqual(handwashing, { task: 'handwashing', sessions: 3, passRate: 0.67, averageScore: 75 });
+
+    const wardB = stats.cohorts.find(c => c.cohort === 'Ward B');
+    assert.strictEqual(wardB.trainees, 1);
+    assert.strictEqual(wardB.sessions, 2);
+
+    const first = stats.trainees.find(t => t.id === 'n-101');
+    assert.strictEqual(first.name, 'N-101');
+    assert.strictEqual(first.best, 90);
+    assert.strictEqual(first.latest, 90);
+});
+
+test('aggregate times steps from the previous completion and ranks struggles by hint rate', () => {
+    const stats = SessionAnalytics.aggregate(sessions);
+    const soap = stats.steps.find(s => s.task === 'handwashing' && s.id === 'soap');
+    assert.strictEqual(soap.attempts, 3);
+    assert.strictEqual(soap.averageSeconds, 6);
+    assert.strictEqual(soap.hints, 2);
+    assert.strictEqual(soap.hintRate, 0.67);
+
+    assert.deepStrictEqual(stats.struggles.map(s => `${s.task}/${s.id}`), ['handwashing/soap', 'handwashing/wet_hands']);
+    assert.deepStrictEqual(stats.trend.map(d => [d.day, d.sessions]), [['2026-03-02', 2], ['2026-03-03', 2]]);
+});
+
+test('merge dedupes by session_id and filter narrows by cohort and module', () => {
+    const merged = SessionAnalytics.merge(sessions.slice(0, 2), sessions.slice(1));
+    assert.deepStrictEqual(merged.map(s => s.session_id), ['s1', 's3', 's2', 's4']);
+
+    const filtered = SessionAnalytics.filter(merged, { cohort: 'Ward B', task: 'handwashing' });
+    assert.deepStrictEqual(filtered.map(s => s.session_id), ['s3']);
+});
+
+test('traineeHistory summarises one trainee\'s earlier attempts at a module', () => {
+    const withConditions = [
+        ...sessions,
+        {
+            ...session('s5', { score: 85, day: '2026-03-04', hinted: ['soap'] }),
+            steps: [{ id: 'soap', step: 'Apply soap', completedAt: 9000, hintProvided: true, mainCondition: 'noCircularMotion' }]
+        }
+    ];
+    const history = SessionAnalytics.traineeHistory(withConditions, { trainee: 'n-101', task: 'handwashing' });
+
+    assert.strictEqual(history.sessions, 3);
+    assert.strictEqual(history.lastScore, 85);
+    assert.strictEqual(history.bestScore, 90);
+    assert.deepStrictEqual(history.steps.soap, { sessions: 3, hints: 2, mainCondition: 'noCircularMotion' });
+    assert.deepStrictEqual(history.steps.wet_hands, { sessions: 2, hints: 0, mainCondition: null });
+
+    assert.deepStrictEqual(SessionAnalytics.traineeHistory(sessions, { trainee: 'n-103', task: 'handwashing' }),
+        { sessions: 0, lastScore: null, bestScore: null, steps: {} });
+});
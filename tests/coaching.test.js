@@ -0,0 +1,213 @@
+/**
+ * Coaching provider tests - backend proxy requests, timeouts, cancellation,
+ * fallback and the end-of-session debrief
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const { CoachingClient, buildDebrief } = require('../coaching.js');
+
+function makeConfig(aiCoaching = {}) {
+    const config = structuredClone(CONFIG);
+    config.api.baseURL = 'https://api.example.test';
+    Object.assign(config.aiCoaching, aiCoaching);
+    return config;
+}
+
+function makeRequest(overrides = {}) {
+    return {
+        kind: 'completed',
+        locale: 'en',
+        moduleId: 'handwashing',
+        moduleTitle: 'Hand Washing',
+        stepId: 'wetting_motion',
+        stepLabel: 'Wetting hands motion',
+        issue: 'completed successfully',
+        duration: 3.2,
+        attempts: 1,
+        fallback: 'Good wetting motion!',
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        ...overrides
+    };
+}
+
+const summary = (overrides = {}) => ({
+    score: 78,
+    passed: true,
+    history: null,
+    steps: [
+        { id: 'hands_visible', label: 'Hands visible', completed: true, quality: 1, hinted: false, attempts: 1, condition: null },
+        { id: 'wetting_motion', label: 'Wetting hands motion', completed: true, quality: 0.9, hinted: false, attempts: 1, condition: null },
+        { id: 'soap_application', label: 'Apply soap', completed: true, quality: 0.5, hinted: false, attempts: 3, condition: 'noCircularMotion' },
+        { id: 'thumbs', label: 'Clean thumbs', completed: true, quality: 0.7, hinted: true, attempts: 2, condition: 'oneHand' },
+        { id: 'rinse_motion', label: 'Rinse hands', completed: false, quality: 0.2, hinted: true, attempts: 0, condition: 'noVerticalMotion' }
+    ],
+    ...overrides
+});
+
+function makeDebrief() {
+    return {
+        kind: 'debrief',
+        locale: 'en',
+        moduleId: 'handwashing',
+        moduleTitle: 'Hand Washing',
+        traineeId: 'n-101',
+        duration: 64,
+        summary: summary(),
+        fallback: 'Strengths: Hands visible.',
+        systemPrompt: 'system',
+        userPrompt: 'debrief'
+    };
+}
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 300, status, json: async () => data });
+
+test('the backend provider posts the step to /ai-coach without any key', async () => {
+    const calls = [];
+    const client = new CoachingClient({
+        config: makeConfig({ provider: 'backend' }),
+        fetchFn: async (url, options) => {
+            calls.push({ url, options });
+            return jsonResponse({ feedback: 'Cover all surfaces. ', source: 'model' });
+        }
+    });
+
+    const result = await client.coach(makeRequest());
+
+    assert.deepStrictEqual(result, { text: 'Cover all surfaces.', source: 'backend' });
+    assert.strictEqual(calls[0].url, 'https://api.example.test/ai-coach');
+    assert.strictEqual(calls[0].options.headers.Authorization, undefined);
+    const body = JSON.parse(calls[0].options.body);
+    assert.strictEqual(body.current_step, 'wetting_motion');
+    assert.strictEqual(body.motion_type, 'completed');
+    assert.strictEqual(body.locale, 'en');
+
+    // Cached per trainee, step and failing condition
+    assert.deepStrictEqual(await client.coach(makeRequest()), { text: 'Cover all surfaces.', source: 'cache' });
+    assert.strictEqual(calls.length, 1);
+    await client.coach(makeRequest({ condition: 'handsTooFar' }));
+    await client.coach(makeRequest({ traineeId: 'n-102' }));
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(JSON.parse(calls[1].options.body).condition, 'handsTooFar');
+});
+
+test('errors, empty answers and timeouts fall back to the built-in message', async () => {
+    const failing = new CoachingClient({
+        config: makeConfig({ provider: 'backend' }),
+        fetchFn: async () => jsonResponse({ detail: 'boom' }, 500)
+    });
+    assert.deepStrictEqual(await failing.coach(makeRequest()), { text: 'Good wetting motion!', source: 'fallback' });
+
+    const empty = new CoachingClient({
+        config: makeConfig({ provider: 'backend' }),
+        fetchFn: async () => jsonResponse({ feedback: null, source: 'none' })
+    });
+    assert.strictEqual((await empty.coach(makeRequest())).source, 'fallback');
+
+    const slow = new CoachingClient({
+        config: makeConfig({ provider: 'openai', timeoutMs: 20 }),
+        fetchFn: () => new Promise(() => {})
+    });
+    assert.deepStrictEqual(await slow.coach(makeRequest()), { text: 'Good wetting motion!', source: 'fallback' });
+});
+
+test('cancel resolves pending requests with no text', async () => {
+    const client = new CoachingClient({
+        config: makeConfig({ provider: 'backend', timeoutMs: 5000 }),
+        fetchFn: (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    });
+
+    const pending = client.coach(makeRequest());
+    client.cancel();
+    assert.deepStrictEqual(await pending, { text: null, source: 'cancelled' });
+});
+
+test('the openai provider sends the prompts and the session limit applies', async () => {
+    let body = null;
+    // One of the two is kept for the debrief
+    const client = new CoachingClient({
+        config: makeConfig({ provider: 'openai', maxFeedbackPerSession: 2 }),
+        fetchFn: async (url, options) => {
+            body = JSON.parse(options.body);
+            return jsonResponse({ choices: [{ message: { content: 'Keep the circles going.' } }] });
+        }
+    });
+
+    assert.strictEqual((await client.coach(makeRequest())).text, 'Keep the circles going.');
+    assert.deepStrictEqual(body.messages.map(m => m.content), ['system', 'user']);
+    assert.strictEqual(body.model, CONFIG.aiCoaching.openai.model);
+
+    const limited = await client.coach(makeRequest({ stepId: 'rinse_motion', fallback: 'Perfect rinsing technique!' }));
+    assert.deepStrictEqual(limited, { text: 'Perfect rinsing technique!', source: 'fallback' });
+
+    assert.strictEqual((await client.coach(makeDebrief())).source, 'openai');
+    assert.strictEqual((await client.coach(makeDebrief())).source, 'fallback');
+
+    client.reset();
+    assert.strictEqual((await client.coach(makeRequest({ stepId: 'rinse_motion' }))).source, 'openai');
+});
+
+test('rules and the local stand-in need no network; unknown providers fall back to rules', async () => {
+    const noFetch = async () => {
+        throw new Error('no network in this test');
+    };
+    const rules = new CoachingClient({ config: makeConfig({ provider: 'rules' }), fetchFn: noFetch });
+    assert.deepStrictEqual(await rules.coach(makeRequest()), { text: 'Good wetting motion!', source: 'rules' });
+
+    const local = new CoachingClient({
+        config: makeConfig({ provider: 'local', local: { delayMs: 1 } }),
+        fetchFn: noFetch,
+        translate: (key, params) => `${key}:${params.step}`
+    });
+    assert.strictEqual((await local.coach(makeRequest())).text, 'coach.standIn.completed:Wetting hands motion');
+
+    const unknown = new CoachingClient({ config: makeConfig({ provider: 'openrouter' }), fetchFn: noFetch });
+    assert.strictEqual(unknown.providerName, 'rules');
+    assert.deepStrictEqual(await unknown.coach(makeRequest()), { text: 'Good wetting motion!', source: 'rules' });
+});
+
+test('the offline debrief lists strengths, practice with its failing condition, and the trend', () => {
+    const settings = CONFIG.aiCoaching.debrief;
+    const translate = (key, params = {}) => [key, ...Object.values(params)].join(':');
+
+    const first = buildDebrief(summary(), settings, translate);
+    assert.deepStrictEqual(first.strengths, ['hands_visible', 'wetting_motion']);
+    // Unfinished first, then hinted, then lowest quality
+    assert.deepStrictEqual(first.practice, ['rinse_motion', 'thumbs']);
+    assert.strictEqual(first.scoreChange, null);
+    assert.ok(first.text.includes('debrief.practiceItem:Rinse hands:condition.noVerticalMotion'));
+    assert.deepStrictEqual(buildDebrief(summary(), settings, translate), first);
+
+    const history = { sessions: 2, lastScore: 70, bestScore: 72, steps: { thumbs: { sessions: 2, hints: 1, mainCondition: 'oneHand' } } };
+    const second = buildDebrief(summary({ history }), settings, translate);
+    assert.strictEqual(second.scoreChange, 8);
+    assert.ok(second.text.includes('debrief.recurring:Clean thumbs'));
+    assert.ok(second.text.endsWith('debrief.improved:8'));
+
+    const clean = buildDebrief(summary({ steps: summary().steps.slice(0, 2) }), settings, translate);
+    assert.ok(clean.text.includes('debrief.noPractice'));
+});
+
+test('the backend provider sends the session summary to /ai-debrief and debriefs are not cached', async () => {
+    const calls = [];
+    const client = new CoachingClient({
+        config: makeConfig({ provider: 'backend' }),
+        fetchFn: async (url, options) => {
+            calls.push({ url, body: JSON.parse(options.body) });
+            return jsonResponse({ feedback: 'Well done on the early steps.', source: 'model' });
+        }
+    });
+
+    assert.deepStrictEqual(await client.coach(makeDebrief()), { text: 'Well done on the early steps.', source: 'backend' });
+    assert.strictEqual(calls[0].url, 'https://api.example.test/ai-debrief');
+    assert.strictEqual(calls[0].body.score, 78);
+    assert.strictEqual(calls[0].body.steps.length, 5);
+    assert.strictEqual((await client.coach(makeDebrief())).source, 'backend');
+    assert.strictEqual(calls.length, 2);
+});
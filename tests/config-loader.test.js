@@ -0,0 +1,167 @@
+/**
+ * Config layer tests - file and URL overrides, type and range validation
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const ConfigLoader = require('../config-loader.js');
+const { STEP_DETECTORS } = require('../training-core.js');
+
+const freshConfig = () => structuredClone(CONFIG);
+
+test('the shipped config validates cleanly', () => {
+    assert.deepStrictEqual(ConfigLoader.validate(freshConfig(), { detectors: STEP_DETECTORS }), []);
+});
+
+test('URL parameters override nested settings with typed values', async () => {
+    const config = freshConfig();
+    const errors = await ConfigLoader.apply(config, {
+        search: '?voice.rate=1.5&voice.language=fr-FR&handTracking.maxNumHands=1&objectDetection.enabled=false&lang=x',
+        detectors: STEP_DETECTORS
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(config.voice.rate, 1.5);
+    assert.strictEqual(config.voice.language, 'fr-FR');
+    assert.strictEqual(config.handTracking.maxNumHands, 1);
+    assert.strictEqual(config.objectDetection.enabled, false);
+    // Untouched neighbours keep their defaults
+    assert.strictEqual(config.voice.pitch, CONFIG.voice.pitch);
+});
+
+test('a config file is applied before URL parameters', async () => {
+    const config = freshConfig();
+    const requested = [];
+    const errors = await ConfigLoader.apply(config, {
+        search: '?config=site.json&scoring.passingScore=80',
+        fetchJSON: async url => {
+            requested.push(url);
+            return { scoring: { passingScore: 60, penaltyPerHint: 2 }, api: { baseURL: 'http://localhost:9000' } };
+        }
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(requested, ['site.json']);
+    assert.strictEqual(config.scoring.passingScore, 80);
+    assert.strictEqual(config.scoring.penaltyPerHint, 2);
+    assert.strictEqual(config.api.baseURL, 'http://localhost:9000');
+});
+
+test('unknown settings, wrong types and out-of-range values are reported', async () => {
+    const config = freshConfig();
+    const errors = await ConfigLoader.apply(config, {
+        search: '?voice.rat=2&voice.rate=fast&handTracking.minDetectionConfidence=1.5&motionThresholds.handsCloseDistance=-1'
+    });
+
+    assert.deepStrictEqual(errors, [
+        'Unknown setting "voice.rat"',
+        'voice.rate must be a number (got "fast")',
+        'handTracking.minDetectionConfidence must be between 0 and 1 (got 1.5)',
+        'motionThresholds.handsCloseDistance must be at least 0 (got -1)'
+    ]);
+    // Mistyped overrides are not applied
+    assert.strictEqual(config.voice.rate, CONFIG.voice.rate);
+});
+
+test('overrides cannot reach Object.prototype', async () => {
+    const config = freshConfig();
+    const errors = await ConfigLoader.apply(config, {
+        search: '?config=site.json&__proto__.polluted=1&voice.__proto__.polluted=1&voice.constructor.prototype.polluted=1',
+        fetchJSON: async () => JSON.parse('{"__proto__": {"polluted": 1}, "voice": {"__proto__": {"polluted": 1}}}')
+    });
+
+    assert.strictEqual(Object.prototype.polluted, undefined);
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(errors, [
+        'Unknown setting "__proto__"',
+        'Unknown setting "voice.__proto__"',
+        'Unknown setting "voice.__proto__"',
+        'Unknown setting "voice.constructor"'
+    ]);
+});
+
+test('links cannot redirect endpoints or load config files from other sites', async () => {
+    const config = freshConfig();
+    const requested = [];
+    const errors = await ConfigLoader.apply(config, {
+        search: '?config=https://evil.example/c.json&api.baseURL=https://evil.example&api.endpoints.sessions=@evil.example/s' +
+            '&aiCoaching.openai.baseURL=https://evil.example/v1',
+        base: 'https://training.example/index.html',
+        fetchJSON: async url => requested.push(url)
+    });
+
+    assert.deepStrictEqual(requested, []);
+    assert.deepStrictEqual(errors, [
+        'Config file "https://evil.example/c.json" must be on this site',
+        'api.baseURL can\'t be set from the page URL (use config.js or a ?config= file)',
+        'api.endpoints.sessions can\'t be set from the page URL (use config.js or a ?config= file)',
+        'aiCoaching.openai.baseURL can\'t be set from the page URL (use config.js or a ?config= file)'
+    ]);
+    assert.strictEqual(config.api.baseURL, CONFIG.api.baseURL);
+    assert.strictEqual(config.api.endpoints.sessions, CONFIG.api.endpoints.sessions);
+
+    for (const file of ['//evil.example/c.json', 'javascript:alert(1)']) {
+        const fileErrors = await ConfigLoader.apply(freshConfig(), { search: `?config=${encodeURIComponent(file)}`, base: 'https://training.example/' });
+        assert.deepStrictEqual(fileErrors, [`Config file "${file}" must be on this site`]);
+    }
+    const sameSite = await ConfigLoader.apply(freshConfig(), {
+        search: '?config=/configs/site.json',
+        base: 'https://training.example/app/',
+        fetchJSON: async url => {
+            requested.push(url);
+            return {};
+        }
+    });
+    assert.deepStrictEqual(sameSite, []);
+    assert.deepStrictEqual(requested, ['/configs/site.json']);
+});
+
+test('an unreadable config file is reported', async () => {
+    const errors = await ConfigLoader.apply(freshConfig(), {
+        search: '?config=missing.json',
+        fetchJSON: async () => { throw new Error('HTTP 404'); }
+    });
+    assert.deepStrictEqual(errors, ['Could not load config file "missing.json": HTTP 404']);
+});
+
+test('modules and step lists are checked for consistency', () => {
+    const config = freshConfig();
+    config.currentModule = 'surgery';
+    config.modules.ppe.tracking = ['hands', 'face'];
+    config.ppeSteps[1].detector = 'telepathy';
+    config.ppeSteps[2].prerequisites = ['nowhere'];
+    config.ppeSteps[3].requiredDuration = 0;
+
+    const errors = ConfigLoader.validate(config, { detectors: STEP_DETECTORS });
+    assert.strictEqual(errors.length, 5);
+    assert.match(errors[0], /currentModule "surgery" is not one of/);
+    assert.match(errors[1], /modules\.ppe\.tracking has unknown tracker "face"/);
+    assert.match(errors[2], /ppeSteps\[1\] \(.+\)\.detector "telepathy" is not a known detector/);
+    assert.match(errors[3], /ppeSteps\[2\] \(.+\)\.prerequisites lists unknown step "nowhere"/);
+    assert.match(errors[4], /ppeSteps\[3\] \(.+\)\.requiredDuration must be a number above 0/);
+});
+
+test('new modules and step lists can be added from a file', () => {
+    const config = freshConfig();
+    const errors = ConfigLoader.merge(config, {
+        modules: { triage: { title: 'Triage', steps: 'triageSteps', tracking: ['hands'] } },
+        triageSteps: [{ id: 'hands_visible', label: 'Hands', requiredDuration: 2, detector: 'handsVisible' }]
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(ConfigLoader.validate(config, { detectors: STEP_DETECTORS }), []);
+});
+
+test('object aliases can be added and step object rules are checked', () => {
+    const config = freshConfig();
+    assert.deepStrictEqual(ConfigLoader.merge(config, { objectDetection: { aliases: { sharps: ['sharps container'] } } }), []);
+    assert.deepStrictEqual(config.objectDetection.aliases.sharps, ['sharps container']);
+
+    config.handWashingSteps[0].objects = { forbidden: 'gloves', enforce: 'always' };
+    const errors = ConfigLoader.validate(config, { detectors: STEP_DETECTORS });
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /handWashingSteps\[0\] \(hands_visible\)\.objects\.forbidden must be an array of object names/);
+    assert.match(errors[1], /\.objects\.enforce must be one of block, flag/);
+});
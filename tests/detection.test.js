@@ -0,0 +1,143 @@
+/**
+ * Object detection pipeline tests - send rate, one frame in flight, late
+ * results, backoff and bounding box scaling
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DetectionPipeline, scaleDetections } = require('../detection.js');
+
+/**
+ * A pipeline on a fake clock whose uploads only finish when the test calls
+ * respond() or fail()
+ */
+function makePipeline(options = {}) {
+    const clock = { now: 0 };
+    const frames = [];
+    const results = [];
+    let frameCount = 0;
+    let pending = null;
+    const pipeline = new DetectionPipeline({
+        capture: async () => `frame${++frameCount}`,
+        send: frame => new Promise((resolve, reject) => {
+            frames.push(frame);
+            pending = { resolve, reject };
+        }),
+        onResult: detections => results.push(detections),
+        now: () => clock.now,
+        ...options
+    });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    const tick = async ms => {
+        clock.now += ms;
+        pipeline.tick();
+        await settle();
+    };
+    const respond = async (detections = []) => {
+        pending.resolve(detections);
+        await settle();
+    };
+    const fail = async () => {
+        pending.reject(new Error('HTTP 503'));
+        await settle();
+    };
+    return { pipeline, clock, frames, results, tick, respond, fail };
+}
+
+test('frames go out at sendFramesPerSecond with one in flight; frames due meanwhile are dropped', async () => {
+    const { pipeline, frames, results, tick, respond } = makePipeline({ framesPerSecond: 2 });
+
+    await tick(0);
+    await tick(200);
+    assert.deepStrictEqual(frames, ['frame1']);
+    assert.strictEqual(pipeline.status.dropped, 0);
+
+    // Due at 500ms and 1000ms while frame1 is still out
+    await tick(300);
+    await tick(500);
+    assert.deepStrictEqual(frames, ['frame1']);
+    assert.strictEqual(pipeline.status.dropped, 2);
+
+    await respond([{ class_name: 'bottle' }]);
+    assert.deepStrictEqual(results, [[{ class_name: 'bottle' }]]);
+    await tick(500);
+    assert.deepStrictEqual(frames, ['frame1', 'frame2']);
+    assert.strictEqual(pipeline.status.sent, 2);
+});
+
+test('results that arrive after maxFrameAgeMs are discarded and latency is reported', async () => {
+    const { pipeline, clock, results, tick, respond } = makePipeline({ framesPerSecond: 1, maxFrameAgeMs: 1500 });
+
+    await tick(0);
+    clock.now += 400;
+    await respond([{ class_name: 'towel' }]);
+    assert.strictEqual(pipeline.status.latencyMs, 400);
+    assert.strictEqual(results.length, 1);
+
+    await tick(600);
+    clock.now += 2000;
+    await respond([{ class_name: 'towel' }]);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(pipeline.status.stale, 1);
+    assert.strictEqual(pipeline.status.latencyMs, 2000);
+});
+
+test('an unreachable endpoint is retried with exponential backoff until it answers', async () => {
+    const statuses = [];
+    const { pipeline, frames, tick, fail, respond } = makePipeline({
+        framesPerSecond: 1,
+        baseDelayMs: 2000,
+        maxDelayMs: 5000,
+        onStatus: status => statuses.push(status.state)
+    });
+
+    await tick(0);
+    await fail();
+    assert.strictEqual(pipeline.status.state, 'backoff');
+    assert.strictEqual(pipeline.status.retryInMs, 2000);
+
+    await tick(1000);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(pipeline.retryIn(), 1000);
+    await tick(1000);
+    assert.strictEqual(frames.length, 2);
+    await fail();
+    assert.strictEqual(pipeline.status.retryInMs, 4000);
+
+    await tick(4000);
+    await fail();
+    assert.strictEqual(pipeline.status.retryInMs, 5000);
+    assert.strictEqual(pipeline.status.failures, 3);
+    // Waiting out the backoff isn't counted as dropping frames
+    assert.strictEqual(pipeline.status.dropped, 0);
+
+    await tick(5000);
+    await respond([]);
+    assert.strictEqual(pipeline.status.state, 'ok');
+    assert.strictEqual(pipeline.status.failures, 0);
+    assert.strictEqual(pipeline.retryIn(), 0);
+    assert.ok(statuses.includes('sending'));
+});
+
+test('no frame is sent before the camera has one', async () => {
+    const sent = [];
+    const pipeline = new DetectionPipeline({
+        capture: async () => null,
+        send: async frame => sent.push(frame),
+        now: () => 0
+    });
+    pipeline.tick();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(pipeline.inFlight, false);
+    assert.strictEqual(pipeline.status.state, 'idle');
+});
+
+test('bounding boxes from downsized frames are scaled back to the video', () => {
+    const detections = [{ class_name: 'bottle', confidence: 0.8, bbox: [10, 20, 30, 40] }];
+    assert.deepStrictEqual(scaleDetections(detections, 2)[0].bbox, [20, 40, 60, 80]);
+    assert.strictEqual(scaleDetections(detections, 1), detections);
+    assert.deepStrictEqual(detections[0].bbox, [10, 20, 30, 40]);
+});
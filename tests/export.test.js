@@ -0,0 +1,84 @@
+/**
+ * Session export tests - CSV rows, JSON round-trip and certificate contents
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const LOCALES = require('../locales.js');
+const Localizer = require('../i18n.js');
+const SessionExport = require('../export.js');
+
+const i18n = new Localizer({ locales: LOCALES, config: CONFIG, locale: 'en' });
+
+function session(overrides = {}) {
+    return {
+        session_id: 'sess_1',
+        user_id: 'student_abc',
+        task: 'handwashing',
+        start_time: '2026-03-02T09:00:00.000Z',
+        end_time: '2026-03-02T09:01:00.000Z',
+        duration: 60000,
+        score: 82,
+        metrics: { passed: true },
+        steps: [
+            { id: 'wet_hands', step: 'Wet hands', completedAt: 3500, metrics: { activeSeconds: 3.2, heldPercent: 94, smoothness: 0.8, rubbingFrequency: null, symmetry: 0.9, interruptions: 0 } },
+            { id: 'rinse', step: 'Rinse, then "dry"', completedAt: 58000 }
+        ],
+        ...overrides
+    };
+}
+
+test('toCSV writes a header and one row per step', () => {
+    const lines = SessionExport.toCSV(session()).trimEnd().split('\r\n');
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines[0].startsWith('session_id,trainee,module,date,score,passed'));
+    assert.strictEqual(lines[1], 'sess_1,student_abc,handwashing,2026-03-02T09:01:00.000Z,82,true,60.0,wet_hands,Wet hands,3.5,3.2,94,0.8,,0.9,0');
+    // Commas and quotes are escaped, missing metrics are empty cells
+    assert.ok(lines[2].includes(',rinse,"Rinse, then ""dry""",58.0,,,,,,'));
+});
+
+test('toCSV accepts several sessions and prefers the trainee name', () => {
+    const csv = SessionExport.toCSV([session(), session({ session_id: 'sess_2', trainee_name: 'Ada Lovelace' })]);
+    const lines = csv.trimEnd().split('\r\n');
+    assert.strictEqual(lines.length, 5);
+    assert.ok(lines[3].startsWith('sess_2,Ada Lovelace,'));
+});
+
+test('toCSV neutralizes cells a spreadsheet would run as formulas', () => {
+    const csv = SessionExport.toCSV(session({ trainee_name: '=HYPERLINK("http://x.test","click")', task: '@SUM(A1)', score: -1 }));
+    const row = csv.split('\r\n')[1];
+    assert.ok(row.startsWith('sess_1,"\'=HYPERLINK(""http://x.test"",""click"")",\'@SUM(A1),'));
+    assert.ok(row.includes(',-1,'));
+    assert.ok(SessionExport.toCSV(session({ trainee_name: '-2+3' })).includes(",'-2+3,"));
+});
+
+test('toJSON round-trips the session payload', () => {
+    const sessions = [session()];
+    assert.deepStrictEqual(JSON.parse(SessionExport.toJSON(sessions)), sessions);
+});
+
+test('certificateHTML shows trainee, module, score and pass status', () => {
+    const html = SessionExport.certificateHTML(session(), { traineeName: 'Ann <script>', moduleTitle: 'Hand Hygiene', i18n });
+    assert.ok(html.includes('Ann &lt;script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('Hand Hygiene'));
+    assert.ok(html.includes('82/100'));
+    assert.ok(html.includes('PASSED'));
+    assert.ok(!html.includes('NOT PASSED'));
+
+    const failed = SessionExport.certificateHTML(session({ score: 55, metrics: { passed: false } }), { traineeName: 'Ann', moduleTitle: 'Hand Hygiene', i18n });
+    assert.ok(failed.includes('NOT PASSED'));
+});
+
+test('certificateHTML is written in the current locale', () => {
+    const es = new Localizer({ locales: LOCALES, config: CONFIG, locale: 'es' });
+    const html = SessionExport.certificateHTML(session(), { traineeName: 'Ana', moduleTitle: 'Higiene de manos', i18n: es });
+    assert.ok(html.includes('<html lang="es">'));
+    assert.ok(html.includes('Certificado de formación'));
+    assert.ok(html.includes('APROBADO'));
+    assert.ok(html.includes('2 de marzo de 2026'));
+    assert.ok(!html.includes('Certificate of Training'));
+});
@@ -0,0 +1,79 @@
+/**
+ * Localization tests - text lookup, locale packs and voice matching
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const LOCALES = require('../locales.js');
+const Localizer = require('../i18n.js');
+
+const localizer = locale => new Localizer({ locales: LOCALES, config: CONFIG, locale });
+
+test('t() fills placeholders and falls back to English, then to the default text', () => {
+    const es = localizer('es');
+
+    assert.strictEqual(es.t('sync.syncing', { pending: 3 }), 'Sincronizando 3...');
+    assert.strictEqual(es.t('split.clockwise'), LOCALES.en.text['split.clockwise']);
+    assert.strictEqual(localizer('en').t('voice.stepComplete', {}, CONFIG.voice.messages.stepComplete),
+        CONFIG.voice.messages.stepComplete);
+    assert.strictEqual(es.t('history.trend', {}), 'tendencia {trend}');
+});
+
+test('module and step wording is translated by id and keeps the config settings', () => {
+    const es = localizer('es');
+
+    assert.strictEqual(es.moduleText('handwashing').title, 'Lavado de manos');
+    assert.strictEqual(es.moduleText('handwashing').steps, CONFIG.modules.handwashing.steps);
+
+    const steps = es.localizeSteps('handwashing');
+    const original = CONFIG[CONFIG.modules.handwashing.steps];
+    assert.strictEqual(steps.length, original.length);
+    assert.strictEqual(steps[0].label, 'Manos visibles para la cámara');
+    assert.strictEqual(steps[0].detector, original[0].detector);
+    assert.strictEqual(steps[0].requiredDuration, original[0].requiredDuration);
+
+    assert.strictEqual(es.stepLabel('handwashing', 'hands_visible', 'Hands visible'), 'Manos visibles para la cámara');
+    assert.strictEqual(localizer('en').stepLabel('handwashing', 'hands_visible', 'old'), original[0].label);
+    assert.strictEqual(es.stepLabel('retired', 'gone', 'Recorded label'), 'Recorded label');
+});
+
+test('the initial locale prefers a saved choice, then the browser language', () => {
+    const i18n = localizer('en');
+
+    assert.strictEqual(i18n.pickInitial({ saved: 'es', browserLanguages: ['en-GB'] }), 'es');
+    assert.strictEqual(i18n.pickInitial({ saved: 'xx', browserLanguages: ['fr-FR', 'es-MX'] }), 'es');
+    assert.strictEqual(i18n.pickInitial({ browserLanguages: ['fr-FR'], defaultLocale: 'en' }), 'en');
+    assert.strictEqual(i18n.setLocale('xx'), false);
+    assert.strictEqual(i18n.locale, 'en');
+});
+
+test('pickVoice matches the exact language tag, then the language', () => {
+    const voices = [
+        { name: 'US', lang: 'en-US', default: true },
+        { name: 'Mexico', lang: 'es-MX', default: false },
+        { name: 'Spain', lang: 'es_ES', default: false }
+    ];
+
+    assert.strictEqual(Localizer.pickVoice(voices, 'es-ES').name, 'Spain');
+    assert.strictEqual(Localizer.pickVoice(voices.slice(0, 2), 'es-ES').name, 'Mexico');
+    assert.strictEqual(Localizer.pickVoice(voices, 'de-DE'), null);
+});
+
+test('every translated key and step exists in English and the config', () => {
+    const english = Object.keys(LOCALES.en.text);
+    for (const [id, pack] of Object.entries(LOCALES)) {
+        for (const key of Object.keys(pack.text)) {
+            const configurable = key === 'voice.stepComplete' || key === 'ai.systemPrompt';
+            assert.ok(configurable || english.includes(key), `${id}: unknown text key ${key}`);
+        }
+        for (const [moduleId, steps] of Object.entries(pack.steps || {})) {
+            const ids = CONFIG[CONFIG.modules[moduleId].steps].map(step => step.id);
+            for (const stepId of Object.keys(steps)) {
+                assert.ok(ids.includes(stepId), `${id}: unknown step ${moduleId}.${stepId}`);
+            }
+        }
+    }
+});
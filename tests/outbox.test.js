@@ -0,0 +1,105 @@
+/**
+ * Session outbox tests - queued uploads, retry backoff and deduplication
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SessionOutbox = require('../outbox.js');
+
+// Upload stub that fails while `online` is false
+function createServer() {
+    const server = { online: true, received: [] };
+    server.send = async session => {
+        if (!server.online) throw new Error('Network down');
+        server.received.push(session.session_id);
+    };
+    return server;
+}
+
+test('queued sessions are sent and removed from the outbox', async () => {
+    const server = createServer();
+    const outbox = new SessionOutbox({ send: server.send });
+    await outbox.enqueue({ session_id: 'sess_1', score: 90 });
+
+    assert.deepStrictEqual(server.received, ['sess_1']);
+    assert.strictEqual((await outbox.list()).length, 0);
+    assert.strictEqual(outbox.status.state, 'synced');
+});
+
+test('failed uploads stay queued and retry with backoff', async () => {
+    const server = createServer();
+    const statuses = [];
+    const outbox = new SessionOutbox({ send: server.send, onStatus: s => statuses.push(s.state), baseDelayMs: 1000 });
+
+    server.online = false;
+    await outbox.enqueue({ session_id: 'sess_1' });
+    await outbox.enqueue({ session_id: 'sess_2' });
+    outbox.clearRetry();
+
+    const queue = await outbox.list();
+    assert.deepStrictEqual(queue.map(e => e.session_id), ['sess_1', 'sess_2']);
+    assert.strictEqual(queue[0].attempts, 2);
+    assert.strictEqual(outbox.status.state, 'retrying');
+    assert.strictEqual(outbox.status.pending, 2);
+    assert.strictEqual(outbox.status.lastError, 'Network down');
+
+    server.online = true;
+    await outbox.retryNow();
+    assert.deepStrictEqual(server.received, ['sess_1', 'sess_2']);
+    assert.strictEqual(outbox.status.state, 'synced');
+    assert.ok(statuses.includes('retrying') && statuses.includes('syncing'));
+});
+
+test('retry delay doubles up to the maximum', () => {
+    const outbox = new SessionOutbox({ send: async () => {}, baseDelayMs: 1000, maxDelayMs: 5000 });
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => outbox.getRetryDelay(n)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('re-queuing a session_id replaces the queued copy', async () => {
+    const server = createServer();
+    const outbox = new SessionOutbox({ send: server.send });
+
+    server.online = false;
+    await outbox.enqueue({ session_id: 'sess_1', score: 50 });
+    await outbox.enqueue({ session_id: 'sess_1', score: 60 });
+    outbox.clearRetry();
+
+    const queue = await outbox.list();
+    assert.strictEqual(queue.length, 1);
+    assert.strictEqual(queue[0].session.score, 60);
+
+    server.online = true;
+    await outbox.flush();
+    assert.deepStrictEqual(server.received, ['sess_1']);
+});
+
+test('sessions queued during a flush are sent in the same run', async () => {
+    const server = createServer();
+    const outbox = new SessionOutbox({ send: server.send });
+    const first = outbox.enqueue({ session_id: 'sess_1' });
+    const second = outbox.enqueue({ session_id: 'sess_2' });
+    await Promise.all([first, second]);
+
+    assert.deepStrictEqual(server.received.sort(), ['sess_1', 'sess_2']);
+    assert.strictEqual((await outbox.list()).length, 0);
+});
+
+test('sessions are queued in memory when the store fails', async () => {
+    const server = createServer();
+    const broken = () => Promise.reject(new Error('IndexedDB unavailable'));
+    const store = { listQueued: broken, putQueued: broken, removeQueued: broken };
+    const outbox = new SessionOutbox({ send: server.send, store });
+
+    server.online = false;
+    await outbox.enqueue({ session_id: 'sess_1' });
+    outbox.clearRetry();
+    assert.strictEqual(outbox.store, null);
+    assert.deepStrictEqual((await outbox.list()).map(e => e.session_id), ['sess_1']);
+
+    server.online = true;
+    await outbox.retryNow();
+    assert.deepStrictEqual(server.received, ['sess_1']);
+    assert.strictEqual(outbox.status.state, 'synced');
+});
@@ -0,0 +1,108 @@
+/**
+ * Session recorder tests - a recorded session replays to the same step
+ * completions and score, including time the tab was hidden
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const { TrainingEngine } = require('../training-core.js');
+const SessionRecorder = require('../recorder.js');
+
+const FRAME_MS = 1000 / 30;
+// hands_visible and wetting_motion keep the session short but still end in a score
+const STEPS = CONFIG.handWashingSteps.slice(0, 2);
+
+// Two upright palms side by side (see HAND_OFFSETS in training-core.test.js)
+function palmsTogether() {
+    const hand = cx => [
+        [0, 0.1],
+        [-0.03, 0.08], [-0.06, 0.05], [-0.08, 0.02], [-0.09, -0.01],
+        [-0.04, -0.02], [-0.045, -0.05], [-0.045, -0.08], [-0.045, -0.1],
+        [0, -0.03], [0, -0.06], [0, -0.09], [0, -0.11],
+        [0.035, -0.02], [0.035, -0.05], [0.035, -0.08], [0.035, -0.1],
+        [0.065, -0.01], [0.07, -0.03], [0.07, -0.05], [0.07, -0.07]
+    ].map(([dx, dy]) => ({ x: cx + dx, y: 0.5 + dy, z: 0 }));
+    // CONFIG.handTracking.swapHandedness is on, so the trainee's left hand is labelled 'Right'
+    return {
+        multiHandLandmarks: [hand(0.45), hand(0.55)],
+        multiHandedness: [{ label: 'Right', score: 0.95 }, { label: 'Left', score: 0.95 }]
+    };
+}
+
+function createEngine(steps) {
+    const engine = new TrainingEngine(CONFIG);
+    engine.loadModule('handwashing');
+    engine.steps = engine.buildSteps(steps);
+    engine.start(0);
+    return engine;
+}
+
+/**
+ * Run a live session the way app.js does, recording every frame. The tab is
+ * hidden for `gapMs` partway through the second step
+ */
+function recordSession(gapMs) {
+    const engine = createEngine(STEPS);
+    const recorder = new SessionRecorder();
+    recorder.start({ module: 'handwashing', steps: STEPS });
+
+    let t = 0;
+    const frames = seconds => {
+        for (let i = 0; i < Math.round(seconds * 1000 / FRAME_MS) && engine.isTraining; i++) {
+            t += FRAME_MS;
+            const results = palmsTogether();
+            recorder.addHandsFrame(t, results);
+            engine.processHands(results, t);
+        }
+    };
+
+    frames(4.5);
+    engine.pauseClock();
+    recorder.addGap(t);
+    t += gapMs;
+    frames(5);
+
+    recorder.finish(engine.getSessionResult());
+    return recorder.recording;
+}
+
+function replay(recording, { skipGaps = false } = {}) {
+    const engine = createEngine(recording.steps);
+    for (const frame of recording.frames) {
+        if (!engine.isTraining) break;
+        SessionRecorder.replayFrame(frame, {
+            hands: results => engine.processHands(results, frame.t),
+            pose: results => engine.processPose(results, frame.t),
+            objects: detections => engine.setDetections(detections),
+            gap: () => { if (!skipGaps) engine.pauseClock(); }
+        });
+    }
+    return engine.getSessionResult();
+}
+
+test('a recorded session replays to the same step completions and score', () => {
+    const recording = SessionRecorder.parse(JSON.stringify(recordSession(10000)));
+    assert.deepStrictEqual(recording.result.steps.map(s => s.id), STEPS.map(s => s.id));
+    assert.ok(recording.result.score > 0);
+    assert.ok(recording.frames.some(frame => frame.tracker === 'gap'));
+
+    const result = replay(recording);
+    assert.deepStrictEqual(result.steps, recording.result.steps);
+    assert.strictEqual(result.score, recording.result.score);
+});
+
+test('replays credit no step time across a hidden-tab gap, as the live session did', () => {
+    const recording = recordSession(10000);
+    const ignoringGaps = replay(recording, { skipGaps: true });
+    assert.ok(ignoringGaps.steps[1].completedAt < recording.result.steps[1].completedAt,
+        'without the gap marker the replay credits the stall');
+});
+
+test('parse rejects files that are not recordings', () => {
+    assert.throws(() => SessionRecorder.parse('not json'), /not valid JSON/);
+    assert.throws(() => SessionRecorder.parse('{"version":2}'), /Unsupported recording version/);
+    assert.throws(() => SessionRecorder.parse('{"version":1,"frames":[]}'), /missing frames or steps/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Trainee roster tests - CSV import, sign-in and persistence
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TraineeRoster = require('../roster.js');
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+test('parseCSV maps header aliases, quoted cells and missing IDs', () => {
+    const csv = '\uFEFFStudent_ID,full_name,Cohort\r\n' +
+        'n-101,"Nightingale, Florence",Ward A\r\n' +
+        '\r\n' +
+        ',Mary Seacole,"Ward ""B"""\r\n';
+    const { trainees, skipped } = TraineeRoster.parseCSV(csv);
+
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(trainees, [
+        { id: 'n-101', name: 'Nightingale, Florence', cohort: 'Ward A' },
+        { id: 'mary-seacole', name: 'Mary Seacole', cohort: 'Ward "B"' }
+    ]);
+});
+
+test('parseCSV keeps non-Latin names, numbers namesakes and lists the rows it skips', () => {
+    const csv = 'id,name\n,李明\n,José Núñez\n,José Núñez\n\n,---\nn-7,Ana\nn-7,Ana Lima\n';
+    const { trainees, skipped } = TraineeRoster.parseCSV(csv);
+
+    assert.deepStrictEqual(trainees.map(t => t.id), ['李明', 'josé-núñez', 'josé-núñez-2', 'n-7']);
+    assert.deepStrictEqual(skipped, [{ row: 6, reason: 'noId' }, { row: 8, reason: 'duplicateId' }]);
+});
+
+test('parseCSV rejects files without an id or name column', () => {
+    assert.throws(() => TraineeRoster.parseCSV('email,cohort\na@b.c,Ward A'), /id.*name/);
+    assert.throws(() => TraineeRoster.parseCSV(''), /empty/);
+});
+
+test('signIn fills name and cohort from the roster and persists', () => {
+    const storage = memoryStorage();
+    const roster = new TraineeRoster({ storage });
+    assert.deepStrictEqual(roster.importCSV('id,name,cohort\nn-101,Florence Nightingale,Ward A\nn-102,Mary Seacole,Ward B'),
+        { imported: 2, skipped: [] });
+    assert.deepStrictEqual(roster.cohorts(), ['Ward A', 'Ward B']);
+
+    roster.signIn({ id: 'n-102' });
+    assert.deepStrictEqual(roster.current, { id: 'n-102', name: 'Mary Seacole', cohort: 'Ward B' });
+
+    const reloaded = new TraineeRoster({ storage });
+    assert.deepStrictEqual(reloaded.current, roster.current);
+    assert.strictEqual(reloaded.trainees.length, 2);
+
+    reloaded.signOut();
+    assert.strictEqual(new TraineeRoster({ storage }).current, null);
+});
+
+test('signIn without a roster derives the ID from the name', () => {
+    const roster = new TraineeRoster({ storage: null });
+    assert.deepStrictEqual(roster.signIn({ name: ' Ada Lovelace ', cohort: 'Night shift' }),
+        { id: 'ada-lovelace', name: 'Ada Lovelace', cohort: 'Night shift' });
+    assert.strictEqual(roster.signIn({ name: '李明' }).id, '李明');
+    assert.throws(() => roster.signIn({ name: '  ' }), /name or trainee ID/);
+});
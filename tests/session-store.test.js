@@ -0,0 +1,44 @@
+/**
+ * Session history tests - progress summaries from stored sessions
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SessionStore = require('../session-store.js');
+
+function session(task, score, passed = score >= 70) {
+    return { session_id: `sess_${task}_${score}`, task, score, metrics: { passed } };
+}
+
+test('summarize groups attempts by module with best, average and latest', () => {
+    const summaries = SessionStore.summarize([
+        session('handwashing', 60),
+        session('ppe', 90),
+        session('handwashing', 80),
+        session('handwashing', 85)
+    ]);
+
+    const handwashing = summaries.find(s => s.task === 'handwashing');
+    assert.deepStrictEqual(handwashing.scores, [60, 80, 85]);
+    assert.strictEqual(handwashing.attempts, 3);
+    assert.strictEqual(handwashing.passed, 2);
+    assert.strictEqual(handwashing.best, 85);
+    assert.strictEqual(handwashing.average, 75);
+    assert.strictEqual(handwashing.latest, 85);
+    assert.strictEqual(handwashing.trend, null);
+
+    const ppe = summaries.find(s => s.task === 'ppe');
+    assert.strictEqual(ppe.attempts, 1);
+    assert.strictEqual(ppe.latest, 90);
+});
+
+test('summarize trend compares the latest attempts with the ones before', () => {
+    const scores = [50, 60, 70, 80, 90, 100];
+    const [summary] = SessionStore.summarize(scores.map(score => session('handwashing', score)));
+    assert.strictEqual(summary.trend, 30);
+
+    const [declining] = SessionStore.summarize([90, 70].map(score => session('ppe', score)), 1);
+    assert.strictEqual(declining.trend, -20);
+});
@@ -0,0 +1,109 @@
+/**
+ * Speech queue tests - priorities, de-duplication, interruption and stale messages
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SpeechQueue } = require('../speech.js');
+
+/**
+ * A queue whose utterances only end when the test calls finish()
+ */
+function makeQueue(options = {}) {
+    const clock = { now: 0 };
+    const log = [];
+    let pendingDone = null;
+    const queue = new SpeechQueue({
+        speak: (item, done) => {
+            log.push(item.text);
+            pendingDone = done;
+        },
+        cancel: () => log.push('(cancel)'),
+        now: () => clock.now,
+        ...options
+    });
+    const finish = () => {
+        const done = pendingDone;
+        pendingDone = null;
+        done();
+    };
+    return { queue, log, clock, finish };
+}
+
+test('messages wait for the current one and are spoken by priority', () => {
+    const { queue, log, finish } = makeQueue();
+
+    queue.say('Nice rhythm', { priority: 'encouragement' });
+    queue.say('Good wetting motion!', { priority: 'completion' });
+    queue.say('Keep going', { priority: 'encouragement' });
+    queue.say('Bring your hands close together', { priority: 'instruction' });
+    assert.deepStrictEqual(log, ['Nice rhythm']);
+
+    finish();
+    finish();
+    finish();
+    finish();
+    assert.deepStrictEqual(log, ['Nice rhythm', 'Bring your hands close together', 'Good wetting motion!', 'Keep going']);
+    assert.strictEqual(queue.current, null);
+});
+
+test('repeats are dropped while queued and within the de-duplication window', () => {
+    const { queue, log, clock, finish } = makeQueue({ dedupeMs: 5000 });
+
+    assert.strictEqual(queue.say('Move your hands up and down', { priority: 'instruction' }), true);
+    assert.strictEqual(queue.say('Move your hands up and down', { priority: 'instruction' }), false);
+    finish();
+
+    clock.now = 4000;
+    assert.strictEqual(queue.say('Move your hands up and down', { priority: 'instruction' }), false);
+    clock.now = 6000;
+    assert.strictEqual(queue.say('Move your hands up and down', { priority: 'instruction' }), true);
+    finish();
+    assert.deepStrictEqual(log, ['Move your hands up and down', 'Move your hands up and down']);
+});
+
+test('safety messages interrupt and the interrupted instruction is repeated', () => {
+    const ended = [];
+    const { queue, log, finish } = makeQueue({ onEnd: item => ended.push(item.text) });
+
+    queue.say('Wrap your fingers around one thumb', { priority: 'instruction' });
+    queue.say('Bend your knees, not your back', { priority: 'safety' });
+    assert.deepStrictEqual(log, ['Wrap your fingers around one thumb', '(cancel)', 'Bend your knees, not your back']);
+    assert.deepStrictEqual(ended, ['Wrap your fingers around one thumb']);
+
+    finish();
+    finish();
+    assert.deepStrictEqual(log.slice(3), ['Wrap your fingers around one thumb']);
+});
+
+test('stale low-priority messages are skipped and the queue length is capped', () => {
+    const { queue, log, clock, finish } = makeQueue({ maxWaitMs: 10000, maxLength: 2 });
+
+    queue.say('Welcome', { priority: 'instruction' });
+    queue.say('Great job!', { priority: 'completion' });
+    queue.say('Nice work', { priority: 'encouragement' });
+    assert.strictEqual(queue.say('Keep it up', { priority: 'encouragement' }), false);
+    assert.strictEqual(queue.pending, 2);
+
+    clock.now = 15000;
+    queue.say('Show your hands', { priority: 'instruction' });
+    finish();
+    finish();
+    assert.deepStrictEqual(log, ['Welcome', 'Show your hands']);
+    assert.strictEqual(queue.pending, 0);
+});
+
+test('clear stops speaking and empties the queue', () => {
+    const { queue, log } = makeQueue();
+
+    queue.say('Welcome', { priority: 'instruction' });
+    queue.say('Great job!', { priority: 'completion' });
+    queue.clear();
+
+    assert.deepStrictEqual(log, ['Welcome', '(cancel)']);
+    assert.strictEqual(queue.current, null);
+    assert.strictEqual(queue.pending, 0);
+    assert.throws(() => queue.say('Hi', { priority: 'urgent' }), /Unknown speech priority/);
+});
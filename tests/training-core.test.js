@@ -0,0 +1,694 @@
+/**
+ * Training core tests - synthetic landmark sequences through the step engine
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../config.js');
+const { TrainingEngine, StepMetrics, POSE_LANDMARKS } = require('../training-core.js');
+
+const FRAME_MS = 1000 / 30;
+
+// Upright hand shape (normalized image coordinates relative to the palm centre)
+const HAND_OFFSETS = [
+    [0, 0.1],                                                        // 0 wrist
+    [-0.03, 0.08], [-0.06, 0.05], [-0.08, 0.02], [-0.09, -0.01],     // 1-4 thumb
+    [-0.04, -0.02], [-0.045, -0.05], [-0.045, -0.08], [-0.045, -0.1], // 5-8 index
+    [0, -0.03], [0, -0.06], [0, -0.09], [0, -0.11],                  // 9-12 middle
+    [0.035, -0.02], [0.035, -0.05], [0.035, -0.08], [0.035, -0.1],   // 13-16 ring
+    [0.065, -0.01], [0.07, -0.03], [0.07, -0.05], [0.07, -0.07]      // 17-20 pinky
+];
+
+function makeHand(cx, cy) {
+    return HAND_OFFSETS.map(([dx, dy]) => ({ x: cx + dx, y: cy + dy, z: 0 }));
+}
+
+// Shift a hand so the given landmarks' centroid lands on a target point
+function moveOnto(hand, indices, target) {
+    const cx = indices.reduce((sum, i) => sum + hand[i].x, 0) / indices.length;
+    const cy = indices.reduce((sum, i) => sum + hand[i].y, 0) / indices.length;
+    return hand.map(p => ({ x: p.x + target.x - cx, y: p.y + target.y - cy, z: p.z }));
+}
+
+function rotateHand(hand, angle, pivot) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return hand.map(p => ({
+        x: pivot.x + (p.x - pivot.x) * cos - (p.y - pivot.y) * sin,
+        y: pivot.y + (p.x - pivot.x) * sin + (p.y - pivot.y) * cos,
+        z: p.z
+    }));
+}
+
+function centre(hand, indices) {
+    return {
+        x: indices.reduce((sum, i) => sum + hand[i].x, 0) / indices.length,
+        y: indices.reduce((sum, i) => sum + hand[i].y, 0) / indices.length
+    };
+}
+
+// MediaPipe Hands result. CONFIG.handTracking.swapHandedness is on, so the
+// trainee's left hand is labelled 'Right'
+function handsResult(hands, score = 0.95) {
+    return {
+        multiHandLandmarks: hands.map(h => h.landmarks),
+        multiHandedness: hands.map(h => ({ label: h.side === 'left' ? 'Right' : 'Left', score }))
+    };
+}
+
+function createEngine(moduleId = 'handwashing') {
+    const engine = new TrainingEngine(CONFIG);
+    engine.loadModule(moduleId);
+    engine.start(0);
+    return engine;
+}
+
+// Mark every step before `stepId` as done so the step under test is active
+function skipTo(engine, stepId) {
+    for (const step of engine.steps) {
+        if (step.id === stepId) return step;
+        step.completed = true;
+    }
+    throw new Error(`No step ${stepId}`);
+}
+
+/**
+ * Feed `seconds` of hand frames. `handsAt(t)` returns [{ side, landmarks }] for time t (seconds)
+ */
+function runHands(engine, seconds, handsAt, { frameMs = FRAME_MS, start = engine.lastFrameTimestamp || 0 } = {}) {
+    const frames = Math.round(seconds * 1000 / frameMs);
+    let timestamp = start;
+    for (let i = 1; i <= frames; i++) {
+        timestamp = start + i * frameMs;
+        engine.processHands(handsResult(handsAt((timestamp - start) / 1000)), timestamp);
+    }
+    return timestamp;
+}
+
+function runPose(engine, seconds, poseAt, { frameMs = FRAME_MS, start = engine.lastFrameTimestamp || 0 } = {}) {
+    const frames = Math.round(seconds * 1000 / frameMs);
+    for (let i = 1; i <= frames; i++) {
+        const timestamp = start + i * frameMs;
+        engine.processPose(poseAt((timestamp - start) / 1000), timestamp);
+    }
+}
+
+// Hand scenarios per handwashing step
+const still = () => [
+    { side: 'left', landmarks: makeHand(0.35, 0.5) },
+    { side: 'right', landmarks: makeHand(0.65, 0.5) }
+];
+const palmsTogether = () => [
+    { side: 'left', landmarks: makeHand(0.45, 0.5) },
+    { side: 'right', landmarks: makeHand(0.55, 0.5) }
+];
+// Palms circling 1.5 times a second; positive angles turn clockwise in image coordinates
+const rubbingCircles = (direction = 'clockwise', { radius = 0.03 } = {}) => t => {
+    const angle = t * 2 * Math.PI * 1.5 * (direction === 'clockwise' ? 1 : -1);
+    const dx = Math.cos(angle) * radius;
+    const dy = Math.sin(angle) * radius;
+    return [
+        { side: 'left', landmarks: makeHand(0.45 + dx, 0.5 + dy) },
+        { side: 'right', landmarks: makeHand(0.55 - dx, 0.5 - dy) }
+    ];
+};
+const interlaced = () => {
+    const left = makeHand(0.4, 0.5);
+    return [
+        { side: 'left', landmarks: left },
+        { side: 'right', landmarks: moveOnto(makeHand(0, 0), [0], centre(left, [8, 12])) }
+    ];
+};
+// makeHand() is a left palm or a right back facing the camera; mirror it for the opposite
+function mirrorHand(hand) {
+    return hand.map(p => ({ x: 2 * hand[0].x - p.x, y: p.y, z: p.z }));
+}
+
+// Other hand's fingertips over `coveredSide`'s centre. By default its palm rests
+// on the back of the hand (normals aligned) and rubs back and forth
+const covering = (coveredSide, { palmOnBack = true, rub = true } = {}) => t => {
+    const covered = makeHand(0.5, 0.5);
+    const otherSide = coveredSide === 'left' ? 'right' : 'left';
+    // The same shape on opposite sides has opposite normals, so mirror it to align them
+    const shape = palmOnBack ? mirrorHand(makeHand(0, 0)) : makeHand(0, 0);
+    const target = centre(covered, [0, 5, 9, 13, 17]);
+    const offset = rub ? Math.sin(t * 2 * Math.PI * 2) * 0.03 : 0;
+    const cover = moveOnto(shape, [8, 12, 16, 20], { x: target.x + offset, y: target.y });
+    return [
+        { side: coveredSide, landmarks: covered },
+        { side: otherSide, landmarks: cover }
+    ];
+};
+// Other hand's fingers laid along `thumbSide`'s thumb, twisting back and forth if `twist`
+// (or turned by `twist(t)` radians when it is a function)
+const claspingThumb = (thumbSide, twist = true) => t => {
+    const thumbHand = makeHand(0.4, 0.5);
+    const thumbAngle = Math.atan2(thumbHand[4].y - thumbHand[1].y, thumbHand[4].x - thumbHand[1].x);
+    const base = makeHand(0, 0);
+    const tipsAngle = Math.atan2(base[20].y - base[8].y, base[20].x - base[8].x);
+    const target = centre(thumbHand, [1, 2, 3, 4]);
+    const aligned = moveOnto(rotateHand(base, thumbAngle - tipsAngle, centre(base, [8, 12, 16, 20])),
+        [8, 12, 16, 20], target);
+    const angle = typeof twist === 'function' ? twist(t) : twist ? Math.sin(t * 2 * Math.PI * 1.5) * 0.35 : 0;
+    return [
+        { side: thumbSide, landmarks: thumbHand },
+        { side: thumbSide === 'left' ? 'right' : 'left', landmarks: rotateHand(aligned, angle, target) }
+    ];
+};
+const oscillating = axis => t => {
+    const offset = Math.sin(t * 2 * Math.PI * 2) * 0.15;
+    return [{
+        side: 'left',
+        landmarks: axis === 'y' ? makeHand(0.5, 0.5 + offset) : makeHand(0.5 + offset, 0.5)
+    }];
+};
+
+function stepById(engine, id) {
+    return engine.steps.find(s => s.id === id);
+}
+
+test('hands_visible completes with a hand in view and not without', () => {
+    const engine = createEngine();
+    runHands(engine, 2.5, () => [{ side: 'left', landmarks: makeHand(0.5, 0.5) }]);
+    assert.strictEqual(stepById(engine, 'hands_visible').completed, false);
+    runHands(engine, 0.6, () => [{ side: 'left', landmarks: makeHand(0.5, 0.5) }]);
+    assert.strictEqual(stepById(engine, 'hands_visible').completed, true);
+
+    const empty = createEngine();
+    runHands(empty, 5, () => []);
+    assert.strictEqual(stepById(empty, 'hands_visible').completed, false);
+    assert.strictEqual(stepById(empty, 'hands_visible').duration, 0);
+});
+
+test('wetting_motion needs the palms close together', () => {
+    const engine = createEngine();
+    skipTo(engine, 'wetting_motion');
+    runHands(engine, 3.2, palmsTogether);
+    assert.strictEqual(stepById(engine, 'wetting_motion').completed, true);
+
+    const apart = createEngine();
+    skipTo(apart, 'wetting_motion');
+    runHands(apart, 5, still);
+    assert.strictEqual(stepById(apart, 'wetting_motion').completed, false);
+});
+
+test('soap_application needs circular rubbing in both directions', () => {
+    const engine = createEngine();
+    const step = skipTo(engine, 'soap_application');
+    runHands(engine, 6, rubbingCircles('clockwise'));
+    assert.strictEqual(step.completed, false);
+    assert.ok(step.directionDuration.clockwise >= 5);
+    assert.strictEqual(step.directionDuration.counterclockwise, 0);
+
+    runHands(engine, 6, rubbingCircles('counterclockwise'));
+    assert.strictEqual(step.completed, true);
+
+    const idle = createEngine();
+    skipTo(idle, 'soap_application');
+    runHands(idle, 8, palmsTogether);
+    assert.strictEqual(stepById(idle, 'soap_application').duration, 0);
+});
+
+test('circular motion rejects shaking, jitter and large sweeps', () => {
+    const shaking = t => {
+        const dx = Math.sin(t * 2 * Math.PI * 3) * 0.04;
+        return [
+            { side: 'left', landmarks: makeHand(0.45 + dx, 0.5) },
+            { side: 'right', landmarks: makeHand(0.55 + dx, 0.5) }
+        ];
+    };
+    for (const handsAt of [shaking, rubbingCircles('clockwise', { radius: 0.004 }), rubbingCircles('clockwise', { radius: 0.3 })]) {
+        const engine = createEngine();
+        skipTo(engine, 'soap_application');
+        runHands(engine, 6, handsAt);
+        assert.strictEqual(stepById(engine, 'soap_application').duration, 0);
+    }
+});
+
+test('circular motion reports direction and speed', () => {
+    const engine = createEngine();
+    runHands(engine, 2, rubbingCircles('counterclockwise'));
+    const motion = engine.measureCircularMotion('left', 20);
+    assert.strictEqual(motion.direction, 'counterclockwise');
+    assert.ok(Math.abs(motion.radius - 0.03) < 0.005, `radius ${motion.radius}`);
+    assert.ok(Math.abs(motion.revolutionsPerSecond - 1.5) < 0.1, `${motion.revolutionsPerSecond} rev/s`);
+});
+
+test('interlace_fingers needs fingertips on the other palm', () => {
+    const engine = createEngine();
+    skipTo(engine, 'interlace_fingers');
+    runHands(engine, 3.2, interlaced);
+    assert.strictEqual(stepById(engine, 'interlace_fingers').completed, true);
+
+    const apart = createEngine();
+    skipTo(apart, 'interlace_fingers');
+    runHands(apart, 5, still);
+    assert.strictEqual(stepById(apart, 'interlace_fingers').completed, false);
+});
+
+test('back_of_hands needs each hand covered in turn', () => {
+    const engine = createEngine();
+    skipTo(engine, 'back_of_hands');
+    runHands(engine, 3.8, covering('left'));
+    const step = stepById(engine, 'back_of_hands');
+    assert.strictEqual(step.completed, false);
+    assert.ok(step.sideDuration.left >= 3);
+    assert.strictEqual(step.sideDuration.right, 0);
+
+    runHands(engine, 3.8, covering('right'));
+    assert.strictEqual(step.completed, true);
+
+    const oneSide = createEngine();
+    skipTo(oneSide, 'back_of_hands');
+    runHands(oneSide, 8, covering('left'));
+    assert.strictEqual(stepById(oneSide, 'back_of_hands').completed, false);
+    assert.strictEqual(stepById(oneSide, 'back_of_hands').duration, 1.5);
+
+    // Stacked palm to palm, as in interlacing, is not the back of the hand
+    const palmToPalm = createEngine();
+    skipTo(palmToPalm, 'back_of_hands');
+    runHands(palmToPalm, 5, covering('left', { palmOnBack: false }));
+    assert.strictEqual(stepById(palmToPalm, 'back_of_hands').duration, 0);
+
+    const resting = createEngine();
+    skipTo(resting, 'back_of_hands');
+    runHands(resting, 5, covering('left', { rub: false }));
+    assert.strictEqual(stepById(resting, 'back_of_hands').duration, 0);
+});
+
+test('thumbs needs each thumb clasped and twisted in turn', () => {
+    const engine = createEngine();
+    const step = skipTo(engine, 'thumbs');
+    runHands(engine, 3, claspingThumb('left'));
+    assert.strictEqual(step.completed, false);
+    assert.ok(step.sideDuration.left >= 2);
+    assert.strictEqual(step.sideDuration.right, 0);
+
+    runHands(engine, 3, claspingThumb('right'));
+    assert.strictEqual(step.completed, true);
+
+    const stillClasp = createEngine();
+    skipTo(stillClasp, 'thumbs');
+    runHands(stillClasp, 5, claspingThumb('left', false));
+    assert.strictEqual(stepById(stillClasp, 'thumbs').duration, 0);
+
+    // Tracking jitter of 0.04 rad every frame on a still clasp isn't a twist
+    const jitter = createEngine();
+    skipTo(jitter, 'thumbs');
+    runHands(jitter, 5, claspingThumb('left', t => (Math.round(t * 30) % 2 ? 0.04 : -0.04)));
+    assert.strictEqual(stepById(jitter, 'thumbs').duration, 0);
+
+    // Moving hands that never touch the thumbs
+    const noClasp = createEngine();
+    skipTo(noClasp, 'thumbs');
+    runHands(noClasp, 8, rubbingCircles());
+    assert.strictEqual(stepById(noClasp, 'thumbs').duration, 0);
+});
+
+test('palm normals follow handedness', () => {
+    const engine = createEngine();
+    const hand = makeHand(0.5, 0.5);
+    assert.ok(engine.calculatePalmNormal(hand, 'left').z < 0);
+    assert.ok(engine.calculatePalmNormal(hand, 'right').z > 0);
+    assert.ok(engine.calculatePalmNormal(mirrorHand(hand), 'right').z < 0);
+});
+
+test('rinse_motion needs vertical rather than horizontal motion', () => {
+    const engine = createEngine();
+    skipTo(engine, 'rinse_motion');
+    runHands(engine, 6, oscillating('y'));
+    assert.strictEqual(stepById(engine, 'rinse_motion').completed, true);
+
+    const sideways = createEngine();
+    skipTo(sideways, 'rinse_motion');
+    runHands(sideways, 8, oscillating('x'));
+    assert.strictEqual(stepById(sideways, 'rinse_motion').completed, false);
+});
+
+test('steps wait for their prerequisites', () => {
+    const engine = createEngine();
+    runHands(engine, 2, palmsTogether);
+    assert.strictEqual(stepById(engine, 'wetting_motion').duration, 0);
+});
+
+test('a full handwashing session emits each step and completes with 100%', () => {
+    const engine = createEngine();
+    const completed = [];
+    let sessionData = null;
+    engine.on('stepCompleted', ({ step, record }) => {
+        completed.push(step.id);
+        assert.strictEqual(record.id, step.id);
+    });
+    engine.on('complete', data => { sessionData = data; });
+
+    runHands(engine, 3.2, palmsTogether);     // hands_visible and wetting_motion together
+    runHands(engine, 3.2, palmsTogether);
+    runHands(engine, 6, rubbingCircles('clockwise'));
+    runHands(engine, 6, rubbingCircles('counterclockwise'));
+    runHands(engine, 3.2, interlaced);
+    runHands(engine, 3.8, covering('left'));
+    runHands(engine, 3.8, covering('right'));
+    runHands(engine, 3, claspingThumb('left'));
+    runHands(engine, 3, claspingThumb('right'));
+    runHands(engine, 6, oscillating('y'));
+    runHands(engine, 3.2, palmsTogether);     // dry_hands; the towel is only flagged by default
+
+    assert.deepStrictEqual(completed, CONFIG.handWashingSteps.map(s => s.id));
+    assert.ok(sessionData);
+    assert.strictEqual(sessionData.score, 100);
+    assert.strictEqual(sessionData.passed, true);
+    assert.strictEqual(sessionData.scoreBreakdown.bonus, CONFIG.scoring.bonusForPerfectTechnique);
+
+    const soap = sessionData.steps.find(s => s.id === 'soap_application').metrics;
+    assert.ok(soap.smoothness > 0.9, `soap smoothness ${soap.smoothness}`);
+    assert.ok(Math.abs(soap.rubbingFrequency - 1.5) < 0.2, `soap frequency ${soap.rubbingFrequency}`);
+    assert.ok(soap.symmetry > 0.9, `soap symmetry ${soap.symmetry}`);
+    assert.ok(soap.heldPercent > 80);
+    assert.strictEqual(soap.interruptions, 0);
+    assert.strictEqual(engine.isTraining, false);
+});
+
+test('score applies time, hint and interruption penalties against passingScore', () => {
+    const engine = createEngine();
+    for (const step of engine.steps) {
+        const parts = engine.getStepSplit(step) ? 2 : 1;
+        step.completed = true;
+        step.heldTime = engine.getRequiredTime(step);
+        step.activeTime = step.heldTime + CONFIG.scoring.graceSeconds * parts;
+    }
+    engine.steps[2].hintProvided = true;
+    engine.sessionData.interruptions = 2;
+    engine.sessionData.duration = (CONFIG.modules.handwashing.perfectScoreTime + 10) * 1000;
+
+    const score = engine.calculateScore();
+    assert.strictEqual(score.base, 100);
+    assert.strictEqual(score.technique, 1);
+    assert.strictEqual(score.techniquePenalty, 0);
+    assert.strictEqual(score.timePenalty, 10 * CONFIG.scoring.penaltyPerExtraSecond);
+    assert.strictEqual(score.hintPenalty, CONFIG.scoring.penaltyPerHint);
+    assert.strictEqual(score.interruptionPenalty, 2 * CONFIG.scoring.penaltyPerInterruption);
+    assert.strictEqual(score.bonus, 0);
+    assert.strictEqual(score.total, 100 - 20 - 5 - 6);
+    assert.strictEqual(score.passed, score.total >= CONFIG.scoring.passingScore);
+
+    // Half the active time spent on the wrong motion
+    for (const step of engine.steps) {
+        const parts = engine.getStepSplit(step) ? 2 : 1;
+        step.activeTime = step.heldTime * 2 + CONFIG.scoring.graceSeconds * parts;
+    }
+    assert.strictEqual(engine.calculateScore().techniquePenalty, CONFIG.scoring.maxTechniquePenalty / 2);
+});
+
+test('struggle is reported once when a step stays active for twice its required time', () => {
+    const engine = createEngine();
+    const struggles = [];
+    engine.on('struggle', step => struggles.push(step.id));
+    skipTo(engine, 'wetting_motion');
+    runHands(engine, 5, still);
+    assert.deepStrictEqual(struggles, []);
+    runHands(engine, 5, still);
+    assert.deepStrictEqual(struggles, ['wetting_motion']);
+    assert.strictEqual(stepById(engine, 'wetting_motion').hintProvided, true);
+
+    // The completion record keeps the hint for the instructor dashboard
+    const records = [];
+    engine.on('stepCompleted', ({ record }) => records.push(record));
+    runHands(engine, 3.5, palmsTogether);
+    assert.strictEqual(records[0].hintProvided, true);
+});
+
+test('failing conditions and attempts are tracked for coaching', () => {
+    const engine = createEngine();
+    const step = skipTo(engine, 'wetting_motion');
+    const records = [];
+    engine.on('stepCompleted', ({ record }) => records.push(record));
+
+    runHands(engine, 1.5, still);
+    assert.strictEqual(step.condition, 'handsTooFar');
+    runHands(engine, 1, () => [{ side: 'left', landmarks: makeHand(0.5, 0.5) }]);
+    assert.strictEqual(step.condition, 'oneHand');
+    assert.strictEqual(engine.diagnoseDetector('handsVisible', { minHands: 2 }), 'oneHand');
+
+    // Each time the position is taken up again is a new attempt
+    runHands(engine, 0.5, palmsTogether);
+    assert.strictEqual(step.condition, null);
+    runHands(engine, 0.5, still);
+    runHands(engine, 3, palmsTogether);
+    assert.strictEqual(step.completed, true);
+    assert.strictEqual(records[0].attempts, 2);
+    assert.strictEqual(records[0].mainCondition, 'handsTooFar');
+
+    // Posture checks report the body being out of view before the failing rule
+    const { checks } = CONFIG.patientTransferSteps.find(s => s.detector === 'allOf').params;
+    assert.strictEqual(engine.diagnoseDetector('allOf', { checks }), 'noPose');
+});
+
+const detection = (className, confidence = 0.9) => ({ class_name: className, confidence, bbox: [0, 0, 10, 10] });
+
+test('objects match through the alias table, above the confidence threshold, while current', () => {
+    const engine = createEngine();
+    runHands(engine, 0.1, still);
+    engine.setDetections([detection('Bottle'), detection('glove', 0.3)]);
+
+    assert.strictEqual(engine.hasDetectedObject('soap'), true);
+    assert.strictEqual(engine.hasDetectedObject('gloves'), false);
+    assert.strictEqual(engine.hasDetectedObject('towel'), false);
+
+    runHands(engine, (CONFIG.objectDetection.maxAgeMs + 500) / 1000, still);
+    assert.strictEqual(engine.hasDetectedObject('soap'), false);
+});
+
+test('blocking steps wait for required objects and for forbidden ones to go', () => {
+    const config = structuredClone(CONFIG);
+    config.objectDetection.enforce = 'block';
+    const engine = new TrainingEngine(config);
+    engine.loadModule('handwashing');
+    engine.start(0);
+    const prompts = [];
+    engine.on('objectRequirement', ({ step, condition, objects }) => prompts.push([step.id, condition, objects]));
+
+    // Without detection results nothing is known, so nothing waits; with gloves in view hands_visible does
+    const visible = stepById(engine, 'hands_visible');
+    runHands(engine, 0.1, still);
+    const before = visible.duration;
+    assert.ok(before > 0);
+    engine.setDetections([detection('glove')]);
+    runHands(engine, 2, still);
+    assert.strictEqual(visible.duration, before);
+    assert.strictEqual(visible.condition, 'objectForbidden');
+
+    engine.setDetections([]);
+    runHands(engine, 3.2, still);
+    assert.strictEqual(visible.completed, true);
+
+    const dry = skipTo(engine, 'dry_hands');
+    runHands(engine, 2, palmsTogether);
+    engine.setDetections([]);
+    runHands(engine, 1, palmsTogether);
+    assert.strictEqual(dry.completed, false);
+    engine.setDetections([detection('paper towel')]);
+    runHands(engine, 3.2, palmsTogether);
+    assert.strictEqual(dry.completed, true);
+
+    assert.deepStrictEqual(prompts, [
+        ['hands_visible', 'objectForbidden', ['gloves']],
+        ['dry_hands', 'objectMissing', ['towel']]
+    ]);
+});
+
+test('flagged steps complete and report the objects that were wrong', () => {
+    const engine = createEngine();
+    const records = [];
+    engine.on('stepCompleted', ({ record }) => records.push(record));
+
+    skipTo(engine, 'soap_application');
+    runHands(engine, 0.1, palmsTogether);
+    engine.setDetections([detection('cup')]);
+    runHands(engine, 6, rubbingCircles('clockwise'));
+    runHands(engine, 6, rubbingCircles('counterclockwise'));
+    assert.deepStrictEqual(records[0].objects, { required: ['soap'], missing: ['soap'], forbidden: [], met: false });
+
+    // No detection results at all while the step was active: unchecked rather than failed
+    const dry = skipTo(engine, 'dry_hands');
+    runHands(engine, 3.2, palmsTogether);
+    assert.strictEqual(dry.completed, true);
+    assert.strictEqual(records[1].objects.met, null);
+});
+
+test('losing the hands for interruptionMinMs counts an interruption', () => {
+    const engine = createEngine();
+    skipTo(engine, 'wetting_motion');
+    runHands(engine, 1, still);
+    runHands(engine, CONFIG.scoring.interruptionMinMs / 2000, () => []);
+    runHands(engine, 1, still);
+    assert.strictEqual(engine.sessionData.interruptions, 0);
+
+    runHands(engine, CONFIG.scoring.interruptionMinMs / 1000 + 0.5, () => []);
+    runHands(engine, 1, still);
+    assert.strictEqual(engine.sessionData.interruptions, 1);
+    assert.strictEqual(stepById(engine, 'wetting_motion').interruptions, 1);
+    assert.strictEqual(stepById(engine, 'rinse_motion').interruptions, 0);
+});
+
+// Feed StepMetrics palm positions per side from `palmsAt(t)` => { left, right }
+function measure(seconds, palmsAt) {
+    const metrics = new StepMetrics({ minSpeed: CONFIG.motionThresholds.metricsMinSpeed });
+    for (let i = 0; i <= seconds * 30; i++) {
+        const palms = palmsAt(i * FRAME_MS / 1000, i);
+        const hands = Object.entries(palms).map(([side, palm]) => ({ side, palm }));
+        metrics.addFrame({ timestamp: i * FRAME_MS, hands });
+    }
+    return metrics.summary();
+}
+
+test('step metrics measure smoothness, rubbing frequency and symmetry', () => {
+    const circling = measure(4, t => ({
+        left: { x: 0.45 + Math.cos(t * 2 * Math.PI * 2) * 0.03, y: 0.5 + Math.sin(t * 2 * Math.PI * 2) * 0.03 },
+        right: { x: 0.55 - Math.cos(t * 2 * Math.PI * 2) * 0.03, y: 0.5 - Math.sin(t * 2 * Math.PI * 2) * 0.03 }
+    }));
+    assert.ok(circling.smoothness > 0.9, `smoothness ${circling.smoothness}`);
+    assert.ok(Math.abs(circling.rubbingFrequency - 2) < 0.2, `frequency ${circling.rubbingFrequency}`);
+    assert.ok(circling.symmetry > 0.95, `symmetry ${circling.symmetry}`);
+
+    // Deterministic jitter: direction changes at random every frame
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const jittery = measure(4, () => ({ left: { x: 0.5 + random() * 0.02, y: 0.5 + random() * 0.02 } }));
+    assert.ok(jittery.smoothness < 0.6, `jitter smoothness ${jittery.smoothness}`);
+    assert.strictEqual(jittery.symmetry, null);
+
+    const oneHanded = measure(4, t => ({
+        left: { x: 0.4 + Math.sin(t * 2 * Math.PI) * 0.05, y: 0.5 },
+        right: { x: 0.6, y: 0.5 }
+    }));
+    assert.ok(oneHanded.symmetry < 0.1, `one-handed symmetry ${oneHanded.symmetry}`);
+    assert.ok(Math.abs(oneHanded.rubbingFrequency - 0.5) < 0.2, `average frequency ${oneHanded.rubbingFrequency}`);
+
+    const empty = measure(1, () => ({}));
+    assert.deepStrictEqual(empty, { smoothness: null, rubbingFrequency: null, symmetry: null });
+});
+
+test('step timing does not depend on frame rate', () => {
+    const completionTime = fps => {
+        const engine = createEngine();
+        runHands(engine, 5, () => [{ side: 'left', landmarks: makeHand(0.5, 0.5) }], { frameMs: 1000 / fps });
+        return engine.sessionData.steps.find(s => s.id === 'hands_visible').completedAt;
+    };
+
+    // The first frame only starts the clock, so allow up to two frames over
+    const slow = completionTime(15);
+    const fast = completionTime(60);
+    assert.ok(slow >= 3000 && slow <= 3000 + 2 * 1000 / 15, `15 fps completed at ${slow}ms`);
+    assert.ok(fast >= 3000 && fast <= 3000 + 2 * 1000 / 60, `60 fps completed at ${fast}ms`);
+});
+
+test('frame gaps credit at most maxFrameDelta', () => {
+    const engine = createEngine();
+    const hand = { multiHandLandmarks: [makeHand(0.5, 0.5)], multiHandedness: [{ label: 'Right', score: 0.9 }] };
+    engine.processHands(hand, 100);
+    engine.processHands(hand, 5100);
+    assert.strictEqual(stepById(engine, 'hands_visible').duration, CONFIG.performance.maxFrameDelta);
+});
+
+test('motion history keeps at most maxHistoryLength frames within historyWindowMs', () => {
+    const engine = createEngine();
+    const { maxHistoryLength, historyWindowMs } = CONFIG.performance;
+    runHands(engine, 3, still, { frameMs: 10 });
+    assert.strictEqual(engine.handMotionHistory.length, maxHistoryLength);
+    assert.strictEqual(engine.handHistories.left.length, maxHistoryLength);
+
+    runHands(engine, 3, still, { frameMs: 500 });
+    assert.strictEqual(engine.handMotionHistory.length, historyWindowMs / 500);
+});
+
+test('hand identities stay stable through reordering and handedness glitches', () => {
+    const engine = createEngine();
+    const left = makeHand(0.3, 0.5);
+    const right = makeHand(0.7, 0.5);
+    engine.processHands(handsResult([{ side: 'left', landmarks: left }, { side: 'right', landmarks: right }]), 0);
+
+    for (let i = 1; i <= 30; i++) {
+        // MediaPipe returns the hands in either order with swapped, uncertain labels
+        const results = {
+            multiHandLandmarks: i % 2 ? [right, left] : [left, right],
+            multiHandedness: [{ label: 'Right', score: 0.6 }, { label: 'Left', score: 0.6 }]
+        };
+        const hands = engine.processHands(results, i * FRAME_MS);
+        assert.strictEqual(hands[0].side, 'left');
+        assert.strictEqual(hands[0].landmarks, left);
+        assert.strictEqual(hands[1].landmarks, right);
+    }
+});
+
+test('PPE gown_on needs arms spread wide', () => {
+    const engine = createEngine('ppe');
+    skipTo(engine, 'gown_on');
+    runHands(engine, 3.2, () => [
+        { side: 'left', landmarks: makeHand(0.15, 0.5) },
+        { side: 'right', landmarks: makeHand(0.85, 0.5) }
+    ]);
+    assert.strictEqual(stepById(engine, 'gown_on').completed, true);
+
+    const close = createEngine('ppe');
+    skipTo(close, 'gown_on');
+    runHands(close, 5, palmsTogether);
+    assert.strictEqual(stepById(close, 'gown_on').completed, false);
+});
+
+// Standing (or squatting) pose in world coordinates: metres, hip-centred, y down
+function makePose({ feetWidth = 0.4, squat = false, lean = 0, handsForward = 0.15 } = {}) {
+    const L = POSE_LANDMARKS;
+    const world = Array.from({ length: 33 }, () => ({ x: 0, y: 0, z: 0 }));
+    const leanRad = lean * Math.PI / 180;
+    const set = (index, x, y, z) => { world[index] = { x, y, z }; };
+
+    set(L.LEFT_HIP, 0.1, 0, 0);
+    set(L.RIGHT_HIP, -0.1, 0, 0);
+    set(L.LEFT_SHOULDER, 0.2, -0.5 * Math.cos(leanRad), -0.5 * Math.sin(leanRad));
+    set(L.RIGHT_SHOULDER, -0.2, -0.5 * Math.cos(leanRad), -0.5 * Math.sin(leanRad));
+    // Knees forward of the hip-ankle line when squatting
+    const kneeZ = squat ? -0.3 : 0;
+    const kneeY = squat ? 0.3 : 0.45;
+    const ankleY = squat ? 0.6 : 0.9;
+    set(L.LEFT_KNEE, feetWidth / 2, kneeY, kneeZ);
+    set(L.RIGHT_KNEE, -feetWidth / 2, kneeY, kneeZ);
+    set(L.LEFT_ANKLE, feetWidth / 2, ankleY, 0);
+    set(L.RIGHT_ANKLE, -feetWidth / 2, ankleY, 0);
+    set(L.LEFT_WRIST, 0.1, -0.1, -handsForward);
+    set(L.RIGHT_WRIST, -0.1, -0.1, -handsForward);
+
+    return {
+        poseLandmarks: world.map(() => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.9 })),
+        poseWorldLandmarks: world
+    };
+}
+
+test('patient transfer posture rules', () => {
+    const engine = createEngine('patient_transfer');
+    skipTo(engine, 'feet_apart');
+    runPose(engine, 3.2, () => makePose({ feetWidth: 0.45 }));
+    assert.strictEqual(stepById(engine, 'feet_apart').completed, true);
+
+    const narrow = createEngine('patient_transfer');
+    skipTo(narrow, 'feet_apart');
+    runPose(narrow, 5, () => makePose({ feetWidth: 0.1 }));
+    assert.strictEqual(stepById(narrow, 'feet_apart').completed, false);
+
+    const squat = createEngine('patient_transfer');
+    squat.processPose(makePose({ squat: true }), 0);
+    assert.strictEqual(squat.detectKneesBent({}), true);
+    assert.strictEqual(squat.detectBackStraight({}), true);
+
+    const stooped = createEngine('patient_transfer');
+    stooped.processPose(makePose({ lean: 60 }), 0);
+    assert.strictEqual(stooped.detectKneesBent({}), false);
+    assert.strictEqual(stooped.detectBackStraight({}), false);
+
+    const reaching = createEngine('patient_transfer');
+    reaching.processPose(makePose({ handsForward: 0.6 }), 0);
+    assert.strictEqual(reaching.detectLoadClose({}), false);
+    reaching.processPose(makePose({ handsForward: 0.1 }), FRAME_MS);
+    assert.strictEqual(reaching.detectLoadClose({}), true);
+});
@@ -0,0 +1,1296 @@
+/**
+ * Healthcare AR Training - Training Core
+ * Step engine and detectors with no DOM, speech or network access, so the
+ * same code runs in the browser and under Node for tests
+ */
+
+// Step detectors, referenced by name from the module step lists in CONFIG.
+// Each receives the engine and the step's params and returns true on frames
+// where the trainee is performing the step.
+const STEP_DETECTORS = {
+    handsVisible: (engine, params) => engine.lastHandPositions.length >= (params.minHands || 1),
+    
+    handsClose: (engine, params) => engine.lastHandPositions.length === 2 &&
+        engine.calculateHandDistance(engine.lastHandPositions[0], engine.lastHandPositions[1]) <
+            (params.maxDistance || engine.config.motionThresholds.handsCloseDistance),
+    
+    // Motion detectors take an optional `hand` param: 'left', 'right' or 'either' (default)
+    circularMotion: (engine, params) => engine.lastHandPositions.length >= (params.minHands || 1) &&
+        engine.forHands(params.hand, side => engine.detectCircularMotion({ ...params, hand: side })),
+    
+    overlap: (engine, params) => engine.detectHandOverlap(params),
+    
+    verticalMotion: (engine, params) => engine.lastHandPositions.length >= (params.minHands || 1) &&
+        engine.forHands(params.hand, side => engine.detectVerticalMotion({ ...params, hand: side })),
+    
+    // Fingertips of the opposite hand resting on the `hand` side's hand
+    handCovered: (engine, params) => engine.forHands(params.hand, side => engine.detectHandCovered({ ...params, hand: side })),
+    
+    // Other hand's palm rubbing the back of the `hand` side's hand
+    backOfHand: (engine, params) => engine.forHands(params.hand, side => engine.detectBackOfHand({ ...params, hand: side })),
+    
+    anyMotion: (engine, params) => engine.handMotionHistory.length > (params.minFrames || 0),
+    
+    // Opposite hand's fingers wrapped around the `hand` side's thumb and twisting
+    thumbClasped: (engine, params) => engine.forHands(params.hand, side => engine.detectThumbClasped({ ...params, hand: side })),
+    
+    // PPE: arms spread wide (sliding into or pulling off gown sleeves)
+    handsApart: (engine, params) => engine.lastHandPositions.length === 2 &&
+        engine.calculateHandDistance(engine.lastHandPositions[0], engine.lastHandPositions[1]) > params.minDistance,
+    
+    // PPE: both hands raised to the face (fitting or removing a mask)
+    handsAtFace: (engine, params) => engine.detectHandsAtFace(params),
+    
+    // PPE: one hand gripping the other's wrist (glove cuffs)
+    wristToWrist: (engine, params) => engine.detectWristGrip(params),
+    
+    // Patient transfer: body posture rules from MediaPipe Pose
+    poseVisible: (engine, params) => engine.detectPoseVisible(params),
+    kneesBent: (engine, params) => engine.detectKneesBent(params),
+    backStraight: (engine, params) => engine.detectBackStraight(params),
+    feetApart: (engine, params) => engine.detectFeetApart(params),
+    loadClose: (engine, params) => engine.detectLoadClose(params),
+    
+    // Passes only while every listed check passes: { checks: [{ detector, params }] }
+    allOf: (engine, params) => params.checks.every(check => {
+        const detector = STEP_DETECTORS[check.detector];
+        return detector ? detector(engine, check.params || {}) : false;
+    })
+};
+
+// Why a detector isn't passing, for coaching and the report. `hands` is how many
+// hands it needs in view (a number, or from the step's params) and `pose` that it
+// needs the body; once those are in view the `failing` condition is reported.
+const STEP_CONDITIONS = {
+    handsVisible: { hands: params => params.minHands || 1 },
+    handsClose: { hands: 2, failing: 'handsTooFar' },
+    circularMotion: { hands: params => params.minHands || 1, failing: 'noCircularMotion' },
+    overlap: { hands: 2, failing: 'notInterlaced' },
+    verticalMotion: { hands: params => params.minHands || 1, failing: 'noVerticalMotion' },
+    handCovered: { hands: 2, failing: 'handNotCovered' },
+    backOfHand: { hands: 2, failing: 'backNotRubbed' },
+    anyMotion: { hands: 1, failing: 'noMotion' },
+    thumbClasped: { hands: 2, failing: 'thumbNotClasped' },
+    handsApart: { hands: 2, failing: 'handsTooClose' },
+    handsAtFace: { hands: 2, failing: 'handsNotAtFace' },
+    wristToWrist: { hands: 2, failing: 'wristNotGripped' },
+    poseVisible: { pose: true },
+    kneesBent: { pose: true, failing: 'kneesStraight' },
+    backStraight: { pose: true, failing: 'backBent' },
+    feetApart: { pose: true, failing: 'feetPlacement' },
+    loadClose: { pose: true, failing: 'loadFar' }
+};
+
+// MediaPipe Pose landmark indices used by the posture rules
+const POSE_LANDMARKS = {
+    NOSE: 0,
+    LEFT_SHOULDER: 11, RIGHT_SHOULDER: 12,
+    LEFT_ELBOW: 13, RIGHT_ELBOW: 14,
+    LEFT_WRIST: 15, RIGHT_WRIST: 16,
+    LEFT_HIP: 23, RIGHT_HIP: 24,
+    LEFT_KNEE: 25, RIGHT_KNEE: 26,
+    LEFT_ANKLE: 27, RIGHT_ANKLE: 28,
+    LEFT_HEEL: 29, RIGHT_HEEL: 30,
+    LEFT_FOOT: 31, RIGHT_FOOT: 32
+};
+
+// Step flags that split a step into parts, each of which must hold the detector
+// for the full requiredDuration. The detector is run with `param` set to each value
+// and the seconds per value are kept in step[durations].
+const STEP_SPLITS = {
+    perHand: {
+        durations: 'sideDuration',
+        param: 'hand',
+        values: ['left', 'right'],
+        labels: { left: 'L', right: 'R' }
+    },
+    perDirection: {
+        durations: 'directionDuration',
+        param: 'direction',
+        values: ['clockwise', 'counterclockwise'],
+        labels: { clockwise: '↻', counterclockwise: '↺' }
+    }
+};
+
+/**
+ * Technique metrics for one step, fed the hand motion history frames recorded
+ * while the step is active. Speeds are in normalized image units per second.
+ */
+class StepMetrics {
+    constructor({ minSpeed = 0.1, maxGapMs = 250 } = {}) {
+        this.minSpeed = minSpeed;      // Slower palm movement is treated as tracking jitter
+        this.maxGapMs = maxGapMs;      // Longer gaps between frames break the motion trace
+        this.sides = { left: StepMetrics.emptySide(), right: StepMetrics.emptySide() };
+    }
+
+    static emptySide() {
+        return {
+            last: null,
+            velocity: null,
+            speedSum: 0,
+            samples: 0,
+            seconds: 0,
+            smoothSum: 0,
+            smoothSamples: 0,
+            axisSign: { x: 0, y: 0 },
+            reversals: { x: 0, y: 0 }
+        };
+    }
+
+    /**
+     * Add a handMotionHistory entry: { timestamp, hands: [{ side, palm }] }
+     */
+    addFrame({ timestamp, hands }) {
+        for (const side of ['left', 'right']) {
+            const state = this.sides[side];
+            const entry = hands.find(hand => hand.side === side);
+            if (!entry) {
+                state.last = null;
+                state.velocity = null;
+                continue;
+            }
+            
+            if (state.last && timestamp - state.last.timestamp <= this.maxGapMs) {
+                this.addSample(state, entry.palm, (timestamp - state.last.timestamp) / 1000);
+            } else {
+                state.velocity = null;
+            }
+            state.last = { timestamp, palm: entry.palm };
+        }
+    }
+
+    addSample(state, palm, seconds) {
+        if (seconds <= 0) return;
+        
+        const velocity = { x: (palm.x - state.last.palm.x) / seconds, y: (palm.y - state.last.palm.y) / seconds };
+        const speed = Math.hypot(velocity.x, velocity.y);
+        state.speedSum += speed;
+        state.samples++;
+        state.seconds += seconds;
+        
+        // Smoothness: how consistently the direction of travel carries on between frames
+        if (speed >= this.minSpeed) {
+            if (state.velocity) {
+                const cos = (velocity.x * state.velocity.x + velocity.y * state.velocity.y) /
+                    (speed * Math.hypot(state.velocity.x, state.velocity.y));
+                state.smoothSum += Math.max(0, cos);
+                state.smoothSamples++;
+            }
+            state.velocity = velocity;
+        } else {
+            state.velocity = null;
+        }
+        
+        // Rubbing frequency: direction reversals along each image axis
+        for (const axis of ['x', 'y']) {
+            const sign = Math.abs(velocity[axis]) >= this.minSpeed ? Math.sign(velocity[axis]) : 0;
+            if (sign === 0) continue;
+            if (state.axisSign[axis] !== 0 && sign !== state.axisSign[axis]) state.reversals[axis]++;
+            state.axisSign[axis] = sign;
+        }
+    }
+
+    /**
+     * smoothness (0-1), rubbingFrequency (Hz) and symmetry (slower / faster hand
+     * speed, 0-1); null where the step had no hand motion to measure
+     */
+    summary() {
+        const round = value => Math.round(value * 100) / 100;
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const tracked = Object.values(this.sides).filter(side => side.samples > 0);
+        const smoothed = tracked.filter(side => side.smoothSamples > 0);
+        
+        const { left, right } = this.sides;
+        let symmetry = null;
+        if (left.samples > 0 && right.samples > 0) {
+            const speeds = [left.speedSum / left.samples, right.speedSum / right.samples];
+            symmetry = Math.max(...speeds) > 0 ? round(Math.min(...speeds) / Math.max(...speeds)) : 1;
+        }
+        
+        return {
+            smoothness: smoothed.length > 0
+                ? round(average(smoothed.map(side => side.smoothSum / side.smoothSamples)))
+                : null,
+            rubbingFrequency: tracked.length > 0
+                ? round(average(tracked.map(side => Math.max(side.reversals.x, side.reversals.y) / 2 / side.seconds)))
+                : null,
+            symmetry
+        };
+    }
+}
+
+/**
+ * Runs a training module's step checklist from tracking results.
+ * The app feeds it MediaPipe results with frame timestamps (ms) and listens for:
+ *   'progress'      after each validated frame
+ *   'stepCompleted' { step, index, record }
+ *   'struggle'      step (once per step, when the trainee is taking too long)
+ *   'complete'      sessionData
+ */
+class TrainingEngine {
+    constructor(config) {
+        this.config = config;
+        this.listeners = {};
+        
+        // Step timing clock: seconds credited per processed frame, from real frame timestamps
+        this.lastFrameTimestamp = null;
+        this.frameDelta = 0;
+        
+        // Training state
+        this.isTraining = false;
+        this.currentTask = config.modules[config.currentModule] ? config.currentModule : 'handwashing';
+        this.module = config.modules[this.currentTask];
+        this.steps = this.buildSteps(config[this.module.steps]);
+        this.sessionStartTime = null;
+        this.sessionData = this.createSessionData();
+        
+        this.resetTrackingState();
+    }
+
+    createSessionData() {
+        return { steps: [], score: 0, scoreBreakdown: null, passed: false, duration: 0, interruptions: 0 };
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        for (const handler of this.listeners[event] || []) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Turn step definitions from config into runtime step state.
+     * Steps without explicit prerequisites wait for the step before them.
+     */
+    buildSteps(definitions) {
+        return definitions.map((def, index) => {
+            const split = this.getStepSplit(def);
+            return {
+                ...def,
+                params: def.params || {},
+                prerequisites: def.prerequisites || (index > 0 ? [definitions[index - 1].id] : []),
+                required: def.requiredDuration,
+                completed: false,
+                duration: 0,
+                activeTime: 0,
+                heldTime: 0,
+                interruptions: 0,
+                attempts: 0,
+                holding: false,
+                condition: null,
+                conditions: {},
+                objects: {
+                    required: (def.objects && def.objects.required) || [],
+                    forbidden: (def.objects && def.objects.forbidden) || [],
+                    enforce: (def.objects && def.objects.enforce) || this.config.objectDetection.enforce
+                },
+                ...this.emptyObjectState(),
+                metrics: this.createStepMetrics(),
+                ...(split ? { [split.durations]: this.emptySplitDurations(def) } : {})
+            };
+        });
+    }
+
+    createStepMetrics() {
+        return new StepMetrics({ minSpeed: this.config.motionThresholds.metricsMinSpeed });
+    }
+
+    /**
+     * The STEP_SPLITS entry a step is flagged with (perHand, perDirection), if any
+     */
+    getStepSplit(step) {
+        const flag = Object.keys(STEP_SPLITS).find(key => step[key]);
+        return flag ? STEP_SPLITS[flag] : null;
+    }
+
+    /**
+     * Objects seen while a step was active: required ones found, forbidden ones
+     * spotted, and whether any detection results came in at all
+     */
+    emptyObjectState() {
+        return { objectsSeen: {}, forbiddenSeen: {}, objectsChecked: false, objectPrompted: false };
+    }
+
+    emptySplitDurations(step) {
+        return Object.fromEntries(this.getStepSplit(step).values.map(value => [value, 0]));
+    }
+
+    /**
+     * Seconds left on each part of a split step, e.g. [{ label: 'L', remaining: 1.5 }, ...]
+     */
+    getSplitRemaining(step) {
+        const split = this.getStepSplit(step);
+        if (!split) return null;
+        return split.values.map(value => ({
+            value,
+            label: split.labels[value],
+            remaining: Math.max(0, step.required - step[split.durations][value])
+        }));
+    }
+
+    /**
+     * Switch the active training module and rebuild its checklist
+     */
+    loadModule(moduleId) {
+        const module = this.config.modules[moduleId];
+        if (!module) return false;
+        
+        this.currentTask = moduleId;
+        this.module = module;
+        this.steps = this.buildSteps(this.config[module.steps]);
+        return true;
+    }
+
+    usesTracker(tracker) {
+        return (this.module.tracking || ['hands']).includes(tracker);
+    }
+
+    /**
+     * The first tracker listed by the module drives the step clock and validation
+     */
+    isPrimaryTracker(tracker) {
+        return (this.module.tracking || ['hands'])[0] === tracker;
+    }
+
+    start(timestamp) {
+        this.isTraining = true;
+        this.sessionStartTime = timestamp;
+        this.lastFrameTimestamp = null;
+        this.sessionData = this.createSessionData();
+        this.resetTrackingState();
+        this.resetSteps();
+    }
+
+    reset() {
+        this.isTraining = false;
+        this.resetTrackingState();
+        this.sessionData = this.createSessionData();
+        this.resetSteps();
+    }
+
+    resetSteps() {
+        for (const step of this.steps) {
+            step.completed = false;
+            step.duration = 0;
+            step.activeTime = 0;
+            step.heldTime = 0;
+            step.interruptions = 0;
+            step.attempts = 0;
+            step.holding = false;
+            step.condition = null;
+            step.conditions = {};
+            step.metrics = this.createStepMetrics();
+            step.hintProvided = false;
+            Object.assign(step, this.emptyObjectState());
+            const split = this.getStepSplit(step);
+            if (split) step[split.durations] = this.emptySplitDurations(step);
+        }
+    }
+
+    finish(timestamp) {
+        this.isTraining = false;
+        this.sessionData.duration = timestamp - this.sessionStartTime;
+        this.sessionData.scoreBreakdown = this.calculateScore();
+        this.sessionData.score = this.sessionData.scoreBreakdown.total;
+        this.sessionData.passed = this.sessionData.scoreBreakdown.passed;
+        this.sessionData.end_time = new Date().toISOString();
+        this.emit('complete', this.sessionData);
+    }
+
+    /**
+     * Handle a MediaPipe Hands result. Returns the hands with their 'left'/'right'
+     * identities (left first) so the caller can draw them
+     */
+    processHands(results, timestamp) {
+        const isPrimary = this.isPrimaryTracker('hands');
+        if (isPrimary) this.tickClock(timestamp);
+        
+        const multiHandLandmarks = results.multiHandLandmarks || [];
+        if (this.isTraining && isPrimary) this.trackTrackingLoss(multiHandLandmarks.length > 0, timestamp);
+        if (multiHandLandmarks.length === 0) return [];
+        
+        const hands = this.assignHandIdentities(multiHandLandmarks, results.multiHandedness || [], timestamp);
+        if (this.isTraining) {
+            this.processHandMovements(hands, timestamp, isPrimary);
+        }
+        return hands;
+    }
+
+    /**
+     * Handle a MediaPipe Pose result (image landmarks for drawing, world landmarks in metres for posture rules)
+     */
+    processPose(results, timestamp) {
+        const isPrimary = this.isPrimaryTracker('pose');
+        if (isPrimary) this.tickClock(timestamp);
+        if (this.isTraining && isPrimary) this.trackTrackingLoss(!!results.poseLandmarks, timestamp);
+        
+        this.lastPose = results.poseLandmarks || null;
+        this.lastPoseWorld = results.poseWorldLandmarks || null;
+        
+        if (this.isTraining && isPrimary) {
+            this.validateSteps(timestamp);
+        }
+    }
+
+    /**
+     * Count an interruption when the primary tracker loses the trainee for at
+     * least config.scoring.interruptionMinMs, against the session and every active step
+     */
+    trackTrackingLoss(present, timestamp) {
+        if (!present) {
+            if (this.trackingLostAt === null) this.trackingLostAt = timestamp;
+            return;
+        }
+        if (this.trackingLostAt === null) return;
+        
+        if (timestamp - this.trackingLostAt >= this.config.scoring.interruptionMinMs) {
+            this.sessionData.interruptions++;
+            for (const step of this.steps) {
+                if (!step.completed && this.prerequisitesMet(step)) step.interruptions++;
+            }
+        }
+        this.trackingLostAt = null;
+    }
+
+    setDetections(detections) {
+        this.detectedObjects = detections;
+        this.detectionsAt = this.lastFrameTimestamp;
+    }
+
+    /**
+     * Whether detection results came in within objectDetection.maxAgeMs of the current frame
+     */
+    hasCurrentDetections() {
+        return this.detectionsAt !== null && this.lastFrameTimestamp !== null &&
+            this.lastFrameTimestamp - this.detectionsAt <= this.config.objectDetection.maxAgeMs;
+    }
+
+    /**
+     * Give each detected hand a stable 'left'/'right' identity.
+     * Combines MediaPipe's handedness score with how close each hand is to
+     * where that side was last seen, so labels don't flip between frames.
+     */
+    assignHandIdentities(multiHandLandmarks, multiHandedness, now) {
+        const { swapHandedness, identityMaxJump, identityTimeoutMs } = this.config.handTracking;
+        
+        // Probability that hand i is the trainee's left hand, from MediaPipe handedness
+        const leftProbability = multiHandLandmarks.map((_, i) => {
+            const handedness = multiHandedness[i];
+            if (!handedness) return 0.5;
+            const labelIsLeft = (handedness.label === 'Left') !== !!swapHandedness;
+            return labelIsLeft ? handedness.score : 1 - handedness.score;
+        });
+        
+        // Bonus for staying near where this side was last seen
+        const continuity = (landmarks, side) => {
+            const last = this.lastSeenBySide[side];
+            if (!last || now - last.timestamp > identityTimeoutMs) return 0;
+            const distance = Math.hypot(landmarks[0].x - last.wrist.x, landmarks[0].y - last.wrist.y);
+            return Math.max(0, 1 - distance / identityMaxJump);
+        };
+        const fit = (i, side) => (side === 'left' ? leftProbability[i] : 1 - leftProbability[i]) +
+            continuity(multiHandLandmarks[i], side);
+        
+        let sides;
+        if (multiHandLandmarks.length === 1) {
+            sides = [fit(0, 'left') >= fit(0, 'right') ? 'left' : 'right'];
+        } else {
+            const straight = fit(0, 'left') + fit(1, 'right');
+            const swapped = fit(0, 'right') + fit(1, 'left');
+            sides = straight >= swapped ? ['left', 'right'] : ['right', 'left'];
+        }
+        
+        const hands = multiHandLandmarks.slice(0, 2).map((landmarks, i) => ({ side: sides[i], landmarks }));
+        for (const { side, landmarks } of hands) {
+            this.lastSeenBySide[side] = { timestamp: now, wrist: landmarks[0] };
+        }
+        
+        // Left hand first so two-hand detectors see a stable order
+        return hands.sort((a, b) => (a.side === 'left' ? -1 : 1) - (b.side === 'left' ? -1 : 1));
+    }
+
+    /**
+     * Run a per-hand check for 'left', 'right' or 'either' (default) hand
+     */
+    forHands(hand, check) {
+        if (hand === 'left' || hand === 'right') return check(hand);
+        return check('left') || check('right');
+    }
+
+    /**
+     * Advance the step clock to a frame timestamp (ms). Gaps longer than
+     * config.performance.maxFrameDelta (stalls, background tabs) are clamped.
+     */
+    tickClock(timestamp) {
+        const delta = this.lastFrameTimestamp === null ? 0 : (timestamp - this.lastFrameTimestamp) / 1000;
+        this.frameDelta = Math.min(Math.max(delta, 0), this.config.performance.maxFrameDelta);
+        this.lastFrameTimestamp = timestamp;
+    }
+
+    /**
+     * Frames stopped coming (e.g. the tab was hidden): the next frame restarts
+     * the clock without crediting the time in between
+     */
+    pauseClock() {
+        this.lastFrameTimestamp = null;
+    }
+
+    processHandMovements(hands, now, validate = true) {
+        // Store hand positions (left first) and each side's landmarks
+        this.lastHandPositions = hands.map(hand => hand.landmarks);
+        this.handsBySide = { left: null, right: null };
+        for (const { side, landmarks } of hands) {
+            this.handsBySide[side] = landmarks;
+        }
+        
+        // Add to motion history, combined and per hand
+        const entries = hands.map(({ side, landmarks }) => ({
+            side,
+            palm: landmarks[0],
+            knuckle: landmarks[9],
+            fingertips: [landmarks[4], landmarks[8], landmarks[12], landmarks[16], landmarks[20]]
+        }));
+        this.handMotionHistory.push({ timestamp: now, hands: entries });
+        for (const entry of entries) {
+            this.handHistories[entry.side].push({ timestamp: now, ...entry });
+        }
+        
+        // Keep only the last maxHistoryLength frames within historyWindowMs
+        const { maxHistoryLength, historyWindowMs } = this.config.performance;
+        const trim = history => history.filter(entry => now - entry.timestamp < historyWindowMs).slice(-maxHistoryLength);
+        this.handMotionHistory = trim(this.handMotionHistory);
+        this.handHistories.left = trim(this.handHistories.left);
+        this.handHistories.right = trim(this.handHistories.right);
+        
+        // Validate training steps (only when hands drive this module)
+        if (validate) {
+            const frame = this.handMotionHistory[this.handMotionHistory.length - 1];
+            for (const step of this.steps) {
+                if (!step.completed && this.prerequisitesMet(step)) step.metrics.addFrame(frame);
+            }
+            this.validateSteps(now);
+        }
+    }
+
+    validateSteps(now) {
+        this.steps.forEach((step, index) => {
+            if (step.completed || !this.prerequisitesMet(step)) return;
+            step.activeTime += this.frameDelta;
+            
+            const detector = STEP_DETECTORS[step.detector];
+            if (!detector) {
+                if (!step.detectorMissing) {
+                    step.detectorMissing = true;
+                    console.warn(`Unknown detector "${step.detector}" for step ${step.id}`);
+                }
+                return;
+            }
+            
+            // Required and forbidden objects are recorded for the report; 'block' steps wait for them
+            const blocked = this.checkStepObjects(step);
+            if (blocked) {
+                this.trackCondition(step, false, blocked.condition);
+                if (!step.objectPrompted) {
+                    step.objectPrompted = true;
+                    this.emit('objectRequirement', { step, ...blocked });
+                }
+                return;
+            }
+            
+            const split = this.getStepSplit(step);
+            if (split) {
+                // Each hand (or direction) must hold the step for the required time
+                const durations = step[split.durations];
+                const remaining = split.values.filter(value => durations[value] < step.required);
+                let held = false;
+                for (const value of remaining) {
+                    if (detector(this, { ...step.params, [split.param]: value })) {
+                        durations[value] += this.frameDelta;
+                        step.heldTime += this.frameDelta;
+                        held = true;
+                    }
+                }
+                this.trackCondition(step, held, () =>
+                    this.diagnoseDetector(step.detector, { ...step.params, [split.param]: remaining[0] }));
+                step.duration = split.values.reduce((sum, value) => sum + Math.min(durations[value], step.required), 0) /
+                    split.values.length;
+                if (step.duration >= step.required) {
+                    this.completeStep(index, now);
+                }
+            } else if (detector(this, step.params)) {
+                this.trackCondition(step, true);
+                step.duration += this.frameDelta;
+                step.heldTime += this.frameDelta;
+                if (step.duration >= step.required) {
+                    this.completeStep(index, now);
+                }
+            } else {
+                this.trackCondition(step, false, () => this.diagnoseDetector(step.detector, step.params));
+            }
+        });
+        
+        if (this.isTraining && this.steps.every(s => s.completed)) {
+            this.finish(now);
+        }
+        
+        this.emit('progress');
+        
+        // Check if student is struggling (active for 2x the time the step needs)
+        const currentStep = this.getActiveStep();
+        if (currentStep && currentStep.activeTime > this.getRequiredTime(currentStep) * 2) {
+            // Only provide hint once per step
+            if (!currentStep.hintProvided) {
+                currentStep.hintProvided = true;
+                this.emit('struggle', currentStep);
+            }
+        }
+    }
+
+    /**
+     * Count a new attempt each time the step's technique starts being held, and
+     * the seconds spent in each failing condition while it isn't. `condition` is
+     * the condition code or a function diagnosing it (only run on failing frames).
+     */
+    trackCondition(step, held, condition = null) {
+        if (held) {
+            if (!step.holding) step.attempts++;
+            step.holding = true;
+            step.condition = null;
+            return;
+        }
+        step.holding = false;
+        step.condition = typeof condition === 'function' ? condition() : condition;
+        if (step.condition) {
+            step.conditions[step.condition] = (step.conditions[step.condition] || 0) + this.frameDelta;
+        }
+    }
+
+    /**
+     * Why a detector isn't passing right now: 'noHands', 'oneHand', 'noPose' or
+     * its STEP_CONDITIONS condition ('handsTooFar', 'noCircularMotion', ...);
+     * for allOf the first failing check. Null while it passes.
+     */
+    diagnoseDetector(name, params = {}) {
+        if (name === 'allOf') {
+            for (const check of params.checks) {
+                const condition = this.diagnoseDetector(check.detector, check.params || {});
+                if (condition) return condition;
+            }
+            return null;
+        }
+        
+        const detector = STEP_DETECTORS[name];
+        if (!detector || detector(this, params)) return null;
+        
+        const conditions = STEP_CONDITIONS[name] || {};
+        if (conditions.pose && !this.detectPoseVisible(params)) return 'noPose';
+        if (conditions.hands) {
+            const needed = typeof conditions.hands === 'function' ? conditions.hands(params) : conditions.hands;
+            const visible = this.lastHandPositions.length;
+            if (visible === 0) return 'noHands';
+            if (visible < needed) return 'oneHand';
+        }
+        return conditions.failing || null;
+    }
+
+    /**
+     * The condition a step spent the most time failing on, or null if none was seen
+     */
+    getMainCondition(step) {
+        const entries = Object.entries(step.conditions);
+        if (entries.length === 0) return null;
+        return entries.reduce((main, entry) => (entry[1] > main[1] ? entry : main))[0];
+    }
+
+    completeStep(stepIndex, now) {
+        const step = this.steps[stepIndex];
+        step.completed = true;
+        
+        const record = {
+            step: step.label,
+            id: step.id,
+            completedAt: now - this.sessionStartTime,
+            duration: step.duration,
+            feedback: step.feedback,
+            hintProvided: step.hintProvided,
+            attempts: step.attempts,
+            mainCondition: this.getMainCondition(step),
+            metrics: this.getStepReport(step),
+            ...(this.hasObjectRules(step) ? { objects: this.getObjectReport(step) } : {})
+        };
+        this.sessionData.steps.push(record);
+        
+        this.emit('stepCompleted', { step, index: stepIndex, record });
+    }
+
+    prerequisitesMet(step) {
+        return step.prerequisites.every(id => {
+            const prerequisite = this.steps.find(s => s.id === id);
+            return !prerequisite || prerequisite.completed;
+        });
+    }
+
+    /**
+     * First incomplete step whose prerequisites are done
+     */
+    getActiveStep() {
+        return this.steps.find(s => !s.completed && this.prerequisitesMet(s)) ||
+            this.steps.find(s => !s.completed);
+    }
+
+    calculateHandDistance(hand1, hand2) {
+        const palm1 = hand1[0];
+        const palm2 = hand2[0];
+        const dx = palm1.x - palm2.x;
+        const dy = palm1.y - palm2.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Rubbing in circles: the palm turns at least minAngle (net, signed) around
+     * its own recent centroid, at a radius in [minRadius, maxRadius], without
+     * passing through the centre (which is what back-and-forth shaking does).
+     * `direction` is 'clockwise', 'counterclockwise' or 'either' (default).
+     * Defaults come from config.motionThresholds.
+     */
+    detectCircularMotion({ hand = 'left', direction = 'either', ...params } = {}) {
+        const thresholds = this.config.motionThresholds;
+        const {
+            windowFrames = 20,
+            minAngle = thresholds.circularMotionAngle,
+            minRadius = thresholds.circularMinRadius,
+            maxRadius = thresholds.circularMaxRadius,
+            minRoundness = thresholds.circularMinRoundness
+        } = params;
+        
+        const motion = this.measureCircularMotion(hand, windowFrames);
+        this.circularMotion[hand] = motion;
+        if (!motion) return false;
+        
+        return Math.abs(motion.netAngle) >= minAngle &&
+            motion.radius >= minRadius && motion.radius <= maxRadius &&
+            motion.roundness >= minRoundness &&
+            (direction === 'either' || motion.direction === direction);
+    }
+
+    /**
+     * Circular motion of one palm over the last `windowFrames` frames:
+     * net signed angle (radians) around the window's centroid, mean radius,
+     * roundness (closest approach / mean radius), direction as seen in the
+     * camera image and revolutions per second. Null until enough history.
+     */
+    measureCircularMotion(hand, windowFrames = 20) {
+        const history = this.handHistories[hand];
+        if (history.length < Math.max(windowFrames, 3)) return null;
+        
+        const recent = history.slice(-windowFrames);
+        const centroid = {
+            x: recent.reduce((sum, entry) => sum + entry.palm.x, 0) / recent.length,
+            y: recent.reduce((sum, entry) => sum + entry.palm.y, 0) / recent.length
+        };
+        
+        const distances = recent.map(entry => Math.hypot(entry.palm.x - centroid.x, entry.palm.y - centroid.y));
+        const radius = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+        
+        let netAngle = 0;
+        for (let i = 1; i < recent.length; i++) {
+            const prev = Math.atan2(recent[i - 1].palm.y - centroid.y, recent[i - 1].palm.x - centroid.x);
+            const curr = Math.atan2(recent[i].palm.y - centroid.y, recent[i].palm.x - centroid.x);
+            netAngle += Math.atan2(Math.sin(curr - prev), Math.cos(curr - prev));
+        }
+        
+        const seconds = (recent[recent.length - 1].timestamp - recent[0].timestamp) / 1000;
+        return {
+            netAngle,
+            radius,
+            roundness: radius > 0 ? Math.min(...distances) / radius : 0,
+            // Image y points down, so a positive angle turns clockwise on screen
+            direction: netAngle >= 0 ? 'clockwise' : 'counterclockwise',
+            revolutionsPerSecond: seconds > 0 ? Math.abs(netAngle) / (2 * Math.PI) / seconds : 0
+        };
+    }
+
+    detectHandOverlap({ maxDistance = this.config.motionThresholds.handOverlapDistance, minFingertips = 2 } = {}) {
+        if (this.lastHandPositions.length !== 2) return false;
+        
+        const hand1 = this.lastHandPositions[0];
+        const hand2 = this.lastHandPositions[1];
+        
+        // Check if the first hand's fingertips are close to the other palm
+        const palm2 = hand2[0];
+        const fingertips1 = [hand1[4], hand1[8], hand1[12], hand1[16], hand1[20]];
+        
+        let overlapCount = 0;
+        
+        for (const tip of fingertips1) {
+            const distance = Math.sqrt(
+                Math.pow(tip.x - palm2.x, 2) + Math.pow(tip.y - palm2.y, 2)
+            );
+            if (distance < maxDistance) overlapCount++;
+        }
+        
+        return overlapCount >= minFingertips;
+    }
+
+    detectHandCovered({ maxDistance = this.config.motionThresholds.handOverlapDistance, minFingertips = 2, hand = 'left' } = {}) {
+        const covered = this.handsBySide[hand];
+        const covering = this.handsBySide[hand === 'left' ? 'right' : 'left'];
+        if (!covered || !covering) return false;
+        
+        // Centre of the covered hand (wrist and knuckles)
+        const centrePoints = [0, 5, 9, 13, 17].map(i => covered[i]);
+        const centre = {
+            x: centrePoints.reduce((sum, p) => sum + p.x, 0) / centrePoints.length,
+            y: centrePoints.reduce((sum, p) => sum + p.y, 0) / centrePoints.length
+        };
+        
+        const fingertips = [covering[8], covering[12], covering[16], covering[20]];
+        const onTop = fingertips.filter(tip => Math.hypot(tip.x - centre.x, tip.y - centre.y) < maxDistance);
+        return onTop.length >= minFingertips;
+    }
+
+    /**
+     * Palm-on-back-of-hand: the other hand's fingertips over the `hand` side's
+     * centre, both palms facing the same way (palm to palm faces opposite ways)
+     * and the covering hand moving. Defaults come from config.motionThresholds.
+     */
+    detectBackOfHand({ hand = 'left', ...params } = {}) {
+        const thresholds = this.config.motionThresholds;
+        const {
+            maxDistance = thresholds.dorsalCoverDistance,
+            minFingertips = 2,
+            minAlignment = thresholds.palmAlignment,
+            windowFrames = thresholds.minimumMotionFrames,
+            minTravel = thresholds.dorsalRubTravel
+        } = params;
+        
+        if (!this.detectHandCovered({ maxDistance, minFingertips, hand })) return false;
+        
+        const otherSide = hand === 'left' ? 'right' : 'left';
+        const coveredNormal = this.calculatePalmNormal(this.handsBySide[hand], hand);
+        const coveringNormal = this.calculatePalmNormal(this.handsBySide[otherSide], otherSide);
+        if (!coveredNormal || !coveringNormal) return false;
+        
+        const alignment = coveredNormal.x * coveringNormal.x + coveredNormal.y * coveringNormal.y +
+            coveredNormal.z * coveringNormal.z;
+        if (alignment < minAlignment) return false;
+        
+        // Rubbing: the covering palm has to travel over the window
+        const history = this.handHistories[otherSide];
+        if (history.length < windowFrames) return false;
+        
+        const recent = history.slice(-windowFrames);
+        let travel = 0;
+        for (let i = 1; i < recent.length; i++) {
+            travel += Math.hypot(recent[i].palm.x - recent[i - 1].palm.x, recent[i].palm.y - recent[i - 1].palm.y);
+        }
+        return travel > minTravel;
+    }
+
+    /**
+     * Unit vector out of the palm, from the wrist and index/pinky knuckles.
+     * The cross product is mirrored for left hands so it always points palm-side.
+     */
+    calculatePalmNormal(landmarks, side) {
+        const wrist = landmarks[0];
+        const fromWrist = p => ({ x: p.x - wrist.x, y: p.y - wrist.y, z: (p.z || 0) - (wrist.z || 0) });
+        const index = fromWrist(landmarks[5]);
+        const pinky = fromWrist(landmarks[17]);
+        const [a, b] = side === 'right' ? [index, pinky] : [pinky, index];
+        
+        const normal = {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+        const length = Math.hypot(normal.x, normal.y, normal.z);
+        if (length === 0) return null;
+        return { x: normal.x / length, y: normal.y / length, z: normal.z / length };
+    }
+
+    /**
+     * Thumb washing: at least minFingertips of the other hand's fingertips lie
+     * along `hand`'s thumb while that other, clasping hand twists back and
+     * forth around it. The twist is peak-to-peak (radians) of the clasping
+     * hand's wrist-to-knuckle direction over the window, so frame-to-frame
+     * tracking jitter doesn't add up to a rotation.
+     * Defaults come from config.motionThresholds.
+     */
+    detectThumbClasped({ hand = 'left', ...params } = {}) {
+        const thresholds = this.config.motionThresholds;
+        const {
+            maxDistance = thresholds.thumbClaspDistance,
+            minFingertips = thresholds.thumbClaspFingertips,
+            windowFrames = thresholds.thumbTwistFrames,
+            minRotation = thresholds.thumbTwistAngle
+        } = params;
+        const otherSide = hand === 'left' ? 'right' : 'left';
+        const thumbHand = this.handsBySide[hand];
+        const clasping = this.handsBySide[otherSide];
+        if (!thumbHand || !clasping) return false;
+        
+        // Fingertips of the clasping hand close to the thumb (landmarks 1-4)
+        const thumb = [thumbHand[1], thumbHand[2], thumbHand[3], thumbHand[4]];
+        const nearThumb = tip => thumb.slice(1).some((point, i) =>
+            this.distanceToSegment(tip, thumb[i], point) < maxDistance);
+        const wrapped = [clasping[8], clasping[12], clasping[16], clasping[20]].filter(nearThumb);
+        if (wrapped.length < minFingertips) return false;
+        
+        // Twist of the clasping hand: range of its wrist-to-knuckle direction over the window
+        const history = this.handHistories[otherSide];
+        if (history.length < windowFrames) return false;
+        
+        const recent = history.slice(-windowFrames);
+        const direction = entry => Math.atan2(entry.knuckle.y - entry.palm.y, entry.knuckle.x - entry.palm.x);
+        let angle = 0;
+        let lowest = 0;
+        let highest = 0;
+        for (let i = 1; i < recent.length; i++) {
+            const change = direction(recent[i]) - direction(recent[i - 1]);
+            // Unwrapped, so crossing the +-PI boundary isn't a full turn
+            angle += Math.atan2(Math.sin(change), Math.cos(change));
+            lowest = Math.min(lowest, angle);
+            highest = Math.max(highest, angle);
+        }
+        
+        return highest - lowest > minRotation;
+    }
+
+    distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    detectHandsAtFace({ maxY = 0.4, minDistance = 0, maxDistance = Infinity } = {}) {
+        if (this.lastHandPositions.length !== 2) return false;
+        
+        // Index fingertips of both hands in the upper part of the frame
+        const [tip1, tip2] = this.lastHandPositions.map(hand => hand[8]);
+        if (tip1.y > maxY || tip2.y > maxY) return false;
+        
+        const distance = Math.sqrt(
+            Math.pow(tip1.x - tip2.x, 2) + Math.pow(tip1.y - tip2.y, 2)
+        );
+        return distance >= minDistance && distance <= maxDistance;
+    }
+
+    detectWristGrip({ maxDistance = 0.1 } = {}) {
+        if (this.lastHandPositions.length !== 2) return false;
+        
+        // Thumb or index tip of either hand close to the other hand's wrist
+        const [hand1, hand2] = this.lastHandPositions;
+        const gripDistance = (hand, other) => Math.min(
+            ...[hand[4], hand[8]].map(tip => Math.sqrt(
+                Math.pow(tip.x - other[0].x, 2) + Math.pow(tip.y - other[0].y, 2)
+            ))
+        );
+        
+        return Math.min(gripDistance(hand1, hand2), gripDistance(hand2, hand1)) < maxDistance;
+    }
+
+    /**
+     * World landmark (metres, hip-centred) if the matching image landmark is visible enough
+     */
+    getPosePoint(index, minVisibility = 0.5) {
+        if (!this.lastPose || !this.lastPoseWorld) return null;
+        const visibility = this.lastPose[index].visibility;
+        if (visibility !== undefined && visibility < minVisibility) return null;
+        return this.lastPoseWorld[index];
+    }
+
+    calculateJointAngle(a, b, c) {
+        // Angle at b (degrees) between segments b->a and b->c
+        const v1 = { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+        const v2 = { x: c.x - b.x, y: c.y - b.y, z: c.z - b.z };
+        const dot = v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
+        const length = Math.hypot(v1.x, v1.y, v1.z) * Math.hypot(v2.x, v2.y, v2.z);
+        if (length === 0) return 180;
+        return Math.acos(Math.max(-1, Math.min(1, dot / length))) * 180 / Math.PI;
+    }
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+    }
+
+    detectPoseVisible({ minVisibility = 0.5 } = {}) {
+        const L = POSE_LANDMARKS;
+        return [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP,
+            L.LEFT_KNEE, L.RIGHT_KNEE, L.LEFT_ANKLE, L.RIGHT_ANKLE]
+            .every(index => this.getPosePoint(index, minVisibility));
+    }
+
+    detectKneesBent({ maxKneeAngle = 150, minVisibility = 0.5 } = {}) {
+        const L = POSE_LANDMARKS;
+        const legs = [
+            [L.LEFT_HIP, L.LEFT_KNEE, L.LEFT_ANKLE],
+            [L.RIGHT_HIP, L.RIGHT_KNEE, L.RIGHT_ANKLE]
+        ];
+        
+        return legs.every(leg => {
+            const [hip, knee, ankle] = leg.map(index => this.getPosePoint(index, minVisibility));
+            return hip && knee && ankle && this.calculateJointAngle(hip, knee, ankle) < maxKneeAngle;
+        });
+    }
+
+    detectBackStraight({ maxTrunkLean = 35, minVisibility = 0.5 } = {}) {
+        const L = POSE_LANDMARKS;
+        const [ls, rs, lh, rh] = [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP]
+            .map(index => this.getPosePoint(index, minVisibility));
+        if (!ls || !rs || !lh || !rh) return false;
+        
+        // Trunk lean from vertical (world y points down)
+        const shoulders = this.midpoint(ls, rs);
+        const hips = this.midpoint(lh, rh);
+        const trunk = { x: shoulders.x - hips.x, y: shoulders.y - hips.y, z: shoulders.z - hips.z };
+        const length = Math.hypot(trunk.x, trunk.y, trunk.z);
+        if (length === 0) return false;
+        
+        const lean = Math.acos(Math.max(-1, Math.min(1, -trunk.y / length))) * 180 / Math.PI;
+        return lean < maxTrunkLean;
+    }
+
+    detectFeetApart({ minRatio = 0.9, maxRatio = 1.8, minVisibility = 0.5 } = {}) {
+        const L = POSE_LANDMARKS;
+        const [ls, rs, la, ra] = [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_ANKLE, L.RIGHT_ANKLE]
+            .map(index => this.getPosePoint(index, minVisibility));
+        if (!ls || !rs || !la || !ra) return false;
+        
+        // Ankle spread relative to shoulder width
+        const shoulderWidth = Math.hypot(ls.x - rs.x, ls.z - rs.z);
+        if (shoulderWidth === 0) return false;
+        const ratio = Math.hypot(la.x - ra.x, la.z - ra.z) / shoulderWidth;
+        return ratio >= minRatio && ratio <= maxRatio;
+    }
+
+    detectLoadClose({ maxDistance = 0.35, minVisibility = 0.5 } = {}) {
+        const L = POSE_LANDMARKS;
+        const [ls, rs, lh, rh, lw, rw] = [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP,
+            L.RIGHT_HIP, L.LEFT_WRIST, L.RIGHT_WRIST]
+            .map(index => this.getPosePoint(index, minVisibility));
+        if (!ls || !rs || !lh || !rh || !lw || !rw) return false;
+        
+        // Horizontal distance (metres) from the hands to the trunk centre line
+        const trunk = this.midpoint(this.midpoint(ls, rs), this.midpoint(lh, rh));
+        const hands = this.midpoint(lw, rw);
+        const shoulders = this.midpoint(ls, rs);
+        const belowShoulders = hands.y >= shoulders.y - 0.1;  // World y points down
+        return belowShoulders && Math.hypot(hands.x - trunk.x, hands.z - trunk.z) < maxDistance;
+    }
+
+    detectVerticalMotion({
+        windowFrames = this.config.motionThresholds.minimumMotionFrames,
+        ratio = this.config.motionThresholds.verticalMotionRatio,
+        minTravel = 0.3,
+        hand = 'left'
+    } = {}) {
+        const history = this.handHistories[hand];
+        if (history.length < windowFrames) return false;
+        
+        const recent = history.slice(-windowFrames);
+        let totalVertical = 0;
+        let totalHorizontal = 0;
+        
+        for (let i = 1; i < recent.length; i++) {
+            const prev = recent[i - 1].palm;
+            const curr = recent[i].palm;
+            totalVertical += Math.abs(curr.y - prev.y);
+            totalHorizontal += Math.abs(curr.x - prev.x);
+        }
+        
+        // Vertical motion should be more than horizontal
+        return totalVertical > totalHorizontal * ratio && totalVertical > minTravel;
+    }
+
+    /**
+     * Whether an object is in the current detection results above the confidence
+     * threshold. `name` is an objectDetection.aliases entry (any of its class
+     * names counts) or a class name of the model itself.
+     */
+    hasDetectedObject(name) {
+        if (!this.hasCurrentDetections()) return false;
+        const settings = this.config.objectDetection;
+        const classes = (settings.aliases[name] || [name]).map(className => className.toLowerCase());
+        return this.detectedObjects.some(d =>
+            classes.includes(d.class_name.toLowerCase()) && d.confidence >= settings.confidenceThreshold
+        );
+    }
+
+    hasObjectRules(step) {
+        return step.objects.required.length > 0 || step.objects.forbidden.length > 0;
+    }
+
+    /**
+     * Note which of a step's required and forbidden objects are in view. Returns
+     * { condition: 'objectForbidden' | 'objectMissing', objects } while a 'block'
+     * step has to wait, else null. Without current detection results nothing
+     * is known, so nothing waits.
+     */
+    checkStepObjects(step) {
+        if (!this.hasObjectRules(step) || !this.hasCurrentDetections()) return null;
+        
+        const { required, forbidden, enforce } = step.objects;
+        step.objectsChecked = true;
+        const missing = required.filter(name => !this.hasDetectedObject(name));
+        const present = forbidden.filter(name => this.hasDetectedObject(name));
+        for (const name of required) {
+            if (!missing.includes(name)) step.objectsSeen[name] = true;
+        }
+        for (const name of present) {
+            step.forbiddenSeen[name] = true;
+        }
+        
+        if (enforce !== 'block') return null;
+        if (present.length > 0) return { condition: 'objectForbidden', objects: present };
+        if (missing.length > 0) return { condition: 'objectMissing', objects: missing };
+        return null;
+    }
+
+    /**
+     * Whether a step's objects were right while it was active: `missing` are
+     * required objects never seen, `forbidden` the forbidden ones that were.
+     * `met` is null when no detection results came in during the step.
+     */
+    getObjectReport(step) {
+        const missing = step.objects.required.filter(name => !step.objectsSeen[name]);
+        const forbidden = step.objects.forbidden.filter(name => step.forbiddenSeen[name]);
+        return {
+            required: step.objects.required,
+            missing,
+            forbidden,
+            met: step.objectsChecked ? missing.length === 0 && forbidden.length === 0 : null
+        };
+    }
+
+    /**
+     * Seconds of held detection a step needs in total (all hands/directions of a split step)
+     */
+    getRequiredTime(step) {
+        const split = this.getStepSplit(step);
+        return step.required * (split ? split.values.length : 1);
+    }
+
+    /**
+     * Technique quality of a step, 0-1: share of its active time the detector held.
+     * config.scoring.graceSeconds per hand/direction covers getting into position
+     * and motion windows filling up.
+     */
+    getStepQuality(step) {
+        const split = this.getStepSplit(step);
+        const grace = this.config.scoring.graceSeconds * (split ? split.values.length : 1);
+        const activeTime = step.activeTime - grace;
+        return activeTime > 0 ? Math.min(1, step.heldTime / activeTime) : 1;
+    }
+
+    /**
+     * Per-step technique metrics for the session payload and report screen
+     */
+    getStepReport(step) {
+        return {
+            ...step.metrics.summary(),
+            heldPercent: step.activeTime > 0 ? Math.round(Math.min(1, step.heldTime / step.activeTime) * 100) : null,
+            quality: Math.round(this.getStepQuality(step) * 100) / 100,
+            interruptions: step.interruptions,
+            activeSeconds: Math.round(step.activeTime * 10) / 10
+        };
+    }
+
+    /**
+     * Score from config.scoring: completion, less penalties for time over the
+     * module's perfectScoreTime, technique quality, struggle hints and tracking
+     * interruptions, plus a bonus for a clean run. Capped to 0-100.
+     */
+    calculateScore() {
+        const scoring = this.config.scoring;
+        const completed = this.steps.filter(s => s.completed);
+        const base = Math.round((completed.length / this.steps.length) * 100);
+        
+        const seconds = this.sessionData.duration / 1000;
+        const perfectTime = this.module.perfectScoreTime || scoring.perfectScoreTime;
+        const timePenalty = Math.round(Math.min(
+            Math.max(0, seconds - perfectTime) * scoring.penaltyPerExtraSecond,
+            scoring.maxTimePenalty
+        ));
+        
+        const technique = completed.length > 0
+            ? completed.reduce((sum, step) => sum + this.getStepQuality(step), 0) / completed.length
+            : 0;
+        const techniquePenalty = Math.round((1 - technique) * scoring.maxTechniquePenalty);
+        
+        const hints = this.steps.filter(s => s.hintProvided).length;
+        const hintPenalty = hints * scoring.penaltyPerHint;
+        
+        const interruptions = this.sessionData.interruptions;
+        const interruptionPenalty = interruptions * scoring.penaltyPerInterruption;
+        
+        const bonus = technique >= scoring.perfectTechniqueQuality && hints === 0 && interruptions === 0
+            ? scoring.bonusForPerfectTechnique
+            : 0;
+        
+        const total = Math.max(0, Math.min(100,
+            base - timePenalty - techniquePenalty - hintPenalty - interruptionPenalty + bonus));
+        
+        return {
+            total,
+            passed: total >= scoring.passingScore,
+            passingScore: scoring.passingScore,
+            base,
+            timePenalty,
+            techniquePenalty,
+            hintPenalty,
+            interruptionPenalty,
+            bonus,
+            technique: Math.round(technique * 100) / 100,
+            hints,
+            interruptions,
+            seconds: Math.round(seconds * 10) / 10,
+            perfectTime
+        };
+    }
+
+    /**
+     * Clear motion history and hand identities so a session starts from the same state live or replayed
+     */
+    resetTrackingState() {
+        this.lastHandPositions = [];
+        this.handsBySide = { left: null, right: null };
+        this.handMotionHistory = [];
+        this.handHistories = { left: [], right: [] };
+        this.circularMotion = { left: null, right: null };
+        this.lastSeenBySide = { left: null, right: null };
+        this.lastPose = null;
+        this.lastPoseWorld = null;
+        this.trackingLostAt = null;
+        
+        // Object detection results and the frame time they arrived at
+        this.detectedObjects = [];
+        this.detectionsAt = null;
+    }
+
+    /**
+     * Outcome of the session: which steps completed when, and the score
+     */
+    getSessionResult() {
+        return {
+            steps: this.sessionData.steps.map(s => ({ id: s.id, completedAt: s.completedAt })),
+            score: this.sessionData.score,
+            duration: this.sessionData.duration
+        };
+    }
+}
+
+// Export for use in app.js and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrainingEngine, StepMetrics, STEP_DETECTORS, STEP_CONDITIONS, STEP_SPLITS, POSE_LANDMARKS };
+}